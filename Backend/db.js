@@ -0,0 +1,29 @@
+// Shared Postgres pool
+const { Pool } = require('pg');
+
+// Database Connection with SSL
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+// Runs call(client) between BEGIN and COMMIT on one connection, rolling back if it throws
+async function withTransaction(call) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await call(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = pool;
+module.exports.withTransaction = withTransaction;
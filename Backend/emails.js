@@ -0,0 +1,586 @@
+// Emails
+// Every email is a template that builds its content once, and that content is rendered to
+// the subject, the HTML part and the plain-text part, so the two parts never drift apart.
+// Templates only use translation keys; the organizer's settings pick the language, the
+// display name and the branding their attendees see.
+const { formatSlotTime } = require('./timezone');
+
+const EMAIL_LOCALES = { en: 'English', es: 'Español', fr: 'Français', de: 'Deutsch' };
+const DEFAULT_EMAIL_LOCALE = 'en';
+const DEFAULT_BRAND_COLOR = '#007bff';
+
+// Translations
+// {name} placeholders are filled from the template data. A { one, other } entry is picked
+// by the count passed with the key. Keys missing in a language fall back to English.
+const STRINGS = {
+    en: {
+        greeting: 'Hi {attendeeName},',
+        reason: 'Reason: {reason}',
+        location: 'Location: {location}',
+        wasScheduledFor: 'It was scheduled for {time}.',
+        footer: 'Scheduled with CalSync',
+        'action.pick': 'Pick a time',
+        'action.vote': 'Mark the times that work for you',
+        'action.change': 'Change or cancel',
+        'invite.subject': '{organizer} invited you to {title}',
+        'invite.body': {
+            one: '{organizer} offered you a time for "{title}" ({durationMinutes} minutes).',
+            other: '{organizer} offered you {slotCount} times for "{title}" ({durationMinutes} minutes).'
+        },
+        'confirmed.subject': 'Confirmed: {title}',
+        'confirmed.body': 'Your meeting "{title}" with {organizer} is confirmed for {time}.',
+        'confirmedOrganizer.body': '{attendeeName} booked "{title}" for {time}.',
+        'confirmedOrganizer.bodyGroup': '"{title}" with {attendeeCount} attendees is scheduled for {time}.',
+        'moved.subject': 'New time: {title}',
+        'moved.body': '{organizer} moved "{title}" to {time}.',
+        'moved.previous': 'It was scheduled for {previousTime}.',
+        'cancelled.subject': 'Cancelled: {title}',
+        'cancelled.byOrganizer': '{organizer} cancelled "{title}".',
+        'cancelled.byYou': 'You cancelled "{title}".',
+        'cancelled.byAttendee': '{attendeeName} cancelled "{title}".',
+        'rescheduled.subject': 'New times for {title}',
+        'rescheduled.body': {
+            one: '"{title}" needs a new time. {organizer} offered you a new time.',
+            other: '"{title}" needs a new time. {organizer} offered you {slotCount} new times.'
+        },
+        'rescheduleRequested.subject': 'Reschedule requested: {title}',
+        'rescheduleRequested.body': {
+            one: '{attendeeName} asked to reschedule "{title}". They have been offered a new time.',
+            other: '{attendeeName} asked to reschedule "{title}". They have been offered {slotCount} new times.'
+        },
+        'allAnswered.subject': 'Everyone has answered: {title}',
+        'allAnswered.body': 'All {attendeeCount} attendees have answered for "{title}". Open your dashboard to pick the final time.',
+        'allAnswered.bodyNoMatch': 'All {attendeeCount} attendees have answered for "{title}", but none of the offered times works for anyone. Consider rescheduling with new times.',
+        'reminder.subject': 'Reminder: {title} starts {startsIn}',
+        'reminder.body': '"{title}" with {organizer} starts {time}.',
+        'pickReminder.subject': 'Reminder: {title} is waiting for your answer',
+        'pickReminder.body': 'You haven\'t answered "{title}" from {organizer} yet, and the first offered time is {startsIn}.',
+        'expired.subject': 'Meeting request expired: {title}',
+        'expired.body': '{attendeeName} did not pick a time for "{title}" before the link expired.',
+        'expired.bodyGroup': 'Not every attendee answered "{title}" before the link expired.',
+        'expired.holds': {
+            one: 'The held time has been removed from your calendar.',
+            other: 'The {slotCount} held times have been removed from your calendar.'
+        },
+        accountFooter: 'You are receiving this because of your CalSync account.',
+        linkExpires: {
+            one: 'The link expires in 1 hour.',
+            other: 'The link expires in {expiresInHours} hours.'
+        },
+        'action.verifyEmail': 'Verify email',
+        'action.resetPassword': 'Reset password',
+        'verifyEmail.subject': 'Verify your CalSync email',
+        'verifyEmail.body': 'Confirm that {email} is your email address to finish setting up your CalSync account.',
+        'resetPassword.subject': 'Reset your CalSync password',
+        'resetPassword.body': 'Someone asked to reset the password of the CalSync account for {email}.',
+        'resetPassword.ignore': 'If it wasn\'t you, ignore this email and your password stays the same.',
+        'passwordChanged.subject': 'Your CalSync password was changed',
+        'passwordChanged.body': 'The password of the CalSync account for {email} was just changed.',
+        'passwordChanged.notYou': 'If it wasn\'t you, reset your password right away.'
+    },
+    es: {
+        greeting: 'Hola {attendeeName}:',
+        reason: 'Motivo: {reason}',
+        location: 'Lugar: {location}',
+        wasScheduledFor: 'Estaba programada para el {time}.',
+        footer: 'Programado con CalSync',
+        'action.pick': 'Elegir una hora',
+        'action.vote': 'Marcar las horas que te vienen bien',
+        'action.change': 'Cambiar o cancelar',
+        'invite.subject': '{organizer} te ha invitado a {title}',
+        'invite.body': {
+            one: '{organizer} te ofrece una hora para "{title}" ({durationMinutes} minutos).',
+            other: '{organizer} te ofrece {slotCount} horas para "{title}" ({durationMinutes} minutos).'
+        },
+        'confirmed.subject': 'Confirmada: {title}',
+        'confirmed.body': 'Tu reunión "{title}" con {organizer} está confirmada para el {time}.',
+        'confirmedOrganizer.body': '{attendeeName} ha reservado "{title}" para el {time}.',
+        'confirmedOrganizer.bodyGroup': '"{title}" con {attendeeCount} asistentes está programada para el {time}.',
+        'moved.subject': 'Nueva hora: {title}',
+        'moved.body': '{organizer} ha movido "{title}" al {time}.',
+        'moved.previous': 'Estaba programada para el {previousTime}.',
+        'cancelled.subject': 'Cancelada: {title}',
+        'cancelled.byOrganizer': '{organizer} ha cancelado "{title}".',
+        'cancelled.byYou': 'Has cancelado "{title}".',
+        'cancelled.byAttendee': '{attendeeName} ha cancelado "{title}".',
+        'rescheduled.subject': 'Nuevas horas para {title}',
+        'rescheduled.body': {
+            one: '"{title}" necesita una nueva hora. {organizer} te ofrece una nueva hora.',
+            other: '"{title}" necesita una nueva hora. {organizer} te ofrece {slotCount} nuevas horas.'
+        },
+        'rescheduleRequested.subject': 'Solicitud de cambio: {title}',
+        'rescheduleRequested.body': {
+            one: '{attendeeName} ha pedido cambiar "{title}". Se le ha ofrecido una nueva hora.',
+            other: '{attendeeName} ha pedido cambiar "{title}". Se le han ofrecido {slotCount} nuevas horas.'
+        },
+        'allAnswered.subject': 'Todos han respondido: {title}',
+        'allAnswered.body': 'Los {attendeeCount} asistentes han respondido a "{title}". Abre tu panel para elegir la hora final.',
+        'allAnswered.bodyNoMatch': 'Los {attendeeCount} asistentes han respondido a "{title}", pero ninguna de las horas ofrecidas le viene bien a nadie. Considera proponer nuevas horas.',
+        'reminder.subject': 'Recordatorio: {title} empieza {startsIn}',
+        'reminder.body': '"{title}" con {organizer} empieza el {time}.',
+        'pickReminder.subject': 'Recordatorio: {title} espera tu respuesta',
+        'pickReminder.body': 'Todavía no has respondido a "{title}" de {organizer}, y la primera hora ofrecida es {startsIn}.',
+        'expired.subject': 'Solicitud de reunión caducada: {title}',
+        'expired.body': '{attendeeName} no eligió una hora para "{title}" antes de que caducara el enlace.',
+        'expired.bodyGroup': 'No todos los asistentes respondieron a "{title}" antes de que caducara el enlace.',
+        'expired.holds': {
+            one: 'La hora reservada se ha quitado de tu calendario.',
+            other: 'Las {slotCount} horas reservadas se han quitado de tu calendario.'
+        },
+        accountFooter: 'Recibes este correo por tu cuenta de CalSync.',
+        linkExpires: {
+            one: 'El enlace caduca en 1 hora.',
+            other: 'El enlace caduca en {expiresInHours} horas.'
+        },
+        'action.verifyEmail': 'Verificar correo',
+        'action.resetPassword': 'Restablecer contraseña',
+        'verifyEmail.subject': 'Verifica tu correo de CalSync',
+        'verifyEmail.body': 'Confirma que {email} es tu dirección de correo para terminar de configurar tu cuenta de CalSync.',
+        'resetPassword.subject': 'Restablece tu contraseña de CalSync',
+        'resetPassword.body': 'Alguien ha pedido restablecer la contraseña de la cuenta de CalSync de {email}.',
+        'resetPassword.ignore': 'Si no has sido tú, ignora este correo y tu contraseña seguirá igual.',
+        'passwordChanged.subject': 'Se ha cambiado tu contraseña de CalSync',
+        'passwordChanged.body': 'Se acaba de cambiar la contraseña de la cuenta de CalSync de {email}.',
+        'passwordChanged.notYou': 'Si no has sido tú, restablece tu contraseña cuanto antes.'
+    },
+    fr: {
+        greeting: 'Bonjour {attendeeName},',
+        reason: 'Motif : {reason}',
+        location: 'Lieu : {location}',
+        wasScheduledFor: 'Elle était prévue le {time}.',
+        footer: 'Planifié avec CalSync',
+        'action.pick': 'Choisir un horaire',
+        'action.vote': 'Indiquer les horaires qui vous conviennent',
+        'action.change': 'Modifier ou annuler',
+        'invite.subject': '{organizer} vous invite à {title}',
+        'invite.body': {
+            one: '{organizer} vous propose un horaire pour « {title} » ({durationMinutes} minutes).',
+            other: '{organizer} vous propose {slotCount} horaires pour « {title} » ({durationMinutes} minutes).'
+        },
+        'confirmed.subject': 'Confirmé : {title}',
+        'confirmed.body': 'Votre rendez-vous « {title} » avec {organizer} est confirmé pour le {time}.',
+        'confirmedOrganizer.body': '{attendeeName} a réservé « {title} » pour le {time}.',
+        'confirmedOrganizer.bodyGroup': '« {title} » avec {attendeeCount} participants est prévu le {time}.',
+        'moved.subject': 'Nouvel horaire : {title}',
+        'moved.body': '{organizer} a déplacé « {title} » au {time}.',
+        'moved.previous': 'Elle était prévue le {previousTime}.',
+        'cancelled.subject': 'Annulé : {title}',
+        'cancelled.byOrganizer': '{organizer} a annulé « {title} ».',
+        'cancelled.byYou': 'Vous avez annulé « {title} ».',
+        'cancelled.byAttendee': '{attendeeName} a annulé « {title} ».',
+        'rescheduled.subject': 'Nouveaux horaires pour {title}',
+        'rescheduled.body': {
+            one: '« {title} » doit être replanifié. {organizer} vous propose un nouvel horaire.',
+            other: '« {title} » doit être replanifié. {organizer} vous propose {slotCount} nouveaux horaires.'
+        },
+        'rescheduleRequested.subject': 'Demande de report : {title}',
+        'rescheduleRequested.body': {
+            one: '{attendeeName} a demandé à reporter « {title} ». Un nouvel horaire lui a été proposé.',
+            other: '{attendeeName} a demandé à reporter « {title} ». {slotCount} nouveaux horaires lui ont été proposés.'
+        },
+        'allAnswered.subject': 'Tout le monde a répondu : {title}',
+        'allAnswered.body': 'Les {attendeeCount} participants ont répondu pour « {title} ». Ouvrez votre tableau de bord pour choisir l\'horaire final.',
+        'allAnswered.bodyNoMatch': 'Les {attendeeCount} participants ont répondu pour « {title} », mais aucun des horaires proposés ne convient à personne. Pensez à proposer de nouveaux horaires.',
+        'reminder.subject': 'Rappel : {title} commence {startsIn}',
+        'reminder.body': '« {title} » avec {organizer} commence le {time}.',
+        'pickReminder.subject': 'Rappel : {title} attend votre réponse',
+        'pickReminder.body': 'Vous n\'avez pas encore répondu à « {title} » de {organizer}, et le premier horaire proposé est {startsIn}.',
+        'expired.subject': 'Demande de rendez-vous expirée : {title}',
+        'expired.body': '{attendeeName} n\'a pas choisi d\'horaire pour « {title} » avant l\'expiration du lien.',
+        'expired.bodyGroup': 'Tous les participants n\'ont pas répondu à « {title} » avant l\'expiration du lien.',
+        'expired.holds': {
+            one: 'L\'horaire réservé a été retiré de votre calendrier.',
+            other: 'Les {slotCount} horaires réservés ont été retirés de votre calendrier.'
+        },
+        accountFooter: 'Vous recevez cet e-mail en raison de votre compte CalSync.',
+        linkExpires: {
+            one: 'Le lien expire dans 1 heure.',
+            other: 'Le lien expire dans {expiresInHours} heures.'
+        },
+        'action.verifyEmail': 'Vérifier l\'adresse',
+        'action.resetPassword': 'Réinitialiser le mot de passe',
+        'verifyEmail.subject': 'Vérifiez votre adresse e-mail CalSync',
+        'verifyEmail.body': 'Confirmez que {email} est bien votre adresse e-mail pour terminer la création de votre compte CalSync.',
+        'resetPassword.subject': 'Réinitialisez votre mot de passe CalSync',
+        'resetPassword.body': 'Quelqu\'un a demandé à réinitialiser le mot de passe du compte CalSync de {email}.',
+        'resetPassword.ignore': 'Si ce n\'était pas vous, ignorez cet e-mail : votre mot de passe reste inchangé.',
+        'passwordChanged.subject': 'Votre mot de passe CalSync a été modifié',
+        'passwordChanged.body': 'Le mot de passe du compte CalSync de {email} vient d\'être modifié.',
+        'passwordChanged.notYou': 'Si ce n\'était pas vous, réinitialisez votre mot de passe sans attendre.'
+    },
+    de: {
+        greeting: 'Hallo {attendeeName},',
+        reason: 'Grund: {reason}',
+        location: 'Ort: {location}',
+        wasScheduledFor: 'Der Termin war für {time} geplant.',
+        footer: 'Geplant mit CalSync',
+        'action.pick': 'Zeit auswählen',
+        'action.vote': 'Passende Zeiten markieren',
+        'action.change': 'Ändern oder absagen',
+        'invite.subject': '{organizer} hat Sie zu {title} eingeladen',
+        'invite.body': {
+            one: '{organizer} schlägt Ihnen eine Zeit für „{title}“ vor ({durationMinutes} Minuten).',
+            other: '{organizer} schlägt Ihnen {slotCount} Zeiten für „{title}“ vor ({durationMinutes} Minuten).'
+        },
+        'confirmed.subject': 'Bestätigt: {title}',
+        'confirmed.body': 'Ihr Termin „{title}“ mit {organizer} ist für {time} bestätigt.',
+        'confirmedOrganizer.body': '{attendeeName} hat „{title}“ für {time} gebucht.',
+        'confirmedOrganizer.bodyGroup': '„{title}“ mit {attendeeCount} Teilnehmenden ist für {time} geplant.',
+        'moved.subject': 'Neue Zeit: {title}',
+        'moved.body': '{organizer} hat „{title}“ auf {time} verschoben.',
+        'moved.previous': 'Der Termin war für {previousTime} geplant.',
+        'cancelled.subject': 'Abgesagt: {title}',
+        'cancelled.byOrganizer': '{organizer} hat „{title}“ abgesagt.',
+        'cancelled.byYou': 'Sie haben „{title}“ abgesagt.',
+        'cancelled.byAttendee': '{attendeeName} hat „{title}“ abgesagt.',
+        'rescheduled.subject': 'Neue Zeiten für {title}',
+        'rescheduled.body': {
+            one: '„{title}“ braucht eine neue Zeit. {organizer} schlägt Ihnen eine neue Zeit vor.',
+            other: '„{title}“ braucht eine neue Zeit. {organizer} schlägt Ihnen {slotCount} neue Zeiten vor.'
+        },
+        'rescheduleRequested.subject': 'Verschiebung angefragt: {title}',
+        'rescheduleRequested.body': {
+            one: '{attendeeName} möchte „{title}“ verschieben. Eine neue Zeit wurde vorgeschlagen.',
+            other: '{attendeeName} möchte „{title}“ verschieben. {slotCount} neue Zeiten wurden vorgeschlagen.'
+        },
+        'allAnswered.subject': 'Alle haben geantwortet: {title}',
+        'allAnswered.body': 'Alle {attendeeCount} Teilnehmenden haben auf „{title}“ geantwortet. Wählen Sie im Dashboard die endgültige Zeit.',
+        'allAnswered.bodyNoMatch': 'Alle {attendeeCount} Teilnehmenden haben auf „{title}“ geantwortet, aber keine der vorgeschlagenen Zeiten passt. Schlagen Sie am besten neue Zeiten vor.',
+        'reminder.subject': 'Erinnerung: {title} beginnt {startsIn}',
+        'reminder.body': '„{title}“ mit {organizer} beginnt am {time}.',
+        'pickReminder.subject': 'Erinnerung: {title} wartet auf Ihre Antwort',
+        'pickReminder.body': 'Sie haben auf „{title}“ von {organizer} noch nicht geantwortet, und die erste vorgeschlagene Zeit ist {startsIn}.',
+        'expired.subject': 'Terminanfrage abgelaufen: {title}',
+        'expired.body': '{attendeeName} hat vor Ablauf des Links keine Zeit für „{title}“ gewählt.',
+        'expired.bodyGroup': 'Nicht alle Teilnehmenden haben vor Ablauf des Links auf „{title}“ geantwortet.',
+        'expired.holds': {
+            one: 'Die reservierte Zeit wurde aus Ihrem Kalender entfernt.',
+            other: 'Die {slotCount} reservierten Zeiten wurden aus Ihrem Kalender entfernt.'
+        },
+        accountFooter: 'Sie erhalten diese E-Mail wegen Ihres CalSync-Kontos.',
+        linkExpires: {
+            one: 'Der Link läuft in 1 Stunde ab.',
+            other: 'Der Link läuft in {expiresInHours} Stunden ab.'
+        },
+        'action.verifyEmail': 'E-Mail bestätigen',
+        'action.resetPassword': 'Passwort zurücksetzen',
+        'verifyEmail.subject': 'Bestätigen Sie Ihre CalSync-E-Mail-Adresse',
+        'verifyEmail.body': 'Bestätigen Sie, dass {email} Ihre E-Mail-Adresse ist, um die Einrichtung Ihres CalSync-Kontos abzuschließen.',
+        'resetPassword.subject': 'Setzen Sie Ihr CalSync-Passwort zurück',
+        'resetPassword.body': 'Jemand hat angefordert, das Passwort des CalSync-Kontos für {email} zurückzusetzen.',
+        'resetPassword.ignore': 'Falls Sie das nicht waren, ignorieren Sie diese E-Mail; Ihr Passwort bleibt unverändert.',
+        'passwordChanged.subject': 'Ihr CalSync-Passwort wurde geändert',
+        'passwordChanged.body': 'Das Passwort des CalSync-Kontos für {email} wurde soeben geändert.',
+        'passwordChanged.notYou': 'Falls Sie das nicht waren, setzen Sie Ihr Passwort sofort zurück.'
+    }
+};
+
+function translate(locale, key, vars, count) {
+    let value = STRINGS[locale][key] ?? STRINGS[DEFAULT_EMAIL_LOCALE][key];
+    if (typeof value === 'object') {
+        value = value[new Intl.PluralRules(locale).select(count)] ?? value.other;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? ''));
+}
+
+// "in 1 day", "dans 2 heures", ... for the minutes before a meeting
+function formatStartsIn(minutes, locale) {
+    const format = new Intl.RelativeTimeFormat(locale, { numeric: 'always' });
+    if (minutes % 1440 === 0) return format.format(minutes / 1440, 'day');
+    if (minutes % 60 === 0) return format.format(minutes / 60, 'hour');
+    return format.format(minutes, 'minute');
+}
+
+// Templates
+// build(t, data) returns { subject, lines, details, action }: lines are plain-text paragraphs
+// (falsy ones are skipped), details adds the meeting's location and description, and action
+// is the button, { label, url }. Attendee templates get data.attendeeName for the greeting.
+const TEMPLATES = {
+    invite: {
+        description: 'Sent to attendees with the offered times',
+        build: (t, d) => ({
+            subject: t('invite.subject'),
+            lines: [t('greeting'), t('invite.body', d.slotCount)],
+            details: true,
+            action: { label: t(d.isGroup ? 'action.vote' : 'action.pick'), url: d.link }
+        })
+    },
+    confirmed: {
+        description: 'Sent to attendees when a time is booked, with the calendar invite',
+        build: (t, d) => ({
+            subject: t('confirmed.subject'),
+            lines: [t('greeting'), t('confirmed.body')],
+            details: true,
+            action: d.link && { label: t('action.change'), url: d.link }
+        })
+    },
+    confirmedOrganizer: {
+        description: 'Sent to you when a time is booked',
+        build: (t, d) => ({
+            subject: t('confirmed.subject'),
+            lines: [t(d.isGroup ? 'confirmedOrganizer.bodyGroup' : 'confirmedOrganizer.body')],
+            details: true
+        })
+    },
+    moved: {
+        description: 'Sent to attendees when a booked meeting is moved in your calendar',
+        build: (t, d) => ({
+            subject: t('moved.subject'),
+            lines: [t('greeting'), t('moved.body'), d.previousSlotTime && t('moved.previous')],
+            details: true,
+            action: { label: t('action.change'), url: d.link }
+        })
+    },
+    cancelled: {
+        description: 'Sent to attendees when a meeting is cancelled',
+        build: (t, d) => ({
+            subject: t('cancelled.subject'),
+            lines: [
+                t('greeting'),
+                t(d.cancelledBy === 'attendee' ? 'cancelled.byYou' : 'cancelled.byOrganizer'),
+                d.slotTime && t('wasScheduledFor'),
+                d.reason && t('reason')
+            ]
+        })
+    },
+    cancelledOrganizer: {
+        description: 'Sent to you when a meeting is cancelled',
+        build: (t, d) => ({
+            subject: t('cancelled.subject'),
+            lines: [
+                t(d.cancelledBy === 'attendee' ? 'cancelled.byAttendee' : 'cancelled.byYou'),
+                d.slotTime && t('wasScheduledFor'),
+                d.reason && t('reason')
+            ]
+        })
+    },
+    rescheduled: {
+        description: 'Sent to attendees with new times when a meeting is rescheduled',
+        build: (t, d) => ({
+            subject: t('rescheduled.subject'),
+            lines: [t('greeting'), t('rescheduled.body', d.slotCount), d.slotTime && t('wasScheduledFor'), d.reason && t('reason')],
+            action: { label: t(d.isGroup ? 'action.vote' : 'action.pick'), url: d.link }
+        })
+    },
+    rescheduleRequested: {
+        description: 'Sent to you when an attendee asks for new times',
+        build: (t, d) => ({
+            subject: t('rescheduleRequested.subject'),
+            lines: [t('rescheduleRequested.body', d.slotCount), d.reason && t('reason')]
+        })
+    },
+    allAnswered: {
+        description: 'Sent to you when every group attendee has answered',
+        build: (t, d) => ({
+            subject: t('allAnswered.subject'),
+            lines: [t(d.hasMatch ? 'allAnswered.body' : 'allAnswered.bodyNoMatch')]
+        })
+    },
+    reminder: {
+        description: 'Sent to attendees before a confirmed meeting',
+        build: (t, d) => ({
+            subject: t('reminder.subject'),
+            lines: [t('greeting'), t('reminder.body')],
+            details: true,
+            action: { label: t('action.change'), url: d.link }
+        })
+    },
+    pickReminder: {
+        description: 'Sent to attendees who haven\'t answered yet',
+        build: (t, d) => ({
+            subject: t('pickReminder.subject'),
+            lines: [t('greeting'), t('pickReminder.body')],
+            action: { label: t(d.isGroup ? 'action.vote' : 'action.pick'), url: d.link }
+        })
+    },
+    expired: {
+        description: 'Sent to you when a request expires unanswered',
+        build: (t, d) => ({
+            subject: t('expired.subject'),
+            lines: [t(d.isGroup ? 'expired.bodyGroup' : 'expired.body'), t('expired.holds', d.slotCount)]
+        })
+    }
+};
+
+// Account Templates
+// Sent by CalSync itself to the account owner, so they carry CalSync's branding rather than the
+// organizer's and aren't listed with the meeting templates. data.link is the action button.
+const ACCOUNT_TEMPLATES = {
+    verifyEmail: {
+        build: (t, d) => ({
+            subject: t('verifyEmail.subject'),
+            lines: [t('verifyEmail.body'), t('linkExpires', d.expiresInHours)],
+            action: { label: t('action.verifyEmail'), url: d.link }
+        })
+    },
+    resetPassword: {
+        build: (t, d) => ({
+            subject: t('resetPassword.subject'),
+            lines: [t('resetPassword.body'), t('linkExpires', d.expiresInHours), t('resetPassword.ignore')],
+            action: { label: t('action.resetPassword'), url: d.link }
+        })
+    },
+    passwordChanged: {
+        build: (t, d) => ({
+            subject: t('passwordChanged.subject'),
+            lines: [t('passwordChanged.body'), t('passwordChanged.notYou')],
+            action: { label: t('action.resetPassword'), url: d.link }
+        })
+    }
+};
+
+// Rendering
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function paragraphHtml(text) {
+    return `<p style="margin:0 0 16px">${escapeHtml(text).replace(/\r?\n/g, '<br>')}</p>`;
+}
+
+function renderHtml(message, branding) {
+    const header = branding.logoUrl
+        ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.name)}" style="max-height:40px">`
+        : `<strong style="font-size:18px">${escapeHtml(branding.name)}</strong>`;
+    const button = message.action
+        ? `<p style="margin:24px 0"><a href="${escapeHtml(message.action.url)}" style="background:${branding.color};color:#ffffff;padding:12px 20px;border-radius:4px;text-decoration:none;display:inline-block">${escapeHtml(message.action.label)}</a></p>
+           <p style="margin:0 0 16px;font-size:12px;color:#6c757d">${escapeHtml(message.action.url)}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${branding.locale}">
+<body style="margin:0;padding:24px;background:#f8f9fa;font-family:Arial,sans-serif;color:#212529">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-top:4px solid ${branding.color};border-radius:4px">
+    <div style="padding:20px 24px;border-bottom:1px solid #dee2e6">${header}</div>
+    <div style="padding:24px">
+      ${message.lines.map(paragraphHtml).join('\n      ')}
+      ${message.details.map(paragraphHtml).join('\n      ')}
+      ${button}
+    </div>
+  </div>
+  <p style="text-align:center;font-size:12px;color:#6c757d">${escapeHtml(message.footer)}</p>
+</body>
+</html>`;
+}
+
+function renderText(message, branding) {
+    return [
+        branding.name,
+        '',
+        ...message.lines.flatMap(line => [line, '']),
+        ...message.details.flatMap(line => [line, '']),
+        ...(message.action ? [`${message.action.label}: ${message.action.url}`, ''] : []),
+        '--',
+        message.footer
+    ].join('\n');
+}
+
+function getEmailLocale(sender) {
+    return EMAIL_LOCALES[sender.email_locale] ? sender.email_locale : DEFAULT_EMAIL_LOCALE;
+}
+
+// The name attendees know the organizer by
+function getSenderName(sender) {
+    return sender.display_name || sender.email;
+}
+
+// Renders template for a users row (sender) to { subject, html, text }.
+// data holds the meeting details: title, durationMinutes, location, description,
+// attendeeName, slotTime and timeZone (shown as {time}), previousSlotTime ({previousTime}),
+// offsetMinutes ({startsIn}), link, ...
+function renderEmail(template, sender, data = {}) {
+    const locale = getEmailLocale(sender);
+    const vars = {
+        ...data,
+        organizer: getSenderName(sender),
+        time: data.slotTime ? formatSlotTime(data.slotTime, data.timeZone || sender.timezone, locale) : '',
+        previousTime: data.previousSlotTime
+            ? formatSlotTime(data.previousSlotTime, data.timeZone || sender.timezone, locale)
+            : '',
+        startsIn: data.offsetMinutes ? formatStartsIn(data.offsetMinutes, locale) : ''
+    };
+    const t = (key, count) => translate(locale, key, vars, count);
+    const built = TEMPLATES[template].build(t, vars);
+
+    const message = {
+        lines: built.lines.filter(Boolean),
+        details: built.details
+            ? [data.location && t('location'), data.description].filter(Boolean)
+            : [],
+        action: built.action || null,
+        footer: t('footer')
+    };
+    const branding = {
+        name: getSenderName(sender),
+        color: sender.brand_color || DEFAULT_BRAND_COLOR,
+        logoUrl: sender.logo_url,
+        locale
+    };
+    return {
+        subject: built.subject,
+        html: renderHtml(message, branding),
+        text: renderText(message, branding)
+    };
+}
+
+// Renders an account template for the users row it is sent to, in their email language
+function renderAccountEmail(template, user, data = {}) {
+    const locale = getEmailLocale(user);
+    const vars = { ...data, email: user.email };
+    const t = (key, count) => translate(locale, key, vars, count);
+    const built = ACCOUNT_TEMPLATES[template].build(t, vars);
+
+    const message = { lines: built.lines, details: [], action: built.action, footer: t('accountFooter') };
+    const branding = { name: 'CalSync', color: DEFAULT_BRAND_COLOR, logoUrl: null, locale };
+    return {
+        subject: built.subject,
+        html: renderHtml(message, branding),
+        text: renderText(message, branding)
+    };
+}
+
+// Sample meeting for dashboard previews: a 30-minute call tomorrow at 10:00 UTC
+function buildPreviewData() {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    tomorrow.setUTCHours(10, 0, 0, 0);
+    return {
+        title: 'Intro call with Alex Morgan',
+        durationMinutes: 30,
+        location: 'https://meet.example.com/intro',
+        description: 'A quick call to get to know each other.',
+        attendeeName: 'Alex Morgan',
+        attendeeCount: 3,
+        slotCount: 3,
+        slotTime: tomorrow,
+        previousSlotTime: new Date(tomorrow.getTime() - 2 * 60 * 60 * 1000),
+        offsetMinutes: 24 * 60,
+        reason: 'Something came up on my side.',
+        cancelledBy: 'organizer',
+        isGroup: false,
+        hasMatch: true,
+        link: `${process.env.FRONTEND_URL}/select-slot/example`
+    };
+}
+
+function previewEmail(template, sender) {
+    return renderEmail(template, sender, buildPreviewData());
+}
+
+function listEmailTemplates() {
+    return Object.entries(TEMPLATES).map(([name, template]) => ({ name, description: template.description }));
+}
+
+module.exports = {
+    EMAIL_LOCALES,
+    DEFAULT_BRAND_COLOR,
+    TEMPLATES,
+    renderEmail,
+    renderAccountEmail,
+    previewEmail,
+    listEmailTemplates
+};
@@ -0,0 +1,251 @@
+// iCalendar (RFC 5545)
+// One VEVENT per meeting. The UID never changes, and SEQUENCE is bumped on every
+// reschedule and cancellation so clients update the existing entry instead of adding one.
+const { isValidTimeZone, zonedTimeToUtc } = require('./timezone');
+
+const ICAL_DOMAIN = process.env.ICAL_DOMAIN || 'calsync';
+
+function escapeIcalText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Parameter values (like CN) are quoted rather than escaped, and can't contain quotes
+function quoteIcalParam(value) {
+    return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+function foldIcalLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatIcalDate(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function getMeetingUid(meeting) {
+    return `meeting-${meeting.id}@${ICAL_DOMAIN}`;
+}
+
+// VEVENT lines for a scheduled meeting; method decides the STATUS and attendee state.
+// attendees ([{ email, name }]) defaults to the meeting's own attendee; group meetings pass everyone.
+function buildMeetingVevent(meeting, organizer, method, attendees) {
+    const start = new Date(meeting.selected_slot);
+    const end = new Date(start.getTime() + meeting.duration_minutes * 60000);
+    const cancelled = method === 'CANCEL' || meeting.status === 'cancelled';
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${getMeetingUid(meeting)}`,
+        `SEQUENCE:${meeting.ical_sequence || 0}`,
+        `DTSTAMP:${formatIcalDate(new Date())}`,
+        `DTSTART:${formatIcalDate(start)}`,
+        `DTEND:${formatIcalDate(end)}`,
+        `SUMMARY:${escapeIcalText(meeting.title)}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        `ORGANIZER;CN=${quoteIcalParam(organizer.display_name || organizer.email)}:mailto:${organizer.email}`
+    ];
+    for (const attendee of attendees || [{ email: meeting.attendee_email, name: meeting.attendee_name }]) {
+        lines.push(
+            `ATTENDEE;CN=${quoteIcalParam(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;` +
+                `PARTSTAT=${cancelled ? 'DECLINED' : 'NEEDS-ACTION'};RSVP=${cancelled ? 'FALSE' : 'TRUE'}:mailto:${attendee.email}`
+        );
+    }
+    if (meeting.description) lines.push(`DESCRIPTION:${escapeIcalText(meeting.description)}`);
+    if (meeting.location) lines.push(`LOCATION:${escapeIcalText(meeting.location)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Tentative VEVENT for one offered slot of a pending meeting (row joins meetings and slots)
+function buildHoldVevent(hold, organizer) {
+    const start = new Date(hold.slot_time);
+    const end = new Date(start.getTime() + hold.duration_minutes * 60000);
+    return [
+        'BEGIN:VEVENT',
+        `UID:slot-${hold.slot_id}@${ICAL_DOMAIN}`,
+        `DTSTAMP:${formatIcalDate(new Date())}`,
+        `DTSTART:${formatIcalDate(start)}`,
+        `DTEND:${formatIcalDate(end)}`,
+        `SUMMARY:${escapeIcalText(`Hold: ${hold.title}`)}`,
+        'STATUS:TENTATIVE',
+        'TRANSP:OPAQUE',
+        `ORGANIZER;CN=${quoteIcalParam(organizer.display_name || organizer.email)}:mailto:${organizer.email}`,
+        'END:VEVENT'
+    ];
+}
+
+// Emails use METHOD (REQUEST/CANCEL); subscribed feeds leave it out and set a display name
+function buildIcsDocument(vevents, method, calendarName) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CalSync//Meeting Scheduler//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+    if (method) lines.push(`METHOD:${method}`);
+    if (calendarName) lines.push(`X-WR-CALNAME:${escapeIcalText(calendarName)}`);
+    lines.push(...vevents.flat(), 'END:VCALENDAR');
+    return lines.map(foldIcalLine).join('\r\n') + '\r\n';
+}
+
+function buildMeetingIcs(meeting, organizer, method, attendees) {
+    return buildIcsDocument([buildMeetingVevent(meeting, organizer, method, attendees)], method);
+}
+
+// VEVENT for an event written to a CalDAV calendar. Times are sent in UTC so the
+// document doesn't need a VTIMEZONE definition; clients show them in their own zone.
+function buildEventVevent(uid, event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatIcalDate(new Date())}`,
+        `DTSTART:${formatIcalDate(event.start)}`,
+        `DTEND:${formatIcalDate(event.end)}`,
+        `SUMMARY:${escapeIcalText(event.title)}`
+    ];
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcalText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcalText(event.location)}`);
+    for (const email of event.attendees) {
+        lines.push(`ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:${email}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Parsing
+// Enough of RFC 5545 to read event times back from CalDAV servers: unfolded lines,
+// UTC / TZID / floating date-times, all-day dates and DURATION.
+
+function unfoldIcalLines(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+}
+
+// "DTSTART;TZID=Europe/Berlin:20250101T090000" -> { name, params, value }
+function parseIcalLine(line) {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const [key, value = ''] = part.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Floating times, all-day dates and TZIDs Intl doesn't know are read in defaultTimeZone
+function parseIcalDate({ params, value }, defaultTimeZone) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+    if (utc) return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+    const date = `${year}-${month}-${day}`;
+    const timeZone = isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+    const instant = zonedTimeToUtc(date, `${hour}:${minute}`, timeZone);
+    return new Date(instant.getTime() + Number(second) * 1000);
+}
+
+// "P1DT2H30M" / "-PT15M" / "P1W" -> milliseconds
+function parseIcalDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+// Returns [{ uid, start, end, status, transparent }] for every VEVENT in the document.
+// Properties of nested components (VALARM) are ignored.
+function parseIcalEvents(text, defaultTimeZone = 'UTC') {
+    const events = [];
+    let current = null;
+    let depth = 0;
+
+    for (const line of unfoldIcalLines(text)) {
+        const property = parseIcalLine(line);
+        if (property.name === 'BEGIN') {
+            if (property.value === 'VEVENT') {
+                current = { props: {} };
+                depth = 0;
+            } else if (current) {
+                depth++;
+            }
+            continue;
+        }
+        if (property.name === 'END') {
+            if (property.value === 'VEVENT' && current) {
+                events.push(current.props);
+                current = null;
+            } else if (current) {
+                depth--;
+            }
+            continue;
+        }
+        if (current && depth === 0 && !current.props[property.name]) {
+            current.props[property.name] = property;
+        }
+    }
+
+    return events
+        .filter(props => props.DTSTART)
+        .map(props => {
+            const start = parseIcalDate(props.DTSTART, defaultTimeZone);
+            const allDay = props.DTSTART.params.VALUE === 'DATE' || /^\d{8}$/.test(props.DTSTART.value);
+
+            let end = props.DTEND ? parseIcalDate(props.DTEND, defaultTimeZone) : null;
+            if (!end && start && props.DURATION) {
+                end = new Date(start.getTime() + parseIcalDuration(props.DURATION.value));
+            }
+            if (!end && start) {
+                // Without DTEND or DURATION an all-day event lasts one day and a timed one is instantaneous
+                end = allDay ? new Date(start.getTime() + 24 * 60 * 60 * 1000) : start;
+            }
+
+            return {
+                uid: props.UID?.value || null,
+                start,
+                end,
+                status: props.STATUS?.value.toUpperCase() || null,
+                transparent: props.TRANSP?.value.toUpperCase() === 'TRANSPARENT'
+            };
+        })
+        .filter(event => event.start && event.end);
+}
+
+module.exports = {
+    ICAL_DOMAIN,
+    escapeIcalText,
+    quoteIcalParam,
+    formatIcalDate,
+    buildMeetingVevent,
+    buildHoldVevent,
+    buildIcsDocument,
+    buildMeetingIcs,
+    buildEventVevent,
+    parseIcalEvents
+};
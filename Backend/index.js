@@ -1,30 +1,80 @@
 // CalSync Backend - Production Ready - COMPLETE VERSION
 // Install: npm install express dotenv pg axios nodemailer cors bcrypt jsonwebtoken
-// Run: node index.js
+// Run: npm run migrate && node index.js
 
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
 const axios = require('axios');
 // near top of file, after requiring axios
 axios.defaults.timeout = 7000; // 7s global timeout to avoid long blocking waits
 
 const nodemailer = require('nodemailer');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 
 const app = express();
 app.use(express.json());
 app.use(cors());
-
-// Database Connection with SSL
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: {
-        rejectUnauthorized: false
-    }
-});
+// Rate limits go by req.ip. Behind a proxy (Render, a load balancer) that is the proxy's address,
+// so deployments behind one set TRUST_PROXY_HOPS to the number of proxies in front. Without a
+// proxy X-Forwarded-For comes from the client itself and must not be trusted, hence the default 0.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || 0);
+
+const pool = require('./db');
+const { withTransaction } = require('./db');
+const { assertMigrationsCurrent } = require('./migrate');
+const {
+    isValidTimeZone,
+    zonedTimeToUtc,
+    formatZonedDateTime
+} = require('./timezone');
+const {
+    buildMeetingVevent,
+    buildHoldVevent,
+    buildIcsDocument,
+    buildMeetingIcs
+} = require('./ical');
+const {
+    getProvider,
+    getConnectionStatuses,
+    getCalendarChoices,
+    saveCalendarChoices,
+    listBusyForUser,
+    listBusyExcludingEvents,
+    invalidateBusyCache,
+    createSlotEvents,
+    deleteSlotEvents,
+    deleteCalendarEvents,
+    updateSlotEvents,
+    getSlotEventState,
+    refreshCalendarWatches,
+    findWatch,
+    stopConnectionWatches,
+    needsPolling
+} = require('./providers');
+const { deleteConnection } = require('./providers/connections');
+const { registerJobHandler, scheduleJob, cancelJobs, startJobWorker } = require('./jobs');
+const { assertPublicUrl } = require('./network');
+const {
+    EMAIL_LOCALES,
+    TEMPLATES: EMAIL_TEMPLATES,
+    renderEmail,
+    renderAccountEmail,
+    previewEmail,
+    listEmailTemplates
+} = require('./emails');
+const { WEBHOOK_EVENTS, MAX_WEBHOOK_ENDPOINTS, generateWebhookSecret, emitWebhookEvent } = require('./webhooks');
+const {
+    verifyAccessToken,
+    createSession,
+    refreshSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeUserSessions
+} = require('./sessions');
+const { rateLimit } = require('./rateLimit');
 
 // Email Configuration
 const transporter = nodemailer.createTransport({
@@ -35,120 +85,102 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-
-// Middleware: Verify JWT
-const authMiddleware = (req, res, next) => {
+// Middleware: Verify the access token and that its session hasn't been logged out
+const authMiddleware = async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     if (!token) return res.status(401).json({ error: 'No token provided' });
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.userId = decoded.userId;
-        next();
+        decoded = verifyAccessToken(token);
     } catch (err) {
-        res.status(401).json({ error: 'Invalid token' });
+        return res.status(401).json({ error: 'Invalid token' });
     }
+    // Tokens from before sessions existed have no sessionId, so they are refused like revoked ones
+    if (!await isSessionActive(decoded.sessionId, decoded.userId)) {
+        return res.status(401).json({ error: 'Session has ended, please log in again' });
+    }
+
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sessionId;
+    next();
 };
 
-// Initialize Database
-async function initDb() {
-    try {
-        await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255),
-        google_token TEXT,
-        outlook_token TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS meetings (
-        id SERIAL PRIMARY KEY,
-        user_id INT REFERENCES users(id),
-        attendee_email VARCHAR(255) NOT NULL,
-        attendee_name VARCHAR(255),
-        unique_link VARCHAR(255) UNIQUE,
-        selected_slot TIMESTAMP,
-        status VARCHAR(50) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS slots (
-        id SERIAL PRIMARY KEY,
-        meeting_id INT REFERENCES meetings(id),
-        slot_time TIMESTAMP NOT NULL,
-        google_event_id VARCHAR(255),
-        outlook_event_id VARCHAR(255),
-        is_selected BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-        console.log('✅ Database initialized successfully');
-    } catch (err) {
-        console.error('❌ Database initialization error:', err.message);
-    }
-}
+// Rate Limits
+// The link is the only credential on the attendee routes, so both sides are limited: one IP
+// can't walk through many links, and many IPs can't hammer one link.
+const linkRateLimit = rateLimit([
+    { name: 'link-ip', limit: 60, windowMs: 60 * 1000, key: req => req.ip },
+    { name: 'link', limit: 30, windowMs: 60 * 1000, key: req => req.params.uniqueLink }
+]);
+const bookingRateLimit = rateLimit([
+    { name: 'booking-ip', limit: 60, windowMs: 60 * 1000, key: req => req.ip }
+]);
+// Login, sign-up and the emailed-link routes, against password guessing and email flooding.
+// Login is limited per IP and address together: a limit on the address alone would let anyone
+// lock a user out by posting wrong passwords for them. The address alone only limits the routes
+// that send it mail.
+const requestEmail = req => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null);
+const authRateLimit = rateLimit([
+    { name: 'auth-ip', limit: 20, windowMs: 15 * 60 * 1000, key: req => req.ip }
+]);
+const loginRateLimit = rateLimit([
+    { name: 'auth-ip', limit: 20, windowMs: 15 * 60 * 1000, key: req => req.ip },
+    { name: 'login', limit: 10, windowMs: 15 * 60 * 1000, key: req => requestEmail(req) && `${req.ip}:${requestEmail(req)}` }
+]);
+const authEmailRateLimit = rateLimit([
+    { name: 'auth-ip', limit: 20, windowMs: 15 * 60 * 1000, key: req => req.ip },
+    { name: 'auth-email', limit: 5, windowMs: 15 * 60 * 1000, key: requestEmail }
+]);
 
 // Health Check Route
 app.get('/api/health', (req, res) => {
     res.json({ status: 'CalSync backend is running' });
 });
 
-app.post('/api/auth/google-callback', authMiddleware, async (req, res) => {
-  try {
-    const { code } = req.body;
-    if (!code) return res.status(400).json({ error: 'Authorization code required' });
-
-    const tokenResponse = await axios.post('https://oauth2.googleapis.com/token', {
-      client_id: process.env.GOOGLE_CLIENT_ID,
-      client_secret: process.env.GOOGLE_CLIENT_SECRET,
-      code,
-      redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-      grant_type: 'authorization_code'
-    });
-
-    await pool.query(
-      'UPDATE users SET google_token = $1 WHERE id = $2',
-      [tokenResponse.data.access_token, req.userId]
-    );
-
-    res.json({ message: 'Google calendar connected' });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
-});
-
-
-app.get('/api/meetings/:uniqueLink', async (req, res) => {
+app.get('/api/meetings/:uniqueLink', linkRateLimit, async (req, res) => {
     try {
-        const { uniqueLink } = req.params;
-
-        const meetingResult = await pool.query(
-            'SELECT id, user_id, attendee_email, attendee_name, unique_link, selected_slot, status, created_at FROM meetings WHERE unique_link = $1',
-            [uniqueLink]
-        );
-
-        if (meetingResult.rows.length === 0) {
+        const found = await findMeetingByLink(req.params.uniqueLink);
+        if (!found) {
             return res.status(404).json({ error: 'Meeting not found' });
         }
 
-        const meeting = meetingResult.rows[0];
+        const { meeting, attendee } = found;
+        const organizerResult = await pool.query('SELECT timezone FROM users WHERE id = $1', [getMeetingHostId(meeting)]);
 
         const slotsResult = await pool.query(
             'SELECT id, slot_time, is_selected FROM slots WHERE meeting_id = $1 ORDER BY slot_time',
             [meeting.id]
         );
 
+        // Group attendees see their own details and earlier answers, not the other attendees'
+        let votes = null;
+        if (attendee) {
+            const votesResult = await pool.query(
+                'SELECT slot_id FROM slot_votes WHERE attendee_id = $1 AND available',
+                [attendee.id]
+            );
+            votes = votesResult.rows.map(vote => vote.slot_id);
+        }
+
         res.json({
             meeting: {
                 id: meeting.id,
-                attendeeEmail: meeting.attendee_email,
-                attendeeName: meeting.attendee_name,
-                status: meeting.status,
-                selectedSlot: meeting.selected_slot
+                attendeeName: attendee ? attendee.name : meeting.attendee_name,
+                attendeeTimezone: attendee ? attendee.timezone : meeting.attendee_timezone,
+                title: await getPublicMeetingTitle(meeting),
+                description: meeting.description,
+                location: meeting.location,
+                durationMinutes: meeting.duration_minutes,
+                organizerTimezone: organizerResult.rows[0]?.timezone,
+                // The expiry job runs periodically, so report overdue links as expired right away
+                status: isMeetingExpired(meeting) ? 'expired' : meeting.status,
+                cancellationReason: meeting.cancellation_reason,
+                expiresAt: meeting.expires_at,
+                selectedSlot: meeting.selected_slot,
+                isGroup: meeting.is_group,
+                respondedAt: attendee ? attendee.responded_at : null,
+                availableSlotIds: votes
             },
             slots: slotsResult.rows // each row: { id, slot_time, is_selected }
         });
@@ -160,22 +192,28 @@ app.get('/api/meetings/:uniqueLink', async (req, res) => {
 
 // 
 // Auth Routes
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', authEmailRateLimit, async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, timezone } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password required' });
         }
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
 
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        await pool.query(
-            'INSERT INTO users (email, password) VALUES ($1, $2)',
-            [email, hashedPassword]
+        // The browser's zone is a better default than UTC; it can be changed later in the profile
+        const result = await pool.query(
+            `INSERT INTO users (email, password, timezone) VALUES ($1, $2, $3) RETURNING ${EMAIL_SENDER_COLUMNS}`,
+            [email, hashedPassword, isValidTimeZone(timezone) ? timezone : 'UTC']
         );
+        await sendVerificationEmail(result.rows[0]);
 
-        res.json({ message: 'User registered successfully' });
+        res.json({ message: 'Registered! Check your email for the link to verify your address.' });
     } catch (err) {
         if (err.code === '23505') {
             res.status(400).json({ error: 'Email already exists' });
@@ -185,7 +223,7 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginRateLimit, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -205,367 +243,3020 @@ app.post('/api/auth/login', async (req, res) => {
         if (!validPassword) {
             return res.status(400).json({ error: 'Invalid password' });
         }
+        if (!user.email_verified_at) {
+            return res.status(403).json({ error: 'Please verify your email before logging in' });
+        }
 
-        const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
-        res.json({ token, userId: user.id, email: user.email });
+        const tokens = await createSession(user.id, req);
+        res.json({ ...tokens, userId: user.id, email: user.email });
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
-// Google OAuth Callback
-app.post('/api/auth/google-callback', authMiddleware, async (req, res) => {
+// Trades the refresh token for a new access token and a new refresh token; the old one stops working
+app.post('/api/auth/refresh', async (req, res) => {
     try {
-        const { code } = req.body;
-
-        if (!code) {
-            return res.status(400).json({ error: 'Authorization code required' });
+        const tokens = await refreshSession(req.body.refreshToken);
+        if (!tokens) {
+            return res.status(401).json({ error: 'Session has ended, please log in again' });
         }
-
-        const tokenResponse = await axios.post('https://oauth2.googleapis.com/token', {
-            client_id: process.env.GOOGLE_CLIENT_ID,
-            client_secret: process.env.GOOGLE_CLIENT_SECRET,
-            code,
-            redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-            grant_type: 'authorization_code'
-        });
-
-        await pool.query(
-            'UPDATE users SET google_token = $1 WHERE id = $2',
-            [tokenResponse.data.access_token, req.userId]
-        );
-
-        res.json({ message: 'Google calendar connected' });
+        res.json(tokens);
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
-// Outlook OAuth Callback
-app.post('/api/auth/outlook-callback', authMiddleware, async (req, res) => {
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
     try {
-        const { code } = req.body;
+        await revokeSession(req.userId, req.sessionId);
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        if (!code) {
-            return res.status(400).json({ error: 'Authorization code required' });
-        }
+// Ends every session of the account, this one included
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+    try {
+        const count = await revokeUserSessions(req.userId);
+        res.json({ message: `Logged out of ${count} session${count === 1 ? '' : 's'}` });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        const tokenResponse = await axios.post('https://login.microsoftonline.com/common/oauth2/v2.0/token', {
-            client_id: process.env.OUTLOOK_CLIENT_ID,
-            client_secret: process.env.OUTLOOK_CLIENT_SECRET,
-            code,
-            redirect_uri: process.env.OUTLOOK_REDIRECT_URI,
-            grant_type: 'authorization_code',
-            scope: 'Calendars.ReadWrite offline_access'
+// Email verification and password reset links are single-use tokens sent by email
+app.post('/api/auth/verify-email', authRateLimit, async (req, res) => {
+    try {
+        const result = await withTransaction(async client => {
+            const userId = await consumeAccountToken(client, req.body.token, 'verify_email');
+            if (!userId) return null;
+            return client.query(
+                'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1 RETURNING email',
+                [userId]
+            );
         });
+        if (!result) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
 
-        await pool.query(
-            'UPDATE users SET outlook_token = $1 WHERE id = $2',
-            [tokenResponse.data.access_token, req.userId]
-        );
-
-        res.json({ message: 'Outlook calendar connected' });
+        res.json({ message: 'Email verified! You can log in now.', email: result.rows[0].email });
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
-// Get Available Slots from both calendars
-app.get('/api/calendar/available-slots', authMiddleware, async (req, res) => {
+// The answer is the same whether or not the address has an account, so it can't be used to probe for one
+app.post('/api/auth/resend-verification', authEmailRateLimit, async (req, res) => {
     try {
-        const { date } = req.query;
-
-        if (!date) {
-            return res.status(400).json({ error: 'Date parameter required' });
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
         }
 
-        const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.userId]);
-        const user = userResult.rows[0];
-
-        let googleEvents = [];
-        let outlookEvents = [];
-
-        // Fetch Google Calendar events
-        if (user.google_token) {
-            try {
-                const googleResponse = await axios.get('https://www.googleapis.com/calendar/v3/calendars/primary/events', {
-                    headers: { Authorization: `Bearer ${user.google_token}` },
-                    params: { timeMin: new Date(date).toISOString(), singleEvents: true }
-                });
-                googleEvents = googleResponse.data.items || [];
-            } catch (err) {
-                console.log('Google fetch error:', err.message);
-            }
+        const user = await getAccountByEmail(email);
+        if (user && !user.email_verified_at) {
+            await sendVerificationEmail(user);
         }
+        res.json({ message: 'If that account is waiting for verification, a new link is on its way.' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        // Fetch Outlook Calendar events
-        if (user.outlook_token) {
-            try {
-                const outlookResponse = await axios.get('https://graph.microsoft.com/v1.0/me/calendar/events', {
-                    headers: { Authorization: `Bearer ${user.outlook_token}` }
-                });
-                outlookEvents = outlookResponse.data.value || [];
-            } catch (err) {
-                console.log('Outlook fetch error:', err.message);
-            }
+app.post('/api/auth/forgot-password', authEmailRateLimit, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
         }
 
-        const allEvents = [...googleEvents, ...outlookEvents];
-        res.json({ availableSlots: generateAvailableSlots(allEvents, date) });
+        const user = await getAccountByEmail(email);
+        if (user) {
+            await sendAccountEmail(user, 'resetPassword', {
+                link: buildAccountLink('reset-password', await createAccountToken(user.id, 'reset_password')),
+                expiresInHours: ACCOUNT_TOKEN_TTL_HOURS.reset_password
+            });
+        }
+        res.json({ message: 'If an account uses that email, a link to reset the password is on its way.' });
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
-// Create Meeting with Slots
-// Create Meeting with Slots
-app.post('/api/meetings/create', authMiddleware, async (req, res) => {
-  try {
-    const { attendeeEmail, attendeeName, slots } = req.body;
-    if (!attendeeEmail || !attendeeName || !slots || slots.length === 0) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+// Receiving the link proves the address too, so an unverified account is verified by a reset
+app.post('/api/auth/reset-password', authRateLimit, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
 
-    const uniqueLink = Math.random().toString(36).substring(7);
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const result = await withTransaction(async client => {
+            const userId = await consumeAccountToken(client, token, 'reset_password');
+            if (!userId) return null;
+            await client.query(
+                "DELETE FROM account_tokens WHERE user_id = $1 AND purpose = 'reset_password' AND used_at IS NULL",
+                [userId]
+            );
+            return client.query(
+                `UPDATE users SET password = $1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+                 WHERE id = $2 RETURNING ${EMAIL_SENDER_COLUMNS}`,
+                [hashedPassword, userId]
+            );
+        });
+        if (!result) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
 
-    // Create meeting
-    const meetingResult = await pool.query(
-      'INSERT INTO meetings (user_id, attendee_email, attendee_name, unique_link) VALUES ($1, $2, $3, $4) RETURNING id',
-      [req.userId, attendeeEmail, attendeeName, uniqueLink]
-    );
-    const meetingId = meetingResult.rows[0].id;
+        // Whoever knew the old password may still be logged in
+        await revokeUserSessions(result.rows[0].id);
+        await sendPasswordChangedEmail(result.rows[0]);
+        res.json({ message: 'Password reset! You can log in with the new password.' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-    // Insert slots and create calendar events
-    for (const slot of slots) {
-      const insert = await pool.query(
-        'INSERT INTO slots (meeting_id, slot_time) VALUES ($1, $2) RETURNING id, slot_time',
-        [meetingId, slot]
-      );
-      const s = insert.rows[0];
+app.post('/api/auth/change-password', authMiddleware, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password required' });
+        }
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
 
-      // Fire-and-forget calendar events
-      createGoogleEvent(req.userId, s.slot_time, attendeeEmail)
-        .then(gId => {
-          if (gId) pool.query('UPDATE slots SET google_event_id=$1 WHERE id=$2', [gId, s.id]);
-        }).catch(console.log);
+        const result = await pool.query(`SELECT password, ${EMAIL_SENDER_COLUMNS} FROM users WHERE id = $1`, [req.userId]);
+        const user = result.rows[0];
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
 
-      createOutlookEvent(req.userId, s.slot_time, attendeeEmail)
-        .then(oId => {
-          if (oId) pool.query('UPDATE slots SET outlook_event_id=$1 WHERE id=$2', [oId, s.id]);
-        }).catch(console.log);
+        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await bcrypt.hash(newPassword, 10), req.userId]);
+        const loggedOut = await revokeUserSessions(req.userId, req.sessionId);
+        await sendPasswordChangedEmail(user);
+        res.json({
+            message: loggedOut
+                ? `Password changed. Your ${loggedOut} other session${loggedOut === 1 ? ' was' : 's were'} logged out.`
+                : 'Password changed'
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
     }
+});
 
-    // Send email to attendee
+// Sessions
+// The devices logged in to the account; `current` marks the one asking
+app.get('/api/sessions', authMiddleware, async (req, res) => {
     try {
-      await transporter.sendMail({
-        to: attendeeEmail,
-        subject: `Meeting Request from ${req.userId}`,
-        html: `
-          <p>Hi ${attendeeName},</p>
-          <p>You have been offered ${slots.length} time slots for a meeting.</p>
-          <p>Click this link to select a time: ${process.env.FRONTEND_URL}/select-slot/${uniqueLink}</p>
-        `
-      });
-    } catch (emailErr) {
-      console.log('Email sending error:', emailErr.message);
+        const sessions = await listSessions(req.userId);
+        res.json({ sessions: sessions.map(session => formatSession(session, req.sessionId)) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
     }
+});
 
-    // DO NOT return uniqueLink to frontend
-    res.json({ message: 'Meeting created and email sent' });
-  } catch (err) {
-    res.status(400).json({ error: err.message });
-  }
+app.delete('/api/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!await revokeSession(req.userId, req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: 'Session logged out' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
 });
 
+// OAuth callbacks: the frontend posts the authorization code after the provider redirect
+app.post('/api/auth/google-callback', authMiddleware, async (req, res) => {
+    try {
+        await getProvider('google').connect(req.userId, { code: req.body.code });
+        invalidateBusyCache(req.userId);
+        res.json({ message: 'Google calendar connected' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
+app.post('/api/auth/outlook-callback', authMiddleware, async (req, res) => {
+    try {
+        await getProvider('outlook').connect(req.userId, { code: req.body.code });
+        invalidateBusyCache(req.userId);
+        res.json({ message: 'Outlook calendar connected' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-// Select Slot (Public endpoint)
-// Select Slot (Public endpoint)
-app.post('/api/meetings/select-slot/:uniqueLink', async (req, res) => {
+// Calendar connection status (connected / needs reconnect) per provider
+app.get('/api/calendar/connections', authMiddleware, async (req, res) => {
     try {
-        const { slotId } = req.body;
-        const { uniqueLink } = req.params;
+        res.json({ connections: await getConnectionStatuses(req.userId) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        if (slotId === undefined || slotId === null) {
-            return res.status(400).json({ error: 'Slot ID required' });
+// Connects a provider with the posted payload (an OAuth code, or CalDAV server credentials)
+app.post('/api/calendar/connections/:provider', authMiddleware, async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ error: 'Calendar provider not found' });
         }
 
-        const numericSlotId = parseInt(slotId, 10);
-        if (isNaN(numericSlotId)) return res.status(400).json({ error: 'Invalid Slot ID' });
-
-        // fetch meeting by link
-        const meetingResult = await pool.query(
-            'SELECT * FROM meetings WHERE unique_link = $1',
-            [uniqueLink]
-        );
+        await provider.connect(req.userId, req.body);
+        invalidateBusyCache(req.userId);
+        res.json({
+            message: `${provider.name} connected`,
+            connections: await getConnectionStatuses(req.userId)
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        if (meetingResult.rows.length === 0) {
-            return res.status(404).json({ error: 'Meeting not found' });
+// Calendars of a connected account, with the ones checked for conflicts and the one receiving holds
+app.get('/api/calendar/connections/:provider/calendars', authMiddleware, async (req, res) => {
+    try {
+        const choices = getProvider(req.params.provider)
+            ? await getCalendarChoices(req.userId, req.params.provider)
+            : null;
+        if (!choices) {
+            return res.status(404).json({ error: 'Calendar connection not found' });
         }
 
-        const meeting = meetingResult.rows[0];
+        res.json(choices);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        // verify the slot belongs to this meeting
-        const slotCheck = await pool.query('SELECT * FROM slots WHERE id = $1 AND meeting_id = $2', [numericSlotId, meeting.id]);
-        if (slotCheck.rows.length === 0) {
-            return res.status(404).json({ error: 'Slot not found for this meeting' });
+app.put('/api/calendar/connections/:provider/calendars', authMiddleware, async (req, res) => {
+    try {
+        const choices = getProvider(req.params.provider)
+            ? await getCalendarChoices(req.userId, req.params.provider)
+            : null;
+        if (!choices) {
+            return res.status(404).json({ error: 'Calendar connection not found' });
         }
 
-        // Mark selected slot
-        await pool.query('UPDATE slots SET is_selected = TRUE WHERE id = $1', [numericSlotId]);
-
-        // Get all slots for this meeting
-        const slotsResult = await pool.query('SELECT * FROM slots WHERE meeting_id = $1', [meeting.id]);
+        const validationError = validateCalendarChoices(choices.calendars, req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
 
-        const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [meeting.user_id]);
-        const user = userResult.rows[0];
+        const { conflictCalendars, holdCalendar } = req.body;
+        await saveCalendarChoices(req.userId, req.params.provider, { conflictCalendars, holdCalendar });
+        res.json({ calendars: choices.calendars, conflictCalendars, holdCalendar });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        // Delete all non-selected slots from both calendars and DB
-        for (const slot of slotsResult.rows) {
-            if (slot.id !== numericSlotId) {
-                if (slot.google_event_id) {
-                    await deleteGoogleEvent(user.google_token, slot.google_event_id);
-                }
-                if (slot.outlook_event_id) {
-                    await deleteOutlookEvent(user.outlook_token, slot.outlook_event_id);
-                }
-                await pool.query('DELETE FROM slots WHERE id = $1', [slot.id]);
-            }
+// Holds already placed in the calendar stay there; CalSync just stops using it
+app.delete('/api/calendar/connections/:provider', authMiddleware, async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (provider) {
+            await stopConnectionWatches(req.userId, provider.id);
         }
+        if (!provider || !await deleteConnection(req.userId, provider.id)) {
+            return res.status(404).json({ error: 'Calendar connection not found' });
+        }
+        invalidateBusyCache(req.userId);
 
-        // Fetch selected slot_time and update meeting
-        const selectedSlotResult = await pool.query('SELECT slot_time FROM slots WHERE id = $1', [numericSlotId]);
+        res.json({
+            message: `${provider.name} disconnected`,
+            connections: await getConnectionStatuses(req.userId)
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        await pool.query(
-            'UPDATE meetings SET status = $1, selected_slot = $2 WHERE id = $3',
-            ['confirmed', selectedSlotResult.rows[0].slot_time, meeting.id]
+// Profile
+app.get('/api/profile', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT email, timezone, handle, reminder_offsets FROM users WHERE id = $1',
+            [req.userId]
         );
-
-        // Send confirmation emails (best-effort)
-        try {
-            await transporter.sendMail({
-                to: meeting.attendee_email,
-                subject: 'Meeting Confirmed',
-                html: `<p>Your meeting has been confirmed for ${selectedSlotResult.rows[0].slot_time}</p>`
-            });
-
-            await transporter.sendMail({
-                to: user.email,
-                subject: 'Meeting Confirmed',
-                html: `<p>${meeting.attendee_name} has selected a meeting slot for ${selectedSlotResult.rows[0].slot_time}</p>`
-            });
-        } catch (emailErr) {
-            console.log('Email error:', emailErr.message);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
         }
-
-        res.json({ message: 'Slot selected and other slots deleted', selectedSlot: selectedSlotResult.rows[0].slot_time });
+        res.json({ profile: result.rows[0] });
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
+// Leaving out handle or reminderOffsets keeps the current value; an empty handle turns the booking page off
+app.put('/api/profile', authMiddleware, async (req, res) => {
+    try {
+        const { timezone, handle, reminderOffsets } = req.body;
 
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: 'Unknown timezone' });
+        }
+        const handleError = validateBookingName(handle, 'Handle');
+        if (handleError) {
+            return res.status(400).json({ error: handleError });
+        }
+        const offsetsError = reminderOffsets !== undefined ? validateReminderOffsets(reminderOffsets) : null;
+        if (offsetsError) {
+            return res.status(400).json({ error: offsetsError });
+        }
 
-// Helper Functions
-function generateAvailableSlots(events, date) {
-    const slots = [];
-    const dayStart = new Date(date);
-    dayStart.setHours(9, 0, 0, 0);
-
-    for (let i = 0; i < 8; i++) {
-        const slotStart = new Date(dayStart.getTime() + i * 60 * 60000);
-        const slotEnd = new Date(slotStart.getTime() + 60 * 60000);
-
-        const isBooked = events.some(event => {
-            const eventStart = new Date(event.start?.dateTime || event.start?.date);
-            const eventEnd = new Date(event.end?.dateTime || event.end?.date);
-            return slotStart < eventEnd && slotEnd > eventStart;
-        });
+        const result = await pool.query(
+            `UPDATE users SET timezone = $1, handle = CASE WHEN $2 THEN $3 ELSE handle END,
+                reminder_offsets = CASE WHEN $4 THEN $5::jsonb ELSE reminder_offsets END
+             WHERE id = $6 RETURNING email, timezone, handle, reminder_offsets`,
+            [timezone, handle !== undefined, handle || null, reminderOffsets !== undefined, JSON.stringify(reminderOffsets || []), req.userId]
+        );
+        res.json({ message: 'Profile updated', profile: result.rows[0] });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'That handle is already taken' });
+        }
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        if (!isBooked) {
-            slots.push(slotStart.toISOString());
+// Email Settings
+app.get('/api/email-settings', authMiddleware, async (req, res) => {
+    try {
+        const sender = await getEmailSender(req.userId);
+        if (!sender) {
+            return res.status(404).json({ error: 'User not found' });
         }
+        res.json({ settings: formatEmailSettings(sender), locales: EMAIL_LOCALES });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
     }
+});
 
-    return slots;
-}
+app.put('/api/email-settings', authMiddleware, async (req, res) => {
+    try {
+        const error = validateEmailSettings(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-async function createGoogleEvent(userId, slotTime, attendeeEmail) {
-  try {
-    const userResult = await pool.query('SELECT google_token FROM users WHERE id = $1', [userId]);
-    const token = userResult.rows[0]?.google_token;
-    if (!token) return null;
-
-    const response = await axios.post(
-      'https://www.googleapis.com/calendar/v3/calendars/primary/events',
-      {
-        summary: `Meeting with ${attendeeEmail}`,
-        start: { dateTime: slotTime },
-        end: { dateTime: new Date(new Date(slotTime).getTime() + 60 * 60000).toISOString() },
-        attendees: [{ email: attendeeEmail }]
-      },
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    return response.data.id;
-  } catch (err) {
-    console.log('Google event creation error:', err.message);
-    return null;
-  }
-}
+        const { displayName, brandColor, logoUrl, locale } = req.body;
+        const result = await pool.query(
+            `UPDATE users SET display_name = $1, brand_color = $2, logo_url = $3, email_locale = $4
+             WHERE id = $5 RETURNING ${EMAIL_SENDER_COLUMNS}`,
+            [displayName?.trim() || null, brandColor || null, logoUrl || null, locale, req.userId]
+        );
+        res.json({ message: 'Email settings updated', settings: formatEmailSettings(result.rows[0]) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
+app.get('/api/email-templates', authMiddleware, async (req, res) => {
+    res.json({ templates: listEmailTemplates() });
+});
 
+// Renders a template with a sample meeting and the saved settings; ?locale= previews another language
+app.get('/api/email-templates/:name/preview', authMiddleware, async (req, res) => {
+    try {
+        if (!Object.hasOwn(EMAIL_TEMPLATES, req.params.name)) {
+            return res.status(404).json({ error: 'Email template not found' });
+        }
+        const { locale } = req.query;
+        if (locale !== undefined && !Object.hasOwn(EMAIL_LOCALES, locale)) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
 
-async function createOutlookEvent(userId, slotTime, attendeeEmail) {
-  try {
-    const userResult = await pool.query('SELECT outlook_token FROM users WHERE id = $1', [userId]);
-    const token = userResult.rows[0]?.outlook_token;
-    if (!token) return null;
-
-    const response = await axios.post(
-      'https://graph.microsoft.com/v1.0/me/calendar/events',
-      {
-        subject: `Meeting with ${attendeeEmail}`,
-        start: { dateTime: slotTime, timeZone: 'UTC' },
-        end: { dateTime: new Date(new Date(slotTime).getTime() + 60 * 60000).toISOString(), timeZone: 'UTC' },
-        attendees: [{ emailAddress: { address: attendeeEmail }, type: 'required' }]
-      },
-      { headers: { Authorization: `Bearer ${token}` } }
-    );
-    return response.data.id;
-  } catch (err) {
-    console.log('Outlook event creation error:', err.message);
-    return null;
-  }
-}
+        const sender = await getEmailSender(req.userId);
+        res.json({ preview: previewEmail(req.params.name, { ...sender, email_locale: locale || sender.email_locale }) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-async function deleteGoogleEvent(token, eventId) {
+// Webhooks
+app.get('/api/webhooks', authMiddleware, async (req, res) => {
     try {
-        await axios.delete(
-            `https://www.googleapis.com/calendar/v3/calendars/primary/events/${eventId}`,
-            { headers: { Authorization: `Bearer ${token}` } }
+        const result = await pool.query(
+            'SELECT * FROM webhook_endpoints WHERE user_id = $1 ORDER BY created_at',
+            [req.userId]
         );
+        res.json({ webhooks: result.rows.map(formatWebhookEndpoint), events: WEBHOOK_EVENTS });
     } catch (err) {
-        console.log('Google event deletion error:', err.message);
+        res.status(400).json({ error: err.message });
     }
-}
+});
 
-async function deleteOutlookEvent(token, eventId) {
+// The secret is only returned here, so the receiver can be set up with it right away
+app.post('/api/webhooks', authMiddleware, async (req, res) => {
     try {
-        await axios.delete(
-            `https://graph.microsoft.com/v1.0/me/calendar/events/${eventId}`,
-            { headers: { Authorization: `Bearer ${token}` } }
+        const { url, events } = req.body;
+        const error = await validateWebhookEndpoint(url, events);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const countResult = await pool.query('SELECT COUNT(*)::int AS count FROM webhook_endpoints WHERE user_id = $1', [req.userId]);
+        if (countResult.rows[0].count >= MAX_WEBHOOK_ENDPOINTS) {
+            return res.status(400).json({ error: `You can have at most ${MAX_WEBHOOK_ENDPOINTS} webhooks` });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO webhook_endpoints (user_id, url, secret, events) VALUES ($1, $2, $3, $4) RETURNING *',
+            [req.userId, url, generateWebhookSecret(), JSON.stringify(events)]
         );
+        const endpoint = result.rows[0];
+        res.json({ message: 'Webhook created', webhook: formatWebhookEndpoint(endpoint), secret: endpoint.secret });
     } catch (err) {
-        console.log('Outlook event deletion error:', err.message);
+        res.status(400).json({ error: err.message });
     }
-}
-
+});
 
+// Pausing (active: false) keeps the endpoint and its log but stops deliveries, including retries
+app.put('/api/webhooks/:id', authMiddleware, async (req, res) => {
+    try {
+        const { url, events, active } = req.body;
+        const error = await validateWebhookEndpoint(url, events);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
+        const result = await pool.query(
+            `UPDATE webhook_endpoints SET url = $1, events = $2, active = $3
+             WHERE id = $4 AND user_id = $5 RETURNING *`,
+            [url, JSON.stringify(events), active !== false, req.params.id, req.userId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ message: 'Webhook updated', webhook: formatWebhookEndpoint(result.rows[0]) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-// Initialize and Start
-initDb().then(() => {
-    app.listen(process.env.PORT || 5000, () => {
-        console.log('🚀 CalSync server running on port', process.env.PORT || 5000);
+app.delete('/api/webhooks/:id', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM webhook_endpoints WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.userId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json({ message: 'Webhook deleted' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Delivery log, newest first
+app.get('/api/webhooks/:id/deliveries', authMiddleware, async (req, res) => {
+    try {
+        const endpoint = await getWebhookEndpoint(req.userId, req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const result = await pool.query(
+            'SELECT * FROM webhook_deliveries WHERE endpoint_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2',
+            [endpoint.id, WEBHOOK_LOG_LIMIT]
+        );
+        res.json({ deliveries: result.rows.map(formatWebhookDelivery) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Sends a logged delivery again with the same payload, e.g. after fixing the receiver
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', authMiddleware, async (req, res) => {
+    try {
+        const endpoint = await getWebhookEndpoint(req.userId, req.params.id);
+        if (!endpoint) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const result = await pool.query(
+            `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, last_error = NULL
+             WHERE id = $1 AND endpoint_id = $2 RETURNING *`,
+            [req.params.deliveryId, endpoint.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        await scheduleJob('webhook.deliver', new Date(), { deliveryId: result.rows[0].id });
+        res.json({ message: 'Delivery queued', delivery: formatWebhookDelivery(result.rows[0]) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Availability Rules
+app.get('/api/availability', authMiddleware, async (req, res) => {
+    try {
+        res.json({ availability: await getAvailability(req.userId) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/availability', authMiddleware, async (req, res) => {
+    try {
+        const { weekly, overrides = [], blackoutDates = [] } = req.body;
+
+        const validationError = validateAvailability({ weekly, overrides, blackoutDates });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await pool.query(
+            `INSERT INTO availability (user_id, weekly, overrides, blackout_dates, updated_at)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+             ON CONFLICT (user_id) DO UPDATE SET
+                weekly = EXCLUDED.weekly,
+                overrides = EXCLUDED.overrides,
+                blackout_dates = EXCLUDED.blackout_dates,
+                updated_at = CURRENT_TIMESTAMP`,
+            [req.userId, JSON.stringify(weekly), JSON.stringify(overrides), JSON.stringify(blackoutDates)]
+        );
+
+        res.json({ message: 'Availability saved', availability: { weekly, overrides, blackoutDates } });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Meeting Types
+// Lists the caller's own types and those of their teams
+app.get('/api/meeting-types', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT mt.*, t.name AS team_name FROM meeting_types mt
+             LEFT JOIN teams t ON t.id = mt.team_id
+             WHERE mt.user_id = $1 OR mt.team_id IN (SELECT team_id FROM team_members WHERE user_id = $1)
+             ORDER BY mt.duration_minutes, mt.name`,
+            [req.userId]
+        );
+        res.json({ meetingTypes: result.rows.map(formatMeetingType) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/meeting-types', authMiddleware, async (req, res) => {
+    try {
+        const validationError = validateMeetingType(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const {
+            name, durationMinutes, titleTemplate, description, location, teamId, schedulingMode, slug, reminderOffsets
+        } = req.body;
+        if (teamId && !(await isTeamMember(teamId, req.userId))) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        const result = await pool.query(
+            `INSERT INTO meeting_types
+              (user_id, name, duration_minutes, title_template, description, location, team_id, scheduling_mode, slug,
+               reminder_offsets)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [
+                req.userId, name, durationMinutes, titleTemplate || DEFAULT_TITLE_TEMPLATE, description || null, location || null,
+                teamId || null, teamId ? schedulingMode : null, slug || null, reminderOffsets ? JSON.stringify(reminderOffsets) : null
+            ]
+        );
+        res.json({ message: 'Meeting type created', meetingType: formatMeetingType(result.rows[0]) });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Another of your meeting types already uses that slug' });
+        }
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/meeting-types/:id', authMiddleware, async (req, res) => {
+    try {
+        const validationError = validateMeetingType(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const {
+            name, durationMinutes, titleTemplate, description, location, teamId, schedulingMode, slug, reminderOffsets
+        } = req.body;
+        if (teamId && !(await isTeamMember(teamId, req.userId))) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        const result = await pool.query(
+            `UPDATE meeting_types
+             SET name = $1, duration_minutes = $2, title_template = $3, description = $4, location = $5,
+                 team_id = $6, scheduling_mode = $7, slug = $8, reminder_offsets = $9
+             WHERE id = $10 AND user_id = $11 RETURNING *`,
+            [
+                name, durationMinutes, titleTemplate || DEFAULT_TITLE_TEMPLATE, description || null, location || null,
+                teamId || null, teamId ? schedulingMode : null, slug || null,
+                reminderOffsets ? JSON.stringify(reminderOffsets) : null, req.params.id, req.userId
+            ]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Meeting type not found' });
+        }
+        res.json({ message: 'Meeting type updated', meetingType: formatMeetingType(result.rows[0]) });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'Another of your meeting types already uses that slug' });
+        }
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/meeting-types/:id', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM meeting_types WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.userId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Meeting type not found' });
+        }
+        res.json({ message: 'Meeting type deleted' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Teams
+// Any member can use the team's meeting types; only the owner changes who is on the team
+app.get('/api/teams', authMiddleware, async (req, res) => {
+    try {
+        const teamsResult = await pool.query(
+            `SELECT t.* FROM teams t JOIN team_members tm ON tm.team_id = t.id
+             WHERE tm.user_id = $1 ORDER BY t.name`,
+            [req.userId]
+        );
+        const teams = [];
+        for (const team of teamsResult.rows) {
+            teams.push(formatTeam(team, await getTeamMembers(team.id)));
+        }
+        res.json({ teams });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/teams', authMiddleware, async (req, res) => {
+    try {
+        const { name } = req.body;
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO teams (name, owner_id) VALUES ($1, $2) RETURNING *',
+            [name.trim(), req.userId]
+        );
+        const team = result.rows[0];
+        await pool.query('INSERT INTO team_members (team_id, user_id) VALUES ($1, $2)', [team.id, req.userId]);
+
+        res.json({ message: 'Team created', team: formatTeam(team, await getTeamMembers(team.id)) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/teams/:id', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM teams WHERE id = $1 AND owner_id = $2 RETURNING id',
+            [req.params.id, req.userId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json({ message: 'Team deleted' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Members are existing CalSync users, added by the email they signed up with
+app.post('/api/teams/:id/members', authMiddleware, async (req, res) => {
+    try {
+        const team = await getOwnedTeam(req.userId, req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [req.body.email]);
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'No CalSync account uses that email' });
+        }
+
+        await pool.query(
+            'INSERT INTO team_members (team_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [team.id, userResult.rows[0].id]
+        );
+        res.json({ message: 'Member added', team: formatTeam(team, await getTeamMembers(team.id)) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// The owner removes anyone else; members can remove themselves to leave
+app.delete('/api/teams/:id/members/:userId', authMiddleware, async (req, res) => {
+    try {
+        const teamResult = await pool.query('SELECT * FROM teams WHERE id = $1', [req.params.id]);
+        const team = teamResult.rows[0];
+        const memberId = parseInt(req.params.userId, 10);
+        if (!team || (team.owner_id !== req.userId && memberId !== req.userId)) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (memberId === team.owner_id) {
+            return res.status(400).json({ error: 'The owner cannot leave the team; delete it instead' });
+        }
+
+        const result = await pool.query(
+            'DELETE FROM team_members WHERE team_id = $1 AND user_id = $2 RETURNING user_id',
+            [team.id, memberId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        res.json({ message: 'Member removed' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Get Available Slots across the connected calendars
+// Accepts a single `date` or a `startDate`/`endDate` range (inclusive, YYYY-MM-DD)
+app.get('/api/calendar/available-slots', authMiddleware, async (req, res) => {
+    try {
+        const { date, meetingTypeId } = req.query;
+        const startDate = req.query.startDate || date;
+        const endDate = req.query.endDate || startDate;
+
+        const rangeError = validateDateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const meetingType = await getMeetingType(req.userId, meetingTypeId);
+        if (meetingTypeId && !meetingType) {
+            return res.status(404).json({ error: 'Meeting type not found' });
+        }
+        const durationMinutes = meetingType?.duration_minutes || DEFAULT_DURATION_MINUTES;
+
+        const { slotsByDay, timeZone } = await findMeetingOpenSlots(req.userId, meetingType, startDate, endDate, durationMinutes);
+
+        // Let the organizer know when a calendar was skipped because its access was revoked
+        const connections = await getConnectionStatuses(req.userId);
+        const needsReconnect = Object.keys(connections).filter(provider => connections[provider].needsReconnect);
+
+        res.json({
+            availableSlots: slotsByDay.flatMap(day => day.slots),
+            slotsByDay,
+            timezone: timeZone,
+            durationMinutes,
+            needsReconnect
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Create Meeting with Slots
+// Create Meeting with Slots
+// Pass `attendees` ([{ email, name }]) instead of attendeeEmail/attendeeName to invite a group;
+// group attendees vote on the slots, and autoFinalize (default true) books the best one once all have answered
+app.post('/api/meetings/create', authMiddleware, async (req, res) => {
+  try {
+    const { slots, meetingTypeId, expiresInHours, autoFinalize } = req.body;
+    const attendees = Array.isArray(req.body.attendees)
+      ? req.body.attendees
+      : [{ email: req.body.attendeeEmail, name: req.body.attendeeName }];
+    if (attendees.length === 0 || attendees.some(a => !a?.email || !a?.name) || !slots || slots.length === 0) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (attendees.length > MAX_GROUP_ATTENDEES) {
+      return res.status(400).json({ error: `A meeting can have at most ${MAX_GROUP_ATTENDEES} attendees` });
+    }
+    const isGroup = attendees.length > 1;
+    if (expiresInHours !== undefined && expiresInHours !== null
+        && (!Number.isFinite(expiresInHours) || expiresInHours <= 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+    const expiresAt = expiresInHours ? new Date(Date.now() + expiresInHours * 3600000) : null;
+
+    const meetingType = await getMeetingType(req.userId, meetingTypeId);
+    if (meetingTypeId && !meetingType) {
+      return res.status(404).json({ error: 'Meeting type not found' });
+    }
+
+    const meeting = await insertMeeting(req.userId, meetingType, attendees, { expiresAt, autoFinalize: autoFinalize !== false });
+
+    // Insert slots and create calendar events
+    await offerSlots(meeting, slots);
+
+    // Send email to attendee
+    try {
+      await sendInviteEmail(meeting, slots.length);
+    } catch (emailErr) {
+      console.log('Email sending error:', emailErr.message);
+    }
+    await emitMeetingEvent('meeting.created', meeting);
+
+    // The organizer owns the links, so they get them back for sharing; they're never exposed publicly
+    const links = (await getMeetingAttendees(meeting)).map(a => ({ email: a.email, link: buildMeetingLink(a.unique_link) }));
+    res.json({
+      message: 'Meeting created and email sent',
+      meetingId: meeting.id,
+      link: isGroup ? null : buildMeetingLink(meeting.unique_link),
+      links
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+
+
+// Organizer Meetings
+// List the caller's meetings, newest first.
+// Filters: status, from/to (YYYY-MM-DD, matched against the selected or offered slot times)
+app.get('/api/meetings', authMiddleware, async (req, res) => {
+    try {
+        const { status, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || 20, 1), 100);
+
+        if (status && !MEETING_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${MEETING_STATUSES.join(', ')}` });
+        }
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        const timeZone = await getUserTimeZone(req.userId);
+        const conditions = ['(m.user_id = $1 OR m.host_user_id = $1)'];
+        const params = [req.userId];
+
+        if (status) {
+            params.push(status);
+            conditions.push(`m.status = $${params.length}`);
+        }
+        if (from || to) {
+            // A meeting matches when its selected slot, or any slot still on offer, falls in the range
+            const rangeConditions = [];
+            if (from) {
+                params.push(zonedTimeToUtc(from, '00:00', timeZone));
+                rangeConditions.push(`{col} >= $${params.length}`);
+            }
+            if (to) {
+                params.push(zonedTimeToUtc(addDays(to, 1), '00:00', timeZone));
+                rangeConditions.push(`{col} < $${params.length}`);
+            }
+            const inRange = column => rangeConditions.map(c => c.replace('{col}', column)).join(' AND ');
+            conditions.push(`((${inRange('m.selected_slot')})
+                OR EXISTS (SELECT 1 FROM slots s WHERE s.meeting_id = m.id AND ${inRange('s.slot_time')}))`);
+        }
+        const where = conditions.join(' AND ');
+
+        const countResult = await pool.query(`SELECT COUNT(*) FROM meetings m WHERE ${where}`, params);
+        const meetingsResult = await pool.query(
+            `SELECT m.*,
+                (SELECT COUNT(*) FROM slots s WHERE s.meeting_id = m.id)::int AS slot_count,
+                (SELECT COUNT(*) FROM meeting_attendees a WHERE a.meeting_id = m.id)::int AS attendee_count
+             FROM meetings m
+             WHERE ${where}
+             ORDER BY m.created_at DESC, m.id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        res.json({
+            meetings: meetingsResult.rows.map(formatOrganizerMeeting),
+            page,
+            pageSize,
+            total: parseInt(countResult.rows[0].count, 10)
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.get('/api/meetings/:id/details', authMiddleware, async (req, res) => {
+    try {
+        const meeting = await getOrganizerMeeting(req.userId, req.params.id);
+        if (!meeting) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+
+        if (meeting.is_group) {
+            // Each slot row also carries yes_count, no_count and available_names
+            const attendees = await getMeetingAttendees(meeting);
+            return res.json({
+                meeting: formatOrganizerMeeting({ ...meeting, attendee_count: attendees.length }),
+                slots: await getSlotTally(meeting.id),
+                attendees: attendees.map(formatAttendee)
+            });
+        }
+
+        const slotsResult = await pool.query(
+            'SELECT id, slot_time, is_selected FROM slots WHERE meeting_id = $1 ORDER BY slot_time',
+            [meeting.id]
+        );
+
+        res.json({ meeting: formatOrganizerMeeting(meeting), slots: slotsResult.rows });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/meetings/:id/resend', authMiddleware, async (req, res) => {
+    try {
+        const meeting = await getOrganizerMeeting(req.userId, req.params.id);
+        if (!meeting) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+        if (meeting.status !== 'pending') {
+            return res.status(400).json({ error: 'Only pending meetings can be resent' });
+        }
+        if (isMeetingExpired(meeting)) {
+            return res.status(400).json({ error: 'Meeting has expired; reschedule it to send new times' });
+        }
+
+        const slotCount = await pool.query('SELECT COUNT(*) FROM slots WHERE meeting_id = $1', [meeting.id]);
+        await sendInviteEmail(meeting, parseInt(slotCount.rows[0].count, 10));
+
+        res.json({ message: 'Invite resent' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Books a group meeting at slotId, whatever the votes say
+app.post('/api/meetings/:id/finalize', authMiddleware, async (req, res) => {
+    try {
+        const meeting = await getOrganizerMeeting(req.userId, req.params.id);
+        if (!meeting) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+        if (!meeting.is_group) {
+            return res.status(400).json({ error: 'Only group meetings are finalized by the organizer' });
+        }
+        if (meeting.status !== 'pending' || isMeetingExpired(meeting)) {
+            return res.status(400).json({ error: 'Only pending meetings can be finalized' });
+        }
+
+        const slotId = parseInt(req.body.slotId, 10);
+        const slotCheck = await pool.query('SELECT id FROM slots WHERE id = $1 AND meeting_id = $2', [slotId, meeting.id]);
+        if (slotCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Slot not found for this meeting' });
+        }
+
+        const confirmedMeeting = await confirmSlot(meeting, slotId);
+        res.json({ message: 'Meeting finalized and invites sent', selectedSlot: confirmedMeeting.selected_slot });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+// Cancel / Reschedule (Organizer)
+app.post('/api/meetings/:id/cancel', authMiddleware, async (req, res) => {
+    try {
+        const meeting = await getOrganizerMeeting(req.userId, req.params.id);
+        if (!meeting) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+        if (meeting.status === 'cancelled') {
+            return res.status(400).json({ error: 'Meeting is already cancelled' });
+        }
+        if (isMeetingExpired(meeting)) {
+            return res.status(400).json({ error: 'Meeting has expired' });
+        }
+
+        await cancelMeeting(meeting, 'organizer', req.body.reason);
+        res.json({ message: 'Meeting cancelled' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Replaces the offered slots with `slots`, or with freshly computed ones when none are given
+app.post('/api/meetings/:id/reschedule', authMiddleware, async (req, res) => {
+    try {
+        const { reason, slots } = req.body;
+
+        const meeting = await getOrganizerMeeting(req.userId, req.params.id);
+        if (!meeting) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+        if (meeting.status === 'cancelled') {
+            return res.status(400).json({ error: 'Cancelled meetings cannot be rescheduled' });
+        }
+
+        const newSlots = slots && slots.length > 0 ? slots : await suggestRescheduleSlots(meeting);
+        if (newSlots.length === 0) {
+            return res.status(400).json({ error: 'No free slots found to offer' });
+        }
+
+        await rescheduleMeeting(meeting, 'organizer', reason, newSlots);
+        res.json({ message: 'Meeting rescheduled and new times sent', slotCount: newSlots.length });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Cancel / Reschedule (Attendee, via the unique link)
+app.post('/api/meetings/cancel/:uniqueLink', linkRateLimit, async (req, res) => {
+    try {
+        const found = await findMeetingByLink(req.params.uniqueLink);
+        if (!found) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+
+        const { meeting, attendee } = found;
+        if (attendee) {
+            return res.status(400).json({ error: 'Only the organizer can cancel a group meeting' });
+        }
+        if (meeting.status === 'cancelled') {
+            return res.status(400).json({ error: 'Meeting is already cancelled' });
+        }
+        if (isMeetingExpired(meeting)) {
+            return res.status(410).json({ error: 'This meeting link has expired' });
+        }
+
+        await cancelMeeting(meeting, 'attendee', req.body.reason);
+        res.json({ message: 'Meeting cancelled' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// The attendee can't see the organizer's calendar, so new slots are always computed for them
+app.post('/api/meetings/reschedule/:uniqueLink', linkRateLimit, async (req, res) => {
+    try {
+        const found = await findMeetingByLink(req.params.uniqueLink);
+        if (!found) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+
+        const { meeting, attendee } = found;
+        if (attendee) {
+            return res.status(400).json({ error: 'Only the organizer can reschedule a group meeting' });
+        }
+        if (meeting.status !== 'confirmed') {
+            return res.status(400).json({ error: 'Only confirmed meetings can be rescheduled' });
+        }
+
+        const newSlots = await suggestRescheduleSlots(meeting);
+        if (newSlots.length === 0) {
+            return res.status(400).json({ error: 'The organizer has no free slots in the coming days' });
+        }
+
+        await rescheduleMeeting(meeting, 'attendee', req.body.reason, newSlots);
+        res.json({ message: 'New times are available to pick from', slotCount: newSlots.length });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Calendar Feed
+// Secret per-user iCalendar feed. The token is the only credential, so rotating it
+// revokes every existing subscription.
+app.get('/api/feeds', authMiddleware, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT feed_token FROM users WHERE id = $1', [req.userId]);
+        const token = result.rows[0]?.feed_token;
+        res.json({ feedUrl: token ? buildFeedUrl(req, token) : null });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/feeds/rotate', authMiddleware, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        await pool.query('UPDATE users SET feed_token = $1 WHERE id = $2', [token, req.userId]);
+        res.json({ message: 'Feed URL generated', feedUrl: buildFeedUrl(req, token) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/feeds', authMiddleware, async (req, res) => {
+    try {
+        await pool.query('UPDATE users SET feed_token = NULL WHERE id = $1', [req.userId]);
+        res.json({ message: 'Feed URL revoked' });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Public: confirmed meetings, plus pending holds with ?includePending=true
+app.get('/api/feeds/:token.ics', async (req, res) => {
+    try {
+        const userResult = await pool.query('SELECT id, email, display_name FROM users WHERE feed_token = $1', [req.params.token]);
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+        const organizer = userResult.rows[0];
+
+        const confirmed = await pool.query(
+            `SELECT * FROM meetings
+             WHERE COALESCE(host_user_id, user_id) = $1 AND status = 'confirmed' AND selected_slot IS NOT NULL
+             ORDER BY selected_slot`,
+            [organizer.id]
+        );
+        const vevents = confirmed.rows.map(meeting => buildMeetingVevent(meeting, organizer));
+
+        if (req.query.includePending === 'true') {
+            const holds = await pool.query(
+                `SELECT m.*, s.id AS slot_id, s.slot_time
+                 FROM meetings m JOIN slots s ON s.meeting_id = m.id
+                 WHERE m.user_id = $1 AND m.status = 'pending'
+                   AND m.scheduling_mode IS DISTINCT FROM 'round_robin'
+                   AND (m.expires_at IS NULL OR m.expires_at > CURRENT_TIMESTAMP)
+                 ORDER BY s.slot_time`,
+                [organizer.id]
+            );
+            vevents.push(...holds.rows.map(hold => buildHoldVevent(hold, organizer)));
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="calsync.ics"');
+        res.send(buildIcsDocument(vevents, null, 'CalSync Meetings'));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Calendar Notifications (Public)
+// Providers post here when a watched calendar changes. The posts only say that something
+// changed, so each one queues a reconcile for the watch's user. Unknown channels are ignored.
+app.post('/api/calendar-notifications/google', async (req, res) => {
+    try {
+        const watch = await findWatch('google', req.get('X-Goog-Channel-ID'), req.get('X-Goog-Channel-Token'));
+        // 'sync' only announces a new channel
+        if (watch && req.get('X-Goog-Resource-State') !== 'sync') {
+            await queueCalendarReconcile(watch.user_id);
+        }
+        res.status(200).end();
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/calendar-notifications/outlook', async (req, res) => {
+    try {
+        // Graph checks a new subscription's URL by having it echo the token as plain text
+        if (req.query.validationToken) {
+            return res.type('text/plain').send(String(req.query.validationToken));
+        }
+
+        for (const notification of req.body?.value || []) {
+            const watch = await findWatch('outlook', notification.subscriptionId, notification.clientState);
+            if (watch) {
+                await queueCalendarReconcile(watch.user_id);
+            }
+        }
+        res.status(202).end();
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Select Slot (Public endpoint)
+// Select Slot (Public endpoint)
+app.post('/api/meetings/select-slot/:uniqueLink', linkRateLimit, async (req, res) => {
+    try {
+        const { slotId, timezone } = req.body;
+        const { uniqueLink } = req.params;
+
+        if (slotId === undefined || slotId === null) {
+            return res.status(400).json({ error: 'Slot ID required' });
+        }
+
+        const numericSlotId = parseInt(slotId, 10);
+        if (isNaN(numericSlotId)) return res.status(400).json({ error: 'Invalid Slot ID' });
+
+        // fetch meeting by link
+        const found = await findMeetingByLink(uniqueLink);
+        if (!found) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+
+        const { meeting, attendee } = found;
+        if (attendee) {
+            return res.status(400).json({ error: 'Group meetings are scheduled by vote' });
+        }
+        if (meeting.status === 'cancelled') {
+            return res.status(400).json({ error: 'This meeting has been cancelled' });
+        }
+        if (isMeetingExpired(meeting)) {
+            return res.status(410).json({ error: 'This meeting link has expired' });
+        }
+
+        // verify the slot belongs to this meeting
+        const slotCheck = await pool.query('SELECT * FROM slots WHERE id = $1 AND meeting_id = $2', [numericSlotId, meeting.id]);
+        if (slotCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Slot not found for this meeting' });
+        }
+
+        // Remember the zone the attendee picked so later emails use it too
+        const attendeeTimeZone = isValidTimeZone(timezone) ? timezone : meeting.attendee_timezone;
+        const confirmedMeeting = await confirmSlot(meeting, numericSlotId, attendeeTimeZone);
+
+        res.json({ message: 'Slot selected and other slots deleted', selectedSlot: confirmedMeeting.selected_slot });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+// Group Voting (Public endpoint)
+// availableSlotIds lists the offered slots that work for this attendee; every other slot counts as a no.
+// Answering again replaces the earlier answer.
+app.post('/api/meetings/vote/:uniqueLink', linkRateLimit, async (req, res) => {
+    try {
+        const { availableSlotIds, timezone } = req.body;
+        if (!Array.isArray(availableSlotIds)) {
+            return res.status(400).json({ error: 'availableSlotIds must be a list of slot IDs' });
+        }
+
+        const found = await findMeetingByLink(req.params.uniqueLink);
+        if (!found) {
+            return res.status(404).json({ error: 'Meeting not found' });
+        }
+
+        const { meeting, attendee } = found;
+        if (!attendee) {
+            return res.status(400).json({ error: 'This meeting has a single attendee; select a slot instead' });
+        }
+        if (meeting.status === 'cancelled') {
+            return res.status(400).json({ error: 'This meeting has been cancelled' });
+        }
+        if (isMeetingExpired(meeting)) {
+            return res.status(410).json({ error: 'This meeting link has expired' });
+        }
+        if (meeting.status !== 'pending') {
+            return res.status(400).json({ error: 'This meeting has already been scheduled' });
+        }
+
+        const slotsResult = await pool.query('SELECT id FROM slots WHERE meeting_id = $1', [meeting.id]);
+        const slotIds = slotsResult.rows.map(slot => slot.id);
+        const available = availableSlotIds.map(id => parseInt(id, 10));
+        if (available.some(id => !slotIds.includes(id))) {
+            return res.status(404).json({ error: 'Slot not found for this meeting' });
+        }
+
+        await pool.query('DELETE FROM slot_votes WHERE attendee_id = $1', [attendee.id]);
+        for (const slotId of slotIds) {
+            await pool.query(
+                'INSERT INTO slot_votes (attendee_id, slot_id, available) VALUES ($1, $2, $3)',
+                [attendee.id, slotId, available.includes(slotId)]
+            );
+        }
+        await pool.query(
+            'UPDATE meeting_attendees SET responded_at = CURRENT_TIMESTAMP, timezone = COALESCE($1, timezone) WHERE id = $2',
+            [isValidTimeZone(timezone) ? timezone : null, attendee.id]
+        );
+
+        const finalizedMeeting = await handleGroupResponse(meeting);
+        res.json({
+            message: finalizedMeeting ? 'Thanks! Everyone has answered and the meeting is scheduled' : 'Thanks, your availability was saved',
+            selectedSlot: finalizedMeeting?.selected_slot || null
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+
+
+// Public Booking Page
+// Visitors book an open slot directly from /book/<handle>. Without a type slug the meeting
+// has the default length; /book/<handle>/<slug> books that meeting type instead.
+app.get('/api/book/:handle', bookingRateLimit, async (req, res) => {
+    try {
+        const booking = await findBookingPage(req.params.handle);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking page not found' });
+        }
+
+        const typesResult = await pool.query(
+            'SELECT * FROM meeting_types WHERE user_id = $1 AND slug IS NOT NULL ORDER BY duration_minutes, name',
+            [booking.organizer.id]
+        );
+        res.json({
+            organizer: { handle: booking.organizer.handle, timezone: booking.organizer.timezone },
+            defaultDurationMinutes: DEFAULT_DURATION_MINUTES,
+            meetingTypes: typesResult.rows.map(formatBookingType)
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Same date parameters as /api/calendar/available-slots, plus `type` (a meeting type slug)
+app.get('/api/book/:handle/slots', bookingRateLimit, async (req, res) => {
+    try {
+        const { type } = req.query;
+        const startDate = req.query.startDate;
+        const endDate = req.query.endDate || startDate;
+
+        const rangeError = validateDateRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const booking = await findBookingPage(req.params.handle, type);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking page not found' });
+        }
+
+        const { slotsByDay, timeZone, durationMinutes } = await findBookableSlots(booking, startDate, endDate);
+        res.json({ slotsByDay, timezone: timeZone, durationMinutes });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Books `slot` (an ISO time from /slots) for the visitor. The meeting is created already
+// confirmed, with the same calendar event and emails as a slot picked from an invite.
+app.post('/api/book/:handle', bookingRateLimit, async (req, res) => {
+    try {
+        const { type, name, email, slot, timezone } = req.body;
+        const visitorError = slot ? validateVisitor({ name, email }) : 'Name, email and a time are required';
+        if (visitorError) {
+            return res.status(400).json({ error: visitorError });
+        }
+
+        const booking = await findBookingPage(req.params.handle, type);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking page not found' });
+        }
+
+        const start = new Date(slot);
+        if (isNaN(start.getTime())) {
+            return res.status(400).json({ error: 'Invalid time' });
+        }
+
+        // Availability is recomputed so a time taken since the page loaded can't be booked
+        const date = formatZonedDateTime(start, booking.organizer.timezone || 'UTC').slice(0, 10);
+        const { slotsByDay } = await findBookableSlots(booking, date, date);
+        if (!slotsByDay[0].slots.includes(start.toISOString())) {
+            return res.status(409).json({ error: 'That time is no longer available; please pick another' });
+        }
+
+        // The calendar event is only placed once the booking is accepted, so a rejected one
+        // leaves nothing behind in the organizer's calendar. confirmSlot books under the host's
+        // lock, so of two visitors racing for this time one gets it and the other a 409.
+        const meeting = await insertMeeting(booking.organizer.id, booking.meetingType, [{ email, name: name.trim() }]);
+        await offerSlots(meeting, [start.toISOString()], { holds: false });
+        const slotsResult = await pool.query('SELECT * FROM slots WHERE meeting_id = $1', [meeting.id]);
+        let confirmedMeeting;
+        try {
+            confirmedMeeting = await confirmSlot(meeting, slotsResult.rows[0].id, isValidTimeZone(timezone) ? timezone : null);
+        } catch (err) {
+            // Nothing was sent for it yet, so the unbooked meeting is removed again
+            await pool.query('DELETE FROM slots WHERE meeting_id = $1', [meeting.id]);
+            await pool.query('DELETE FROM meetings WHERE id = $1', [meeting.id]);
+            throw err;
+        }
+        // confirmSlot already placed a round-robin booking in its host's calendars
+        if (!isRoundRobin(confirmedMeeting)) {
+            await placeSlotHolds(confirmedMeeting, slotsResult.rows);
+        }
+        await emitMeetingEvent('meeting.created', confirmedMeeting);
+
+        // The link lets the visitor cancel or ask for another time later
+        res.json({
+            message: 'Meeting booked and confirmation email sent',
+            selectedSlot: confirmedMeeting.selected_slot,
+            link: buildMeetingLink(meeting.unique_link)
+        });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+// Helper Functions
+// Availability windows are wall-clock times in the organizer's timezone
+// busy is a list of { start, end } intervals from the connected calendars
+function generateAvailableSlots(busy, date, availability, timeZone, durationMinutes) {
+    const slots = [];
+
+    for (const window of getWindowsForDate(availability, date)) {
+        const windowEnd = zonedTimeToUtc(date, window.end, timeZone);
+
+        let slotStart = zonedTimeToUtc(date, window.start, timeZone);
+        while (slotStart.getTime() + durationMinutes * 60000 <= windowEnd.getTime()) {
+            const slotEnd = new Date(slotStart.getTime() + durationMinutes * 60000);
+
+            const isBooked = busy.some(interval => slotStart < interval.end && slotEnd > interval.start);
+
+            if (!isBooked) {
+                slots.push(slotStart.toISOString());
+            }
+            slotStart = slotEnd;
+        }
+    }
+
+    return slots;
+}
+
+// Meeting Type Helpers
+const DEFAULT_DURATION_MINUTES = 60;
+const DEFAULT_TITLE_TEMPLATE = 'Meeting with {attendeeName}';
+
+function formatMeetingType(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        durationMinutes: row.duration_minutes,
+        titleTemplate: row.title_template,
+        description: row.description,
+        location: row.location,
+        teamId: row.team_id,
+        teamName: row.team_name || null,
+        schedulingMode: row.scheduling_mode,
+        slug: row.slug,
+        // null means the organizer's default reminders
+        reminderOffsets: row.reminder_offsets
+    };
+}
+
+// Returns an error message, or null when the meeting type is valid
+function validateMeetingType({ name, durationMinutes, titleTemplate, teamId, schedulingMode, slug, reminderOffsets }) {
+    if (!name || !name.trim()) return 'Name is required';
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 480) {
+        return 'Duration must be a whole number of minutes between 5 and 480';
+    }
+    if (titleTemplate !== undefined && titleTemplate !== null && typeof titleTemplate !== 'string') {
+        return 'Title template must be text';
+    }
+    if (teamId && !SCHEDULING_MODES.includes(schedulingMode)) {
+        return `Team meeting types need a scheduling mode: ${SCHEDULING_MODES.join(' or ')}`;
+    }
+    if (reminderOffsets !== undefined && reminderOffsets !== null) {
+        const offsetsError = validateReminderOffsets(reminderOffsets);
+        if (offsetsError) return offsetsError;
+    }
+    return validateBookingName(slug, 'Slug');
+}
+
+// The user's own meeting type, or one shared by a team they belong to
+async function getMeetingType(userId, meetingTypeId) {
+    if (!meetingTypeId) return null;
+    const result = await pool.query(
+        `SELECT * FROM meeting_types
+         WHERE id = $1 AND (user_id = $2 OR team_id IN (SELECT team_id FROM team_members WHERE user_id = $2))`,
+        [meetingTypeId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+// Booking Page Helpers
+// Handles and slugs are part of public URLs
+const BOOKING_NAME_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+
+// Returns an error message, or null when the handle / slug is valid or left empty
+function validateBookingName(value, label) {
+    if (value && (typeof value !== 'string' || !BOOKING_NAME_PATTERN.test(value))) {
+        return `${label} can only use lowercase letters, digits and dashes, up to 40 characters`;
+    }
+    return null;
+}
+
+// Visitor details end up in mail headers and calendar invites (ATTENDEE;CN=...:mailto:...),
+// so line breaks and the characters those formats treat as separators are refused
+const VISITOR_EMAIL_PATTERN = /^[^\s@"<>(),;:\\]+@[^\s@"<>(),;:\\]+\.[^\s@"<>(),;:\\]+$/;
+const MAX_VISITOR_EMAIL_LENGTH = 254;
+const MAX_VISITOR_NAME_LENGTH = 100;
+
+// Returns an error message, or null when the visitor's name and email can be used
+function validateVisitor({ name, email }) {
+    if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || !email) {
+        return 'Name, email and a time are required';
+    }
+    if (name.length > MAX_VISITOR_NAME_LENGTH || /[\u0000-\u001f\u007f]/.test(name)) {
+        return `Name must be a single line of at most ${MAX_VISITOR_NAME_LENGTH} characters`;
+    }
+    if (email.length > MAX_VISITOR_EMAIL_LENGTH || !VISITOR_EMAIL_PATTERN.test(email)) {
+        return 'Please enter a valid email address';
+    }
+    return null;
+}
+
+// What a visitor may see of a meeting type
+function formatBookingType(row) {
+    return {
+        slug: row.slug,
+        name: row.name,
+        durationMinutes: row.duration_minutes,
+        description: row.description,
+        location: row.location
+    };
+}
+
+// { organizer, meetingType } for a handle and optional type slug, or null when either is unknown
+async function findBookingPage(handle, slug) {
+    const organizerResult = await pool.query(
+        'SELECT id, handle, timezone FROM users WHERE handle = $1',
+        [String(handle).toLowerCase()]
+    );
+    const organizer = organizerResult.rows[0];
+    if (!organizer) return null;
+    if (!slug) return { organizer, meetingType: null };
+
+    const typeResult = await pool.query(
+        'SELECT * FROM meeting_types WHERE user_id = $1 AND slug = $2',
+        [organizer.id, String(slug).toLowerCase()]
+    );
+    return typeResult.rows[0] ? { organizer, meetingType: typeResult.rows[0] } : null;
+}
+
+// Open slots for a booking page, without the ones that have already started
+async function findBookableSlots({ organizer, meetingType }, startDate, endDate) {
+    const durationMinutes = meetingType?.duration_minutes || DEFAULT_DURATION_MINUTES;
+    const { slotsByDay, timeZone } = await findMeetingOpenSlots(organizer.id, meetingType, startDate, endDate, durationMinutes);
+    const now = new Date();
+    return {
+        slotsByDay: slotsByDay.map(day => ({ ...day, slots: day.slots.filter(slot => new Date(slot) > now) })),
+        timeZone,
+        durationMinutes
+    };
+}
+
+// Fills {attendeeName}, {attendeeEmail} and {organizerEmail} placeholders
+function renderTitleTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+// Meeting Helpers
+const MEETING_STATUSES = ['pending', 'confirmed', 'cancelled', 'expired'];
+
+function isMeetingExpired(meeting) {
+    if (meeting.status === 'expired') return true;
+    return meeting.status === 'pending' && !!meeting.expires_at && new Date(meeting.expires_at) <= new Date();
+}
+
+// Feed URLs point at this API; BACKEND_URL covers deployments behind a proxy
+function buildFeedUrl(req, token) {
+    const base = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base}/api/feeds/${token}.ics`;
+}
+
+// 192 random bits: links are the attendee's only credential, so they must not be guessable.
+// Links handed out before this stay valid; the rate limits cover them.
+function generateUniqueLink() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+function buildMeetingLink(uniqueLink) {
+    return `${process.env.FRONTEND_URL}/select-slot/${uniqueLink}`;
+}
+
+// Account Helpers
+// Verification and reset links carry a random token; only its SHA-256 hash is stored
+const ACCOUNT_TOKEN_TTL_HOURS = { verify_email: 24, reset_password: 1 };
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+// Returns an error message, or null when the password can be used
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+        return `Password must be at most ${MAX_PASSWORD_BYTES} characters`;
+    }
+    return null;
+}
+
+function hashAccountToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function getAccountByEmail(email) {
+    const result = await pool.query(
+        `SELECT ${EMAIL_SENDER_COLUMNS}, email_verified_at FROM users WHERE email = $1`,
+        [email]
+    );
+    return result.rows[0] || null;
+}
+
+// Issues a token for purpose, replacing the user's earlier unused ones so only the newest link works
+async function createAccountToken(userId, purpose) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await pool.query(
+        'DELETE FROM account_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+        [userId, purpose]
+    );
+    await pool.query(
+        'INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+        [userId, purpose, hashAccountToken(token), new Date(Date.now() + ACCOUNT_TOKEN_TTL_HOURS[purpose] * 60 * 60 * 1000)]
+    );
+    return token;
+}
+
+// Spends the token and returns its user id, or null when it is unknown, expired or already used.
+// Marking it used in the same statement means two requests racing with one link can't both succeed.
+async function consumeAccountToken(db, token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+    const result = await db.query(
+        `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [hashAccountToken(token), purpose]
+    );
+    return result.rows[0]?.user_id ?? null;
+}
+
+function buildAccountLink(page, token) {
+    return `${process.env.FRONTEND_URL}/${page}?token=${token}`;
+}
+
+// Best-effort like the meeting emails; the user can always ask for another link
+async function sendAccountEmail(user, template, data) {
+    try {
+        await transporter.sendMail({ to: user.email, ...renderAccountEmail(template, user, data) });
+    } catch (emailErr) {
+        console.log('Email error:', emailErr.message);
+    }
+}
+
+async function sendVerificationEmail(user) {
+    await sendAccountEmail(user, 'verifyEmail', {
+        link: buildAccountLink('verify-email', await createAccountToken(user.id, 'verify_email')),
+        expiresInHours: ACCOUNT_TOKEN_TTL_HOURS.verify_email
+    });
+}
+
+async function sendPasswordChangedEmail(user) {
+    await sendAccountEmail(user, 'passwordChanged', { link: `${process.env.FRONTEND_URL}/forgot-password` });
+}
+
+function formatSession(row, currentSessionId) {
+    return {
+        id: row.id,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+        current: row.id === currentSessionId
+    };
+}
+
+// Email Helpers
+// Emails are rendered from the templates in emails.js with the sender's settings. Attendee
+// emails are sent as the meeting's host, so a round-robin booking carries the host's name.
+const EMAIL_SENDER_COLUMNS = 'id, email, timezone, display_name, brand_color, logo_url, email_locale';
+const BRAND_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+async function getEmailSender(userId) {
+    const result = await pool.query(`SELECT ${EMAIL_SENDER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+    return result.rows[0] || null;
+}
+
+function formatEmailSettings(row) {
+    return {
+        displayName: row.display_name,
+        brandColor: row.brand_color,
+        logoUrl: row.logo_url,
+        locale: row.email_locale
+    };
+}
+
+// Returns an error message, or null when the settings are valid
+function validateEmailSettings({ displayName, brandColor, logoUrl, locale }) {
+    if (displayName && (typeof displayName !== 'string' || displayName.trim().length > 100)) {
+        return 'Display name must be at most 100 characters';
+    }
+    if (brandColor && !BRAND_COLOR_PATTERN.test(brandColor)) {
+        return 'Brand color must be a hex color like #007bff';
+    }
+    if (logoUrl && (typeof logoUrl !== 'string' || !/^https:\/\/\S+$/i.test(logoUrl))) {
+        return 'Logo URL must start with https://';
+    }
+    if (!Object.hasOwn(EMAIL_LOCALES, locale)) {
+        return 'Unsupported language';
+    }
+    return null;
+}
+
+// Webhook Helpers
+const WEBHOOK_LOG_LIMIT = 50;
+
+function formatWebhookEndpoint(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: row.events,
+        active: row.active,
+        createdAt: row.created_at
+    };
+}
+
+function formatWebhookDelivery(row) {
+    return {
+        id: row.id,
+        event: row.event,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        lastError: row.last_error,
+        payload: row.payload,
+        deliveredAt: row.delivered_at,
+        createdAt: row.created_at
+    };
+}
+
+async function getWebhookEndpoint(userId, endpointId) {
+    const result = await pool.query(
+        'SELECT * FROM webhook_endpoints WHERE id = $1 AND user_id = $2',
+        [endpointId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+// Returns an error message, or null when the endpoint is valid.
+// The host must resolve to public addresses only; deliveries check it again when they connect.
+async function validateWebhookEndpoint(url, events) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'Webhook URL is not a valid URL';
+    }
+    if (parsed.protocol !== 'https:') {
+        return 'Webhook URL must start with https://';
+    }
+    try {
+        await assertPublicUrl(parsed);
+    } catch (err) {
+        return `Webhook URL can't be used: ${err.message}`;
+    }
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+        return `Events must be one or more of ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+    return null;
+}
+
+// Webhook payloads describe the meeting the way the organizer's own API sees it
+async function emitMeetingEvent(event, meeting) {
+    try {
+        const attendees = await getMeetingAttendees(meeting);
+        await emitWebhookEvent(meeting.user_id, event, {
+            meeting: {
+                ...formatOrganizerMeeting(meeting),
+                attendees: attendees.map(attendee => ({ email: attendee.email, name: attendee.name }))
+            }
+        });
+    } catch (err) {
+        console.log(`Webhook error for meeting ${meeting.id}:`, err.message);
+    }
+}
+
+// Template data shared by every email about the meeting
+function meetingEmailData(meeting) {
+    return {
+        title: meeting.title,
+        durationMinutes: meeting.duration_minutes,
+        location: meeting.location,
+        description: meeting.description,
+        attendeeName: meeting.attendee_name,
+        isGroup: meeting.is_group
+    };
+}
+
+// Creates the meeting with a copy of its type's details. Group meetings keep their first
+// attendee on the row for lists and search, and get a meeting_attendees row per person.
+async function insertMeeting(userId, meetingType, attendees, { expiresAt = null, autoFinalize = true } = {}) {
+    const isGroup = attendees.length > 1;
+    const organizerResult = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+    const title = renderTitleTemplate(meetingType?.title_template || DEFAULT_TITLE_TEMPLATE, {
+        attendeeName: attendees.map(a => a.name).join(', '),
+        attendeeEmail: attendees.map(a => a.email).join(', '),
+        organizerEmail: organizerResult.rows[0]?.email
+    });
+
+    const meetingResult = await pool.query(
+        `INSERT INTO meetings
+          (user_id, attendee_email, attendee_name, unique_link, meeting_type_id, title, description, location,
+           duration_minutes, expires_at, is_group, auto_finalize, team_id, scheduling_mode)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *`,
+        [
+            userId, attendees[0].email, attendees[0].name, generateUniqueLink(), meetingType?.id || null, title,
+            meetingType?.description || null, meetingType?.location || null,
+            meetingType?.duration_minutes || DEFAULT_DURATION_MINUTES, expiresAt, isGroup, autoFinalize,
+            meetingType?.team_id || null, meetingType?.scheduling_mode || null
+        ]
+    );
+    const meeting = meetingResult.rows[0];
+
+    if (isGroup) {
+        for (const attendee of attendees) {
+            await pool.query(
+                'INSERT INTO meeting_attendees (meeting_id, email, name, unique_link) VALUES ($1, $2, $3, $4)',
+                [meeting.id, attendee.email, attendee.name, generateUniqueLink()]
+            );
+        }
+    }
+    return meeting;
+}
+
+// Meetings the user created, or was assigned to host by round-robin
+async function getOrganizerMeeting(userId, meetingId) {
+    const result = await pool.query(
+        'SELECT * FROM meetings WHERE id = $1 AND (user_id = $2 OR host_user_id = $2)',
+        [meetingId, userId]
+    );
+    return result.rows[0] || null;
+}
+
+function formatOrganizerMeeting(row) {
+    return {
+        id: row.id,
+        attendeeEmail: row.attendee_email,
+        attendeeName: row.attendee_name,
+        title: row.title,
+        description: row.description,
+        location: row.location,
+        durationMinutes: row.duration_minutes,
+        status: row.status,
+        cancellationReason: row.cancellation_reason,
+        cancelledBy: row.cancelled_by,
+        rescheduleReason: row.reschedule_reason,
+        expiresAt: row.expires_at,
+        selectedSlot: row.selected_slot,
+        slotCount: row.slot_count,
+        isGroup: row.is_group,
+        autoFinalize: row.auto_finalize,
+        attendeeCount: row.attendee_count,
+        schedulingMode: row.scheduling_mode,
+        hostUserId: row.host_user_id,
+        // Group attendees each have their own link, listed with the meeting details
+        link: row.is_group ? null : buildMeetingLink(row.unique_link),
+        createdAt: row.created_at
+    };
+}
+
+// Group attendees who already answered aren't asked again
+async function sendInviteEmail(meeting, slotCount) {
+    const sender = await getEmailSender(meeting.user_id);
+    const attendees = await getMeetingAttendees(meeting);
+    for (const attendee of attendees.filter(a => !a.responded_at)) {
+        await transporter.sendMail({
+            to: attendee.email,
+            ...renderEmail('invite', sender, {
+                ...meetingEmailData(meeting),
+                attendeeName: attendee.name,
+                slotCount,
+                link: buildMeetingLink(attendee.unique_link)
+            })
+        });
+    }
+}
+
+// Calendar event for one slot of the meeting, in the organizer's timezone
+function buildSlotEvent(meeting, slotTime, timeZone, attendees) {
+    const start = new Date(slotTime);
+    return {
+        start,
+        end: new Date(start.getTime() + meeting.duration_minutes * 60000),
+        timeZone,
+        title: meeting.title,
+        description: meeting.description,
+        location: meeting.location,
+        attendees: attendees.map(attendee => attendee.email)
+    };
+}
+
+// Inserts the offered slots and places a hold for each in the organizer's calendars.
+// Round-robin meetings have no host until a slot is picked, so nothing is held for them.
+// Pass holds: false to insert the slots without placing their holds; the caller then places
+// them with placeSlotHolds once it knows the meeting is going ahead
+async function offerSlots(meeting, slotTimes, { holds = true } = {}) {
+    const slots = [];
+    for (const slotTime of slotTimes) {
+        const insert = await pool.query(
+            'INSERT INTO slots (meeting_id, slot_time) VALUES ($1, $2) RETURNING id, slot_time',
+            [meeting.id, slotTime]
+        );
+        slots.push(insert.rows[0]);
+    }
+
+    // Fire-and-forget calendar events
+    if (holds && !isRoundRobin(meeting)) {
+        placeSlotHolds(meeting, slots).catch(console.log);
+    }
+    await scheduleReminders(meeting);
+}
+
+async function placeSlotHolds(meeting, slots) {
+    const timeZone = await getUserTimeZone(meeting.user_id);
+    const guests = [...await getMeetingAttendees(meeting), ...await getCollectiveCoHosts(meeting)];
+    for (const s of slots) {
+        await createSlotEvents(meeting.user_id, s.id, buildSlotEvent(meeting, s.slot_time, timeZone, guests));
+    }
+}
+
+async function releaseSlotEvents(meeting, slots) {
+    await deleteSlotEvents(getMeetingHostId(meeting), slots.map(slot => slot.id));
+}
+
+// Earliest open slots over the next week, starting tomorrow in the organizer's timezone
+const RESCHEDULE_SEARCH_DAYS = 7;
+const MAX_RESCHEDULE_SLOTS = 10;
+
+async function suggestRescheduleSlots(meeting) {
+    const timeZone = await getUserTimeZone(meeting.user_id);
+    const today = formatZonedDateTime(new Date(), timeZone).slice(0, 10);
+    const startDate = addDays(today, 1);
+    const endDate = addDays(today, RESCHEDULE_SEARCH_DAYS);
+
+    const { slotsByDay } = await findMeetingOpenSlots(meeting.user_id, meeting, startDate, endDate, meeting.duration_minutes);
+    const previous = meeting.selected_slot ? new Date(meeting.selected_slot).toISOString() : null;
+    return slotsByDay
+        .flatMap(day => day.slots)
+        .filter(slot => slot !== previous)
+        .slice(0, MAX_RESCHEDULE_SLOTS);
+}
+
+async function cancelMeeting(meeting, cancelledBy, reason) {
+    const slotsResult = await pool.query('SELECT * FROM slots WHERE meeting_id = $1', [meeting.id]);
+    await releaseSlotEvents(meeting, slotsResult.rows);
+    await cancelJobs(meeting.id);
+
+    // Bumping the sequence lets calendar clients apply the cancellation to the event they already have
+    const cancelledResult = await pool.query(
+        `UPDATE meetings
+         SET status = 'cancelled', cancellation_reason = $1, cancelled_by = $2, cancelled_at = CURRENT_TIMESTAMP,
+             ical_sequence = ical_sequence + 1
+         WHERE id = $3 RETURNING *`,
+        [reason || null, cancelledBy, meeting.id]
+    );
+    const cancelledMeeting = cancelledResult.rows[0];
+    await emitMeetingEvent('meeting.cancelled', cancelledMeeting);
+
+    const organizer = await getEmailSender(getMeetingHostId(meeting));
+    const emailData = { ...meetingEmailData(meeting), cancelledBy, reason, slotTime: meeting.selected_slot };
+
+    const attendees = await getMeetingAttendees(cancelledMeeting);
+
+    try {
+        for (const attendee of attendees) {
+            await transporter.sendMail({
+                to: attendee.email,
+                ...renderEmail('cancelled', organizer, { ...emailData, attendeeName: attendee.name, timeZone: attendee.timezone }),
+                // Only a confirmed meeting was ever sent as an invite, so only it needs a CANCEL
+                icalEvent: cancelledMeeting.selected_slot ? {
+                    method: 'CANCEL',
+                    filename: 'cancel.ics',
+                    content: buildMeetingIcs(cancelledMeeting, organizer, 'CANCEL', attendees)
+                } : undefined
+            });
+        }
+
+        await transporter.sendMail({
+            to: organizer.email,
+            ...renderEmail('cancelledOrganizer', organizer, emailData)
+        });
+    } catch (emailErr) {
+        console.log('Email error:', emailErr.message);
+    }
+}
+
+// Drops the current slots and their calendar events, then reopens selection with newSlots
+async function rescheduleMeeting(meeting, requestedBy, reason, newSlots) {
+    const slotsResult = await pool.query('SELECT * FROM slots WHERE meeting_id = $1', [meeting.id]);
+    await releaseSlotEvents(meeting, slotsResult.rows);
+    await pool.query('DELETE FROM slots WHERE meeting_id = $1', [meeting.id]);
+    // Votes went with the slots, so every group attendee answers again
+    await pool.query('UPDATE meeting_attendees SET responded_at = NULL WHERE meeting_id = $1', [meeting.id]);
+
+    const updated = await pool.query(
+        `UPDATE meetings SET status = 'pending', selected_slot = NULL, reschedule_reason = $1, expires_at = NULL,
+            host_user_id = NULL, ical_sequence = ical_sequence + 1
+         WHERE id = $2 RETURNING *`,
+        [reason || null, meeting.id]
+    );
+    await offerSlots(updated.rows[0], newSlots);
+    await emitMeetingEvent('meeting.rescheduled', updated.rows[0]);
+
+    // A round-robin host is picked again with the new time, so the previous one is told here
+    const organizer = await getEmailSender(getMeetingHostId(meeting));
+    const emailData = { ...meetingEmailData(meeting), reason, slotCount: newSlots.length, slotTime: meeting.selected_slot };
+    const attendees = await getMeetingAttendees(meeting);
+
+    // A confirmed meeting's invite is on the attendees' calendars at the old time. It is cancelled
+    // with the bumped sequence; confirming a new time sends a fresh invite with the same UID.
+    const cancelIcs = meeting.selected_slot
+        ? buildMeetingIcs({ ...updated.rows[0], selected_slot: meeting.selected_slot }, organizer, 'CANCEL', attendees)
+        : null;
+
+    try {
+        for (const attendee of attendees) {
+            await transporter.sendMail({
+                to: attendee.email,
+                ...renderEmail('rescheduled', organizer, {
+                    ...emailData,
+                    attendeeName: attendee.name,
+                    timeZone: attendee.timezone,
+                    link: buildMeetingLink(attendee.unique_link)
+                }),
+                icalEvent: cancelIcs ? { method: 'CANCEL', filename: 'cancel.ics', content: cancelIcs } : undefined
+            });
+        }
+
+        if (requestedBy === 'attendee') {
+            await transporter.sendMail({
+                to: organizer.email,
+                ...renderEmail('rescheduleRequested', organizer, emailData)
+            });
+        }
+    } catch (emailErr) {
+        console.log('Email error:', emailErr.message);
+    }
+}
+
+// Group Meetings
+// One-to-one meetings keep their attendee on the meeting row and use the meeting's link.
+// Group meetings have a meeting_attendees row per person, each with their own link and votes.
+const MAX_GROUP_ATTENDEES = 20;
+
+// Everyone invited, as rows with email, name, timezone, unique_link and responded_at
+async function getMeetingAttendees(meeting) {
+    if (!meeting.is_group) {
+        return [{
+            id: null,
+            email: meeting.attendee_email,
+            name: meeting.attendee_name,
+            timezone: meeting.attendee_timezone,
+            unique_link: meeting.unique_link,
+            responded_at: null
+        }];
+    }
+    const result = await pool.query('SELECT * FROM meeting_attendees WHERE meeting_id = $1 ORDER BY id', [meeting.id]);
+    return result.rows;
+}
+
+// Resolves a public link to { meeting, attendee }. One-to-one meetings are found by the
+// meeting's own link (attendee is null); group meetings only through an attendee's link.
+async function findMeetingByLink(uniqueLink) {
+    const meetingResult = await pool.query(
+        'SELECT * FROM meetings WHERE unique_link = $1 AND NOT is_group',
+        [uniqueLink]
+    );
+    if (meetingResult.rows.length > 0) {
+        return { meeting: meetingResult.rows[0], attendee: null };
+    }
+
+    const attendeeResult = await pool.query('SELECT * FROM meeting_attendees WHERE unique_link = $1', [uniqueLink]);
+    const attendee = attendeeResult.rows[0];
+    if (!attendee) return null;
+
+    const groupResult = await pool.query('SELECT * FROM meetings WHERE id = $1', [attendee.meeting_id]);
+    return { meeting: groupResult.rows[0], attendee };
+}
+
+// The title as shown behind a meeting link. Titles rendered from an {attendeeEmail} template
+// still hold addresses, so every attendee's address is replaced by their name.
+async function getPublicMeetingTitle(meeting) {
+    const attendees = await getMeetingAttendees(meeting);
+    let title = meeting.title || '';
+    for (const attendee of attendees) {
+        if (attendee.email) title = title.split(attendee.email).join(attendee.name || 'Guest');
+    }
+    return title;
+}
+
+function formatAttendee(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        timezone: row.timezone,
+        respondedAt: row.responded_at,
+        link: buildMeetingLink(row.unique_link)
+    };
+}
+
+// Offered slots with how many attendees said yes / no, and who said yes
+async function getSlotTally(meetingId) {
+    const result = await pool.query(
+        `SELECT s.id, s.slot_time, s.is_selected,
+                COUNT(v.slot_id) FILTER (WHERE v.available)::int AS yes_count,
+                COUNT(v.slot_id) FILTER (WHERE NOT v.available)::int AS no_count,
+                COALESCE(array_agg(a.name ORDER BY a.id) FILTER (WHERE v.available), '{}') AS available_names
+         FROM slots s
+         LEFT JOIN slot_votes v ON v.slot_id = s.id
+         LEFT JOIN meeting_attendees a ON a.id = v.attendee_id
+         WHERE s.meeting_id = $1
+         GROUP BY s.id
+         ORDER BY s.slot_time`,
+        [meetingId]
+    );
+    return result.rows;
+}
+
+// Most yes votes wins, earliest first on a tie; null when nobody is available for any slot
+function pickBestSlot(tally) {
+    return tally.reduce((best, slot) => (slot.yes_count > (best?.yes_count || 0) ? slot : best), null);
+}
+
+// Called after each answer. Once everyone has answered, the best slot is booked when the
+// meeting auto-finalizes; otherwise the organizer is told it's ready to finalize.
+async function handleGroupResponse(meeting) {
+    const attendees = await getMeetingAttendees(meeting);
+    if (attendees.some(attendee => !attendee.responded_at)) return null;
+
+    const best = pickBestSlot(await getSlotTally(meeting.id));
+    if (meeting.auto_finalize && best) {
+        try {
+            return await confirmSlot(meeting, best.id);
+        } catch (err) {
+            if (err.status !== 409 && err.status !== 503) throw err;
+            // The winning time got taken meanwhile or couldn't be checked, so the organizer picks instead
+            console.log(`Auto-finalize skipped for meeting ${meeting.id}:`, err.message);
+        }
+    }
+
+    const organizer = await getEmailSender(meeting.user_id);
+    try {
+        await transporter.sendMail({
+            to: organizer.email,
+            ...renderEmail('allAnswered', organizer, {
+                ...meetingEmailData(meeting),
+                attendeeCount: attendees.length,
+                hasMatch: !!best
+            })
+        });
+    } catch (emailErr) {
+        console.log('Email error:', emailErr.message);
+    }
+    return null;
+}
+
+// Books slotId: confirms the meeting, drops the other offered slots and their holds and
+// sends the invite to every attendee. Round-robin meetings are assigned a host first.
+// Calendars are read first; then the meeting row and its hosts stay locked while the database
+// is checked and updated, so concurrent picks of the meeting, and bookings of other meetings
+// with the same hosts, run one after the other. Picking the booked slot again returns the
+// meeting unchanged; any other pick, or a time taken meanwhile, fails with a 409.
+async function confirmSlot(meeting, slotId, attendeeTimeZone) {
+    const offered = await pool.query('SELECT slot_time FROM slots WHERE id = $1 AND meeting_id = $2', [slotId, meeting.id]);
+    const checkedTime = offered.rows[0] ? new Date(offered.rows[0].slot_time).getTime() : null;
+    const freeHostIds = checkedTime !== null && meeting.status === 'pending'
+        ? await findCalendarFreeHosts(meeting, new Date(checkedTime), new Date(checkedTime + meeting.duration_minutes * 60000))
+        : [];
+
+    const booking = await withTransaction(async client => {
+        const lockedResult = await client.query('SELECT * FROM meetings WHERE id = $1 FOR UPDATE', [meeting.id]);
+        const current = lockedResult.rows[0];
+        const slotsResult = await client.query('SELECT * FROM slots WHERE meeting_id = $1', [meeting.id]);
+        const slot = slotsResult.rows.find(s => s.id === slotId);
+
+        if (current.status === 'confirmed' && slot?.is_selected) {
+            return { meeting: current, alreadyConfirmed: true };
+        }
+        if (current.status === 'confirmed') {
+            throw conflictError('This meeting has already been scheduled for another time');
+        }
+        if (current.status !== 'pending' || isMeetingExpired(current)) {
+            throw conflictError('This meeting is no longer open for booking');
+        }
+        if (!slot) {
+            throw conflictError('That slot is no longer offered for this meeting');
+        }
+
+        const start = new Date(slot.slot_time);
+        const end = new Date(start.getTime() + current.duration_minutes * 60000);
+        // The slot was moved in the calendar since it was checked
+        if (start.getTime() !== checkedTime) {
+            throw conflictError('That slot has just changed; please pick again');
+        }
+
+        // Calendars can lag behind bookings made moments ago, so the database has the last word
+        await lockHosts(client, freeHostIds);
+        const bookedHosts = await Promise.all(freeHostIds.map(userId =>
+            hasConfirmedMeetingAt(client, userId, start, end, current.id)
+        ));
+        let hostId = current.user_id;
+        if (isRoundRobin(current)) {
+            hostId = freeHostIds.find((userId, i) => !bookedHosts[i]);
+            if (!hostId) {
+                throw conflictError('Nobody on the team is free at that time anymore; please pick another slot');
+            }
+        } else if (freeHostIds.length === 0 || bookedHosts.some(Boolean)) {
+            throw conflictError('That time has just been booked elsewhere; please pick another slot');
+        }
+
+        // Deleting the other slots drops their slot_events rows, so their ids are read first
+        // and the events are removed from the calendars once this commits
+        const otherSlotIds = slotsResult.rows.filter(s => s.id !== slotId).map(s => s.id);
+        const otherEvents = await client.query(
+            'SELECT provider, calendar_id, event_id FROM slot_events WHERE slot_id = ANY($1)',
+            [otherSlotIds]
+        );
+        await client.query('DELETE FROM slots WHERE id = ANY($1)', [otherSlotIds]);
+        await client.query('UPDATE slots SET is_selected = TRUE WHERE id = $1', [slotId]);
+
+        const hostResult = await client.query(`SELECT ${EMAIL_SENDER_COLUMNS} FROM users WHERE id = $1`, [hostId]);
+        const host = hostResult.rows[0];
+        // A rescheduled meeting already sent a CANCEL at the current sequence, and calendars only
+        // take the new invite over it with a higher one
+        const confirmedResult = await client.query(
+            `UPDATE meetings SET status = $1, selected_slot = $2, attendee_timezone = $3, host_user_id = $4,
+                ical_sequence = CASE WHEN ical_sequence > 0 THEN ical_sequence + 1 ELSE 0 END
+             WHERE id = $5 RETURNING *`,
+            [
+                'confirmed', slot.slot_time, attendeeTimeZone || current.attendee_timezone || host.timezone,
+                isRoundRobin(current) ? hostId : null, current.id
+            ]
+        );
+        return { meeting: confirmedResult.rows[0], host, otherEvents: otherEvents.rows };
+    });
+    if (booking.alreadyConfirmed) return booking.meeting;
+    // Busy data cached before the booking would still show the time as open
+    for (const userId of freeHostIds) invalidateBusyCache(userId);
+
+    const { meeting: confirmedMeeting, host: user } = booking;
+    const selectedSlot = confirmedMeeting.selected_slot;
+    const attendees = await getMeetingAttendees(confirmedMeeting);
+
+    // Holds of a pending meeting are always in the organizer's calendars
+    await deleteCalendarEvents(confirmedMeeting.user_id, booking.otherEvents);
+    await scheduleReminders(confirmedMeeting);
+
+    // Nothing was held for a round-robin meeting, so the booking goes straight into the host's calendars
+    if (isRoundRobin(confirmedMeeting)) {
+        createSlotEvents(user.id, slotId, buildSlotEvent(confirmedMeeting, selectedSlot, user.timezone, attendees)).catch(console.log);
+    }
+
+    // Send confirmation emails (best-effort)
+    const emailData = { ...meetingEmailData(confirmedMeeting), attendeeCount: attendees.length, slotTime: selectedSlot };
+    try {
+        for (const attendee of attendees) {
+            await transporter.sendMail({
+                to: attendee.email,
+                ...renderEmail('confirmed', user, {
+                    ...emailData,
+                    attendeeName: attendee.name,
+                    timeZone: attendee.timezone,
+                    link: buildMeetingLink(attendee.unique_link)
+                }),
+                icalEvent: {
+                    method: 'REQUEST',
+                    filename: 'invite.ics',
+                    content: buildMeetingIcs(confirmedMeeting, user, 'REQUEST', attendees)
+                }
+            });
+        }
+
+        await transporter.sendMail({
+            to: user.email,
+            ...renderEmail('confirmedOrganizer', user, emailData)
+        });
+    } catch (emailErr) {
+        console.log('Email error:', emailErr.message);
+    }
+
+    await emitMeetingEvent('meeting.confirmed', confirmedMeeting);
+    return confirmedMeeting;
+}
+
+// Error for a booking that lost a race or whose time got taken; routes answer it with a 409
+function conflictError(message) {
+    const err = new Error(message);
+    err.status = 409;
+    return err;
+}
+
+// Another confirmed meeting the user hosts overlapping [start, end), read through client so
+// a booking transaction sees what it has locked
+async function hasConfirmedMeetingAt(client, userId, start, end, excludeMeetingId) {
+    const result = await client.query(
+        `SELECT 1 FROM meetings
+         WHERE COALESCE(host_user_id, user_id) = $1 AND id <> $2 AND status = 'confirmed'
+           AND selected_slot < $4 AND selected_slot + duration_minutes * INTERVAL '1 minute' > $3
+         LIMIT 1`,
+        [userId, excludeMeetingId, start, end]
+    );
+    return result.rows.length > 0;
+}
+
+// CallSync's own bookings overlapping [rangeStart, rangeEnd) as busy intervals: confirmed meetings
+// the user hosts, matched like hasConfirmedMeetingAt, and the times offered on their pending
+// meetings. Calendars show these as holds too, but not for users without a connected calendar,
+// nor before a hold has been written.
+async function listBookedIntervals(userId, rangeStart, rangeEnd) {
+    const result = await pool.query(
+        `SELECT selected_slot AS start, duration_minutes FROM meetings
+         WHERE COALESCE(host_user_id, user_id) = $1 AND status = 'confirmed'
+           AND selected_slot < $3 AND selected_slot + duration_minutes * INTERVAL '1 minute' > $2
+         UNION ALL
+         SELECT s.slot_time, m.duration_minutes FROM slots s JOIN meetings m ON m.id = s.meeting_id
+         WHERE m.user_id = $1 AND m.status = 'pending'
+           AND (m.team_id IS NULL OR m.scheduling_mode IS DISTINCT FROM 'round_robin')
+           AND s.slot_time < $3 AND s.slot_time + m.duration_minutes * INTERVAL '1 minute' > $2`,
+        [userId, rangeStart, rangeEnd]
+    );
+    return result.rows.map(row => {
+        const start = new Date(row.start);
+        return { start, end: new Date(start.getTime() + (row.duration_minutes || DEFAULT_DURATION_MINUTES) * 60000) };
+    });
+}
+
+// Busy intervals come back clipped to the queried window, so the re-check reads a wider one
+const RECHECK_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+// Booking-time calendar check, run before the booking transaction so no provider call happens
+// while rows are locked. Returns the hosts free for [start, end): for round-robin meetings the
+// members whose windows and calendars allow it, least loaded first (load is the number of
+// upcoming confirmed meetings a member hosts; ties go to who joined first); otherwise the
+// organizer and any collective co-hosts, or none when one of them is busy. A calendar that
+// can't be read fails the check with a 503 rather than passing it.
+async function findCalendarFreeHosts(meeting, start, end) {
+    const windowStart = new Date(start.getTime() - RECHECK_MARGIN_MS);
+    const windowEnd = new Date(end.getTime() + RECHECK_MARGIN_MS);
+
+    if (isRoundRobin(meeting)) {
+        const members = await pool.query(
+            `SELECT tm.user_id,
+                    (SELECT COUNT(*) FROM meetings m
+                     WHERE COALESCE(m.host_user_id, m.user_id) = tm.user_id
+                       AND m.status = 'confirmed' AND m.selected_slot >= CURRENT_TIMESTAMP)::int AS load
+             FROM team_members tm
+             WHERE tm.team_id = $1
+             ORDER BY load, tm.joined_at, tm.user_id`,
+            [meeting.team_id]
+        );
+        // Nothing is held for a round-robin meeting, so there are no events of its own to leave out
+        const free = await Promise.all(members.rows.map(async ({ user_id: userId }) => {
+            const timeZone = await getUserTimeZone(userId);
+            const [availability, busy] = await Promise.all([
+                getAvailability(userId),
+                listBusyExcludingEvents(userId, windowStart, windowEnd, timeZone, [])
+            ]);
+            return isMemberFree({ userId, timeZone, availability, busy }, start, end);
+        }));
+        return members.rows.filter((member, i) => free[i]).map(member => member.user_id);
+    }
+
+    const userIds = [meeting.user_id, ...(await getCollectiveCoHosts(meeting)).map(member => member.id)];
+    // The meeting's own holds are in the calendars too; they are left out by event id
+    const ownEvents = await pool.query(
+        `SELECT se.provider, se.calendar_id, se.event_id
+         FROM slot_events se JOIN slots s ON s.id = se.slot_id
+         WHERE s.meeting_id = $1`,
+        [meeting.id]
+    );
+    const free = await Promise.all(userIds.map(async userId => {
+        const timeZone = await getUserTimeZone(userId);
+        const busy = await listBusyExcludingEvents(userId, windowStart, windowEnd, timeZone, ownEvents.rows);
+        return !busy.some(interval => interval.start < end && interval.end > start);
+    }));
+    return free.every(Boolean) ? userIds : [];
+}
+
+// Namespace of the two-key pg_advisory_xact_lock(namespace, userId) taken on a host while one
+// of their meetings is booked
+const HOST_BOOKING_LOCK = 1;
+
+// Serializes bookings per host until the transaction ends, so two meetings can't both pass the
+// overlap check for the same time. Ids are locked in order so bookings sharing hosts can't deadlock.
+async function lockHosts(client, userIds) {
+    for (const userId of [...new Set(userIds)].sort((a, b) => a - b)) {
+        await client.query('SELECT pg_advisory_xact_lock($1, $2)', [HOST_BOOKING_LOCK, userId]);
+    }
+}
+
+// Teams
+const SCHEDULING_MODES = ['collective', 'round_robin'];
+
+function formatTeam(row, members) {
+    return {
+        id: row.id,
+        name: row.name,
+        ownerId: row.owner_id,
+        members: members.map(member => ({ id: member.id, email: member.email, isOwner: member.id === row.owner_id }))
+    };
+}
+
+// Members in the order they joined, which is also the round-robin tie-break order
+async function getTeamMembers(teamId) {
+    const result = await pool.query(
+        `SELECT u.id, u.email FROM team_members tm JOIN users u ON u.id = tm.user_id
+         WHERE tm.team_id = $1 ORDER BY tm.joined_at, u.id`,
+        [teamId]
+    );
+    return result.rows;
+}
+
+async function isTeamMember(teamId, userId) {
+    const result = await pool.query(
+        'SELECT 1 FROM team_members WHERE team_id = $1 AND user_id = $2',
+        [teamId, userId]
+    );
+    return result.rows.length > 0;
+}
+
+async function getOwnedTeam(userId, teamId) {
+    const result = await pool.query('SELECT * FROM teams WHERE id = $1 AND owner_id = $2', [teamId, userId]);
+    return result.rows[0] || null;
+}
+
+function isRoundRobin(meeting) {
+    return meeting.scheduling_mode === 'round_robin' && !!meeting.team_id;
+}
+
+// The member whose calendars hold the meeting: the round-robin assignee once picked, else the organizer
+function getMeetingHostId(meeting) {
+    return meeting.host_user_id || meeting.user_id;
+}
+
+// The other members of a collective meeting's team, added as guests on the organizer's calendar event
+async function getCollectiveCoHosts(meeting) {
+    if (meeting.scheduling_mode !== 'collective' || !meeting.team_id) return [];
+    const members = await getTeamMembers(meeting.team_id);
+    return members.filter(member => member.id !== meeting.user_id);
+}
+
+// Weekly availability is indexed by weekday (0 = Sunday). Users without saved
+// rules keep the original 9:00-17:00 every day.
+const DEFAULT_WEEKLY_AVAILABILITY = Array.from({ length: 7 }, () => [{ start: '09:00', end: '17:00' }]);
+
+async function getAvailability(userId) {
+    const result = await pool.query(
+        'SELECT weekly, overrides, blackout_dates FROM availability WHERE user_id = $1',
+        [userId]
+    );
+    const row = result.rows[0];
+    if (!row) {
+        return { weekly: DEFAULT_WEEKLY_AVAILABILITY, overrides: [], blackoutDates: [] };
+    }
+    return { weekly: row.weekly, overrides: row.overrides, blackoutDates: row.blackout_dates };
+}
+
+// Blackout days win over overrides, and an override replaces that weekday's windows
+function getWindowsForDate(availability, date) {
+    if (availability.blackoutDates.includes(date)) return [];
+
+    const override = availability.overrides.find(o => o.date === date);
+    if (override) return override.windows;
+
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    return availability.weekly[weekday] || [];
+}
+
+// Longest range the availability search will scan in one request
+const MAX_SEARCH_DAYS = 31;
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Every YYYY-MM-DD date from startDate to endDate inclusive
+function listDates(startDate, endDate) {
+    const dates = [];
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+        dates.push(day);
+        if (dates.length > MAX_SEARCH_DAYS) break;
+    }
+    return dates;
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns an error message, or null when the range can be searched
+function validateDateRange(startDate, endDate) {
+    if (!startDate) return 'Date parameter required';
+    if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) return 'Date must be in YYYY-MM-DD format';
+    if (endDate < startDate) return 'End date must not be before start date';
+    if (listDates(startDate, endDate).length > MAX_SEARCH_DAYS) {
+        return `Date range can cover at most ${MAX_SEARCH_DAYS} days`;
+    }
+    return null;
+}
+
+function validateWindows(windows, label) {
+    if (!Array.isArray(windows)) return `${label} must be a list of time windows`;
+
+    for (const window of windows) {
+        if (!TIME_PATTERN.test(window?.start) || !TIME_PATTERN.test(window?.end)) {
+            return `${label} has a time that is not in HH:MM format`;
+        }
+        if (window.start >= window.end) {
+            return `${label} has a window that ends before it starts`;
+        }
+    }
+
+    const sorted = [...windows].sort((a, b) => a.start.localeCompare(b.start));
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start < sorted[i - 1].end) {
+            return `${label} has overlapping windows`;
+        }
+    }
+    return null;
+}
+
+// Returns an error message, or null when the chosen ids are calendars of the account
+function validateCalendarChoices(calendars, { conflictCalendars, holdCalendar }) {
+    const ids = calendars.map(calendar => calendar.id);
+    if (!Array.isArray(conflictCalendars) || conflictCalendars.some(id => !ids.includes(id))) {
+        return 'conflictCalendars must list calendars of this account';
+    }
+    const hold = calendars.find(calendar => calendar.id === holdCalendar);
+    if (!hold) {
+        return 'holdCalendar must be a calendar of this account';
+    }
+    if (!hold.writable) {
+        return `${hold.name} is read-only and can't receive new meetings`;
+    }
+    return null;
+}
+
+// Returns an error message, or null when the availability rules are valid
+function validateAvailability({ weekly, overrides, blackoutDates }) {
+    if (!Array.isArray(weekly) || weekly.length !== 7) {
+        return 'Weekly availability must have an entry for each of the 7 weekdays';
+    }
+    for (let weekday = 0; weekday < 7; weekday++) {
+        const error = validateWindows(weekly[weekday], `Weekday ${weekday}`);
+        if (error) return error;
+    }
+
+    if (!Array.isArray(overrides)) return 'Overrides must be a list';
+    for (const override of overrides) {
+        if (!DATE_PATTERN.test(override?.date)) return 'Override dates must be in YYYY-MM-DD format';
+        const error = validateWindows(override.windows, `Override for ${override.date}`);
+        if (error) return error;
+    }
+    if (new Set(overrides.map(o => o.date)).size !== overrides.length) {
+        return 'Only one override per date is allowed';
+    }
+
+    if (!Array.isArray(blackoutDates) || !blackoutDates.every(d => DATE_PATTERN.test(d))) {
+        return 'Blackout dates must be in YYYY-MM-DD format';
+    }
+    return null;
+}
+
+// User timezone, defaulting to UTC for accounts created before it was stored
+async function getUserTimeZone(userId) {
+    const result = await pool.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.timezone || 'UTC';
+}
+
+// Free slots per day between startDate and endDate (inclusive) in the user's timezone
+async function findOpenSlots(userId, startDate, endDate, durationMinutes) {
+    const timeZone = await getUserTimeZone(userId);
+    const rangeStart = zonedTimeToUtc(startDate, '00:00', timeZone);
+    const rangeEnd = zonedTimeToUtc(addDays(endDate, 1), '00:00', timeZone);
+
+    const [busy, booked] = await Promise.all([
+        listBusyForUser(userId, rangeStart, rangeEnd, timeZone),
+        listBookedIntervals(userId, rangeStart, rangeEnd)
+    ]);
+    const availability = await getAvailability(userId);
+    const slotsByDay = listDates(startDate, endDate).map(day => ({
+        date: day,
+        slots: generateAvailableSlots([...busy, ...booked], day, availability, timeZone, durationMinutes)
+    }));
+
+    return { slotsByDay, timeZone };
+}
+
+// Team Availability
+// Every member's slots come from their own weekly rules, timezone and calendars.
+// Collective meeting types keep the slots all members are free for; round-robin ones any member's.
+async function getMemberSchedule(userId, rangeStart, rangeEnd) {
+    const timeZone = await getUserTimeZone(userId);
+    const [availability, busy, booked] = await Promise.all([
+        getAvailability(userId),
+        listBusyForUser(userId, rangeStart, rangeEnd, timeZone),
+        listBookedIntervals(userId, rangeStart, rangeEnd)
+    ]);
+    return { userId, timeZone, availability, busy: [...busy, ...booked] };
+}
+
+// Free when one of the member's windows for that day covers the slot and no calendar is busy
+function isMemberFree(schedule, start, end) {
+    if (schedule.busy.some(interval => start < interval.end && end > interval.start)) return false;
+
+    const date = formatZonedDateTime(start, schedule.timeZone).slice(0, 10);
+    return getWindowsForDate(schedule.availability, date).some(window =>
+        zonedTimeToUtc(date, window.start, schedule.timeZone) <= start
+        && end <= zonedTimeToUtc(date, window.end, schedule.timeZone));
+}
+
+// Free team slots per day between startDate and endDate (inclusive) in the requesting user's timezone
+async function findTeamOpenSlots(userId, teamId, mode, startDate, endDate, durationMinutes) {
+    const timeZone = await getUserTimeZone(userId);
+    const rangeStart = zonedTimeToUtc(startDate, '00:00', timeZone);
+    const rangeEnd = zonedTimeToUtc(addDays(endDate, 1), '00:00', timeZone);
+
+    const members = await getTeamMembers(teamId);
+    const schedules = await Promise.all(members.map(member => getMemberSchedule(member.id, rangeStart, rangeEnd)));
+
+    // A member's day can start up to a day before or after the requester's
+    const memberDates = [addDays(startDate, -1), ...listDates(startDate, endDate), addDays(endDate, 1)];
+    const candidates = new Set();
+    for (const schedule of schedules) {
+        for (const date of memberDates) {
+            generateAvailableSlots(schedule.busy, date, schedule.availability, schedule.timeZone, durationMinutes)
+                .forEach(slot => candidates.add(slot));
+        }
+    }
+
+    // Round-robin candidates are already free for the member they came from
+    const slots = [...candidates].sort().filter(slot => {
+        const start = new Date(slot);
+        if (start < rangeStart || start >= rangeEnd) return false;
+        const end = new Date(start.getTime() + durationMinutes * 60000);
+        return mode === 'round_robin' || schedules.every(schedule => isMemberFree(schedule, start, end));
+    });
+
+    const slotsByDay = listDates(startDate, endDate).map(day => ({
+        date: day,
+        slots: slots.filter(slot => formatZonedDateTime(new Date(slot), timeZone).slice(0, 10) === day)
+    }));
+    return { slotsByDay, timeZone };
+}
+
+// Team meeting types, and meetings created from them, combine the members' calendars
+function findMeetingOpenSlots(userId, teamSource, startDate, endDate, durationMinutes) {
+    if (teamSource?.team_id) {
+        return findTeamOpenSlots(userId, teamSource.team_id, teamSource.scheduling_mode, startDate, endDate, durationMinutes);
+    }
+    return findOpenSlots(userId, startDate, endDate, durationMinutes);
+}
+
+// Reminders
+// Confirmed meetings get a reminder email at each offset (minutes) before the selected slot.
+// While a meeting is pending, attendees who haven't answered are nudged at the same offsets
+// before the earliest offered slot. Both are jobs, so they survive restarts.
+const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60];
+const MAX_REMINDER_OFFSET_MINUTES = 30 * 24 * 60;
+const MAX_REMINDERS = 5;
+const REMINDER_JOB_TYPES = ['meeting.reminder', 'meeting.pick_reminder'];
+
+// Returns an error message, or null when the offsets are valid
+function validateReminderOffsets(offsets) {
+    if (!Array.isArray(offsets) || offsets.length > MAX_REMINDERS) {
+        return `Reminders must be a list of at most ${MAX_REMINDERS} offsets`;
+    }
+    if (!offsets.every(offset => Number.isInteger(offset) && offset > 0 && offset <= MAX_REMINDER_OFFSET_MINUTES)) {
+        return 'Reminder offsets must be whole minutes, up to 30 days before the meeting';
+    }
+    if (new Set(offsets).size !== offsets.length) {
+        return 'Reminder offsets must not repeat';
+    }
+    return null;
+}
+
+// The meeting type's offsets when it has its own, else the organizer's
+async function getReminderOffsets(meeting) {
+    const result = await pool.query(
+        `SELECT COALESCE(mt.reminder_offsets, u.reminder_offsets) AS offsets
+         FROM users u LEFT JOIN meeting_types mt ON mt.id = $2
+         WHERE u.id = $1`,
+        [meeting.user_id, meeting.meeting_type_id]
+    );
+    return result.rows[0]?.offsets || DEFAULT_REMINDER_OFFSETS;
+}
+
+// Replaces the meeting's pending reminders to match its current state. Best-effort like the emails.
+async function scheduleReminders(meeting) {
+    try {
+        await cancelJobs(meeting.id, REMINDER_JOB_TYPES);
+
+        let type;
+        let slotTime;
+        if (meeting.status === 'confirmed') {
+            type = 'meeting.reminder';
+            slotTime = meeting.selected_slot;
+        } else if (meeting.status === 'pending') {
+            type = 'meeting.pick_reminder';
+            const earliest = await pool.query('SELECT MIN(slot_time) AS slot_time FROM slots WHERE meeting_id = $1', [meeting.id]);
+            slotTime = earliest.rows[0].slot_time;
+        }
+        if (!slotTime) return;
+
+        for (const offset of await getReminderOffsets(meeting)) {
+            const runAt = new Date(new Date(slotTime).getTime() - offset * 60000);
+            if (runAt > new Date()) {
+                await scheduleJob(type, runAt, { offsetMinutes: offset, slotTime }, meeting.id);
+            }
+        }
+    } catch (err) {
+        console.log(`Reminder scheduling error for meeting ${meeting.id}:`, err.message);
+    }
+}
+
+// Reminder jobs re-read the meeting, so ones left over from before a reschedule or
+// cancellation do nothing
+registerJobHandler('meeting.reminder', async job => {
+    const result = await pool.query('SELECT * FROM meetings WHERE id = $1', [job.meeting_id]);
+    const meeting = result.rows[0];
+    if (!meeting || meeting.status !== 'confirmed'
+        || new Date(meeting.selected_slot).getTime() !== new Date(job.payload.slotTime).getTime()) {
+        return;
+    }
+
+    const organizer = await getEmailSender(getMeetingHostId(meeting));
+    for (const attendee of await getMeetingAttendees(meeting)) {
+        await transporter.sendMail({
+            to: attendee.email,
+            ...renderEmail('reminder', organizer, {
+                ...meetingEmailData(meeting),
+                attendeeName: attendee.name,
+                slotTime: meeting.selected_slot,
+                timeZone: attendee.timezone,
+                offsetMinutes: job.payload.offsetMinutes,
+                link: buildMeetingLink(attendee.unique_link)
+            })
+        });
+    }
+});
+
+registerJobHandler('meeting.pick_reminder', async job => {
+    const result = await pool.query('SELECT * FROM meetings WHERE id = $1', [job.meeting_id]);
+    const meeting = result.rows[0];
+    if (!meeting || meeting.status !== 'pending' || isMeetingExpired(meeting)) return;
+
+    const organizer = await getEmailSender(meeting.user_id);
+    for (const attendee of (await getMeetingAttendees(meeting)).filter(a => !a.responded_at)) {
+        await transporter.sendMail({
+            to: attendee.email,
+            ...renderEmail('pickReminder', organizer, {
+                ...meetingEmailData(meeting),
+                attendeeName: attendee.name,
+                offsetMinutes: job.payload.offsetMinutes,
+                link: buildMeetingLink(attendee.unique_link)
+            })
+        });
+    }
+});
+
+// Meeting Expiry Job
+const EXPIRY_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Marks overdue pending meetings as expired and releases their calendar holds.
+// The UPDATE ... RETURNING claims each meeting, so several instances never process the same one twice.
+async function expireOverdueMeetings() {
+    const expired = await pool.query(
+        `UPDATE meetings SET status = 'expired'
+         WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP
+         RETURNING *`
+    );
+
+    for (const meeting of expired.rows) {
+        try {
+            const slotsResult = await pool.query('SELECT * FROM slots WHERE meeting_id = $1', [meeting.id]);
+            await releaseSlotEvents(meeting, slotsResult.rows);
+            await announceExpiry(meeting, slotsResult.rows.length);
+        } catch (err) {
+            console.log(`Expiry cleanup error for meeting ${meeting.id}:`, err.message);
+        }
+    }
+}
+
+// Stops the reminders of a meeting that just expired and tells the organizer and their
+// webhooks. slotCount is the number of holds that were removed with it.
+async function announceExpiry(meeting, slotCount) {
+    await cancelJobs(meeting.id);
+    await emitMeetingEvent('meeting.expired', meeting);
+
+    const organizer = await getEmailSender(meeting.user_id);
+    await transporter.sendMail({
+        to: organizer.email,
+        ...renderEmail('expired', organizer, { ...meetingEmailData(meeting), slotCount })
+    });
+}
+
+// Calendar Sync
+// Holds and bookings can be deleted or moved in the calendar app directly. Provider pushes
+// and a polling fallback both queue a reconcile for the user, which checks every upcoming
+// CalSync event against its slot: a deleted hold withdraws the slot from the attendee page,
+// and a moved event moves the slot along, including the booked time of a confirmed meeting.
+const CALENDAR_SYNC_INTERVAL_MS = Number(process.env.CALENDAR_SYNC_INTERVAL_MS) || 15 * 60 * 1000;
+
+// Pushes come in bursts, so a reconcile waits for the rest of them
+const RECONCILE_DELAY_MS = 30 * 1000;
+
+// Differences below this are rounding in the provider's time format, not a move
+const MOVE_TOLERANCE_MS = 60 * 1000;
+
+async function queueCalendarReconcile(userId) {
+    const queued = await pool.query(
+        "SELECT 1 FROM jobs WHERE type = 'calendar.reconcile' AND status = 'pending' AND payload->>'userId' = $1",
+        [String(userId)]
+    );
+    if (queued.rows.length === 0) {
+        await scheduleJob('calendar.reconcile', new Date(Date.now() + RECONCILE_DELAY_MS), { userId });
+    }
+}
+
+async function reconcileCalendarEvents(userId) {
+    const result = await pool.query(
+        `SELECT se.slot_id, se.provider, se.calendar_id, se.event_id, s.slot_time, s.meeting_id
+         FROM slot_events se
+         JOIN slots s ON s.id = se.slot_id
+         JOIN meetings m ON m.id = s.meeting_id
+         WHERE COALESCE(m.host_user_id, m.user_id) = $1 AND m.status IN ('pending', 'confirmed')
+           AND s.slot_time > CURRENT_TIMESTAMP
+         ORDER BY s.slot_time`,
+        [userId]
+    );
+
+    // A slot held in several calendars follows the first copy found changed
+    const handled = new Set();
+    for (const row of result.rows) {
+        if (handled.has(row.slot_id)) continue;
+
+        const state = await getSlotEventState(userId, row);
+        if (!state) continue;
+        if (state.deleted) {
+            handled.add(row.slot_id);
+            await withdrawDeletedSlot(row);
+        } else if (Math.abs(state.start.getTime() - new Date(row.slot_time).getTime()) >= MOVE_TOLERANCE_MS) {
+            handled.add(row.slot_id);
+            await moveSlotToEvent(row, state.start);
+        }
+    }
+}
+
+// The hold was deleted, so the time is no longer offered. A booked meeting whose event was
+// deleted only forgets that event; cancelling it stays with the organizer.
+async function withdrawDeletedSlot(row) {
+    const withdrawn = await withTransaction(async client => {
+        const lockedResult = await client.query('SELECT * FROM meetings WHERE id = $1 FOR UPDATE', [row.meeting_id]);
+        const meeting = lockedResult.rows[0];
+        if (meeting?.status !== 'pending') {
+            await client.query('DELETE FROM slot_events WHERE slot_id = $1 AND provider = $2', [row.slot_id, row.provider]);
+            return null;
+        }
+
+        const otherEvents = await client.query(
+            'SELECT provider, calendar_id, event_id FROM slot_events WHERE slot_id = $1 AND provider <> $2',
+            [row.slot_id, row.provider]
+        );
+        const deleted = await client.query('DELETE FROM slots WHERE id = $1 RETURNING id', [row.slot_id]);
+        if (deleted.rows.length === 0) return null;
+
+        // With its last time withdrawn the attendee has nothing left to pick, so the meeting expires
+        const remaining = await client.query('SELECT 1 FROM slots WHERE meeting_id = $1 LIMIT 1', [meeting.id]);
+        if (remaining.rows.length > 0) return { meeting, otherEvents: otherEvents.rows, expired: false };
+        const expiredResult = await client.query(
+            `UPDATE meetings SET status = 'expired' WHERE id = $1 RETURNING *`,
+            [meeting.id]
+        );
+        return { meeting: expiredResult.rows[0], otherEvents: otherEvents.rows, expired: true };
+    });
+    if (!withdrawn) return;
+
+    await deleteCalendarEvents(withdrawn.meeting.user_id, withdrawn.otherEvents);
+    console.log(`Withdrew slot ${row.slot_id} of meeting ${row.meeting_id}: its hold was deleted from ${row.provider}`);
+    if (!withdrawn.expired) {
+        // The earliest offered time may have changed
+        await scheduleReminders(withdrawn.meeting);
+        return;
+    }
+    try {
+        await announceExpiry(withdrawn.meeting, 1);
+    } catch (err) {
+        console.log(`Expiry notice error for meeting ${row.meeting_id}:`, err.message);
+    }
+}
+
+// The event was moved, so the slot takes its new start. Moving a confirmed meeting's event
+// reschedules it: attendees get the new time with an updated invite.
+async function moveSlotToEvent(row, start) {
+    const moved = await withTransaction(async client => {
+        const lockedResult = await client.query('SELECT * FROM meetings WHERE id = $1 FOR UPDATE', [row.meeting_id]);
+        const meeting = lockedResult.rows[0];
+        if (!['pending', 'confirmed'].includes(meeting?.status)) return null;
+
+        const slotResult = await client.query('UPDATE slots SET slot_time = $1 WHERE id = $2 RETURNING *', [start, row.slot_id]);
+        const slot = slotResult.rows[0];
+        if (!slot) return null;
+        if (meeting.status !== 'confirmed' || !slot.is_selected) {
+            return { meeting, previousSlot: null };
+        }
+
+        const updatedResult = await client.query(
+            'UPDATE meetings SET selected_slot = $1, ical_sequence = ical_sequence + 1 WHERE id = $2 RETURNING *',
+            [start, meeting.id]
+        );
+        return { meeting: updatedResult.rows[0], previousSlot: meeting.selected_slot };
+    });
+    if (!moved) return;
+
+    const { meeting, previousSlot } = moved;
+    const host = await getEmailSender(getMeetingHostId(meeting));
+    const attendees = await getMeetingAttendees(meeting);
+    const guests = [...attendees, ...await getCollectiveCoHosts(meeting)];
+    await updateSlotEvents(host.id, row.slot_id, buildSlotEvent(meeting, start, host.timezone, guests), row.provider);
+    await scheduleReminders(meeting);
+    if (!previousSlot) return;
+
+    try {
+        for (const attendee of attendees) {
+            await transporter.sendMail({
+                to: attendee.email,
+                ...renderEmail('moved', host, {
+                    ...meetingEmailData(meeting),
+                    attendeeName: attendee.name,
+                    slotTime: start,
+                    previousSlotTime: previousSlot,
+                    timeZone: attendee.timezone,
+                    link: buildMeetingLink(attendee.unique_link)
+                }),
+                icalEvent: {
+                    method: 'REQUEST',
+                    filename: 'invite.ics',
+                    content: buildMeetingIcs(meeting, host, 'REQUEST', attendees)
+                }
+            });
+        }
+    } catch (emailErr) {
+        console.log('Email error:', emailErr.message);
+    }
+    await emitMeetingEvent('meeting.moved', meeting);
+}
+
+registerJobHandler('calendar.reconcile', job => reconcileCalendarEvents(job.payload.userId));
+
+// Renews the push watches, then queues a reconcile for users whose calendars can't push.
+// Users with a new watch are reconciled too, for changes made before it started.
+async function syncCalendars() {
+    for (const userId of await refreshCalendarWatches()) {
+        await queueCalendarReconcile(userId);
+    }
+
+    const hosts = await pool.query(
+        `SELECT DISTINCT COALESCE(m.host_user_id, m.user_id) AS user_id
+         FROM slot_events se
+         JOIN slots s ON s.id = se.slot_id
+         JOIN meetings m ON m.id = s.meeting_id
+         WHERE m.status IN ('pending', 'confirmed') AND s.slot_time > CURRENT_TIMESTAMP`
+    );
+    for (const { user_id: userId } of hosts.rows) {
+        if (await needsPolling(userId)) {
+            await queueCalendarReconcile(userId);
+        }
+    }
+}
+
+function startCalendarSyncJob() {
+    setInterval(() => {
+        syncCalendars().catch(err => console.log('Calendar sync error:', err.message));
+    }, CALENDAR_SYNC_INTERVAL_MS);
+}
+
+function startExpiryJob() {
+    setInterval(() => {
+        expireOverdueMeetings().catch(err => console.log('Expiry job error:', err.message));
+    }, EXPIRY_CHECK_INTERVAL_MS);
+}
+
+// Check the schema and Start
+// Migrations run separately (npm run migrate), so a deploy that forgot them fails loudly
+// instead of serving queries against columns that don't exist yet.
+// Only when run directly; the tests require this file for the booking functions.
+if (require.main === module) {
+    assertMigrationsCurrent().then(() => {
+        app.listen(process.env.PORT || 5000, () => {
+            console.log('🚀 CalSync server running on port', process.env.PORT || 5000);
+        });
+        startExpiryJob();
+        startJobWorker();
+        startCalendarSyncJob();
+    }).catch(err => {
+        console.error('❌ Database schema is not current:', err.message);
+        process.exit(1);
     });
-});
\ No newline at end of file
+}
+
+module.exports = { app, confirmSlot, reconcileCalendarEvents };
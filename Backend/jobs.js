@@ -0,0 +1,103 @@
+// Background Jobs
+// Jobs are rows in Postgres, so they survive restarts and are shared by every instance.
+// The worker claims due jobs with FOR UPDATE SKIP LOCKED, so two instances never take the
+// same one. Handlers should be safe to run again: a job whose process died mid-run is
+// handed out a second time.
+const pool = require('./db');
+
+const JOB_POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000;
+const JOB_BATCH_SIZE = 20;
+const MAX_JOB_ATTEMPTS = 5;
+
+// A job still marked running after this long is assumed lost with its process
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+const handlers = {};
+
+// handler(job) runs the job; throwing schedules a retry
+function registerJobHandler(type, handler) {
+    handlers[type] = handler;
+}
+
+async function scheduleJob(type, runAt, payload = {}, meetingId = null) {
+    const result = await pool.query(
+        'INSERT INTO jobs (type, run_at, payload, meeting_id) VALUES ($1, $2, $3, $4) RETURNING *',
+        [type, runAt, JSON.stringify(payload), meetingId]
+    );
+    return result.rows[0];
+}
+
+// Cancels a meeting's jobs that haven't run yet, all of them or only the given types
+async function cancelJobs(meetingId, types = null) {
+    await pool.query(
+        `UPDATE jobs SET status = 'cancelled'
+         WHERE meeting_id = $1 AND status = 'pending' AND ($2::text[] IS NULL OR type = ANY($2))`,
+        [meetingId, types]
+    );
+}
+
+async function claimDueJobs() {
+    const result = await pool.query(
+        `UPDATE jobs SET status = 'running', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+         WHERE id IN (
+           SELECT id FROM jobs
+           WHERE (status = 'pending' AND run_at <= CURRENT_TIMESTAMP)
+              OR (status = 'running' AND locked_at <= $1)
+           ORDER BY run_at
+           LIMIT $2
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [new Date(Date.now() - STALE_JOB_MS), JOB_BATCH_SIZE]
+    );
+    return result.rows;
+}
+
+async function runJob(job) {
+    try {
+        const handler = handlers[job.type];
+        if (!handler) throw new Error(`No handler for job type ${job.type}`);
+        await handler(job);
+        await pool.query(
+            "UPDATE jobs SET status = 'done', finished_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = $1",
+            [job.id]
+        );
+    } catch (err) {
+        // Retries back off 1, 2, 4, 8 minutes before the job is given up on
+        const failed = job.attempts >= MAX_JOB_ATTEMPTS;
+        await pool.query(
+            'UPDATE jobs SET status = $1, last_error = $2, run_at = $3, locked_at = NULL WHERE id = $4',
+            [failed ? 'failed' : 'pending', err.message, new Date(Date.now() + 2 ** (job.attempts - 1) * 60000), job.id]
+        );
+        console.log(`Job ${job.id} (${job.type}) failed:`, err.message);
+    }
+}
+
+async function runDueJobs() {
+    const jobs = await claimDueJobs();
+    for (const job of jobs) {
+        await runJob(job);
+    }
+    return jobs.length;
+}
+
+function startJobWorker() {
+    let running = false;
+    setInterval(() => {
+        // A slow batch shouldn't overlap with the next poll
+        if (running) return;
+        running = true;
+        runDueJobs()
+            .catch(err => console.log('Job worker error:', err.message))
+            .finally(() => { running = false; });
+    }, JOB_POLL_INTERVAL_MS);
+}
+
+module.exports = {
+    MAX_JOB_ATTEMPTS,
+    registerJobHandler,
+    scheduleJob,
+    cancelJobs,
+    runDueJobs,
+    startJobWorker
+};
@@ -0,0 +1,233 @@
+// Schema Migrations
+// The schema lives in migrations/ as numbered NNNN_name.up.sql files, each with an optional
+// NNNN_name.down.sql that undoes it. Applied versions are recorded in schema_migrations with
+// a checksum of their up file, so an edited migration is caught instead of silently diverging
+// from the databases that already ran it. Ship schema changes as a new file, never by editing
+// an applied one.
+//
+// Usage: node migrate.js up [version] | down [steps] | status
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.up\.sql$/;
+
+// Held while migrating so two deploys starting at once don't run the same migration twice
+const MIGRATION_LOCK_ID = 4815162342;
+
+function checksum(sql) {
+    // Line endings depend on the checkout, not on the migration
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Migrations on disk in version order
+function loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR);
+    const migrations = [];
+    for (const file of files) {
+        const match = MIGRATION_FILE_PATTERN.exec(file);
+        if (!match) continue;
+        const up = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        const downFile = path.join(MIGRATIONS_DIR, file.replace('.up.sql', '.down.sql'));
+        migrations.push({
+            version: Number(match[1]),
+            name: match[2],
+            up,
+            down: fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf8') : null,
+            checksum: checksum(up)
+        });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Two migrations share version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+}
+
+// Compares the files with what the database recorded:
+// pending ones still need to run, changed ones were edited after they ran,
+// and missing ones ran here but aren't on disk (a newer deploy ran them)
+async function getMigrationStatus(db = pool) {
+    await ensureMigrationsTable(db);
+    const migrations = loadMigrations();
+    const result = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+        migrations: migrations.map(migration => ({
+            ...migration,
+            appliedAt: applied.get(migration.version)?.applied_at || null
+        })),
+        pending: migrations.filter(migration => !applied.has(migration.version)),
+        changed: migrations.filter(migration =>
+            applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+        ),
+        missing: result.rows.filter(row => !known.has(row.version))
+    };
+}
+
+function describeProblems(status) {
+    const problems = [];
+    for (const migration of status.changed) {
+        problems.push(`${formatMigration(migration)} was edited after it was applied`);
+    }
+    for (const row of status.missing) {
+        problems.push(`${formatMigration(row)} is applied but its file is missing`);
+    }
+    return problems;
+}
+
+function formatMigration(migration) {
+    return `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+}
+
+// Runs call(client) on one connection that holds the migration lock
+async function withMigrationLock(call) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        return await call(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+// Each migration and its schema_migrations row commit together, so a failure leaves
+// the database at the last migration that fully applied
+async function runInTransaction(client, call) {
+    await client.query('BEGIN');
+    try {
+        await call();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+// Applies pending migrations in order, up to and including targetVersion when given
+async function migrateUp(targetVersion = null) {
+    return withMigrationLock(async client => {
+        const status = await getMigrationStatus(client);
+        const problems = describeProblems(status);
+        if (problems.length) throw new Error(problems.join('; '));
+
+        const latest = Math.max(0, ...status.migrations.filter(m => m.appliedAt).map(m => m.version));
+        const pending = status.pending.filter(migration => targetVersion === null || migration.version <= targetVersion);
+        const outOfOrder = pending.find(migration => migration.version < latest);
+        if (outOfOrder) {
+            throw new Error(`${formatMigration(outOfOrder)} is older than the applied ${String(latest).padStart(4, '0')}; give it a newer number`);
+        }
+
+        for (const migration of pending) {
+            await runInTransaction(client, async () => {
+                await client.query(migration.up);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+            });
+            console.log(`✅ Applied ${formatMigration(migration)}`);
+        }
+        return pending;
+    });
+}
+
+// Rolls back the latest steps applied migrations, newest first
+async function migrateDown(steps = 1) {
+    return withMigrationLock(async client => {
+        const status = await getMigrationStatus(client);
+        const problems = describeProblems(status);
+        if (problems.length) throw new Error(problems.join('; '));
+
+        const toRevert = status.migrations.filter(migration => migration.appliedAt).reverse().slice(0, steps);
+        const irreversible = toRevert.find(migration => migration.down === null);
+        if (irreversible) throw new Error(`${formatMigration(irreversible)} has no down migration`);
+
+        for (const migration of toRevert) {
+            await runInTransaction(client, async () => {
+                await client.query(migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+            console.log(`↩️  Reverted ${formatMigration(migration)}`);
+        }
+        return toRevert;
+    });
+}
+
+// Startup check: the server only runs against the schema it was written for
+async function assertMigrationsCurrent() {
+    const status = await getMigrationStatus();
+    const problems = describeProblems(status);
+    if (status.pending.length) {
+        problems.unshift(`pending migrations ${status.pending.map(formatMigration).join(', ')}; run "npm run migrate"`);
+    }
+    if (problems.length) throw new Error(problems.join('; '));
+}
+
+async function printStatus() {
+    const status = await getMigrationStatus();
+    const changed = new Set(status.changed.map(migration => migration.version));
+    for (const migration of status.migrations) {
+        const state = changed.has(migration.version)
+            ? 'CHANGED'
+            : migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+        console.log(`${formatMigration(migration)}  ${state}`);
+    }
+    for (const row of status.missing) {
+        console.log(`${formatMigration(row)}  applied, file missing`);
+    }
+}
+
+async function main(command, arg) {
+    const number = arg === undefined ? null : Number(arg);
+    if (number !== null && !(Number.isInteger(number) && number > 0)) {
+        throw new Error(`Expected a positive number, got "${arg}"`);
+    }
+    if (command === 'up') {
+        const applied = await migrateUp(number);
+        if (!applied.length) console.log('Database is up to date');
+    } else if (command === 'down') {
+        const reverted = await migrateDown(number ?? 1);
+        if (!reverted.length) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+        await printStatus();
+    } else {
+        throw new Error('Usage: node migrate.js up [version] | down [steps] | status');
+    }
+}
+
+if (require.main === module) {
+    main(process.argv[2], process.argv[3])
+        .catch(err => {
+            console.error('❌ Migration error:', err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = {
+    loadMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    assertMigrationsCurrent
+};
@@ -0,0 +1,17 @@
+-- Drops everything the initial schema created, so this removes all data
+DROP TABLE IF EXISTS
+  calendar_watches,
+  webhook_deliveries,
+  webhook_endpoints,
+  jobs,
+  team_members,
+  teams,
+  slot_votes,
+  meeting_attendees,
+  slot_events,
+  calendar_connections,
+  meeting_types,
+  availability,
+  slots,
+  meetings,
+  users;
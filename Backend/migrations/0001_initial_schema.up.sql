@@ -0,0 +1,250 @@
+-- Initial schema
+-- The schema as it stood when initDb created it on every start. Every statement is
+-- idempotent so databases that initDb already set up adopt it without changes.
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password VARCHAR(255),
+  google_token TEXT,
+  outlook_token TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS meetings (
+  id SERIAL PRIMARY KEY,
+  user_id INT REFERENCES users(id),
+  attendee_email VARCHAR(255) NOT NULL,
+  attendee_name VARCHAR(255),
+  unique_link VARCHAR(255) UNIQUE,
+  selected_slot TIMESTAMPTZ,
+  status VARCHAR(50) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS slots (
+  id SERIAL PRIMARY KEY,
+  meeting_id INT REFERENCES meetings(id),
+  slot_time TIMESTAMPTZ NOT NULL,
+  google_event_id VARCHAR(255),
+  outlook_event_id VARCHAR(255),
+  is_selected BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS google_refresh_token TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS google_token_expires_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS google_needs_reconnect BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS outlook_refresh_token TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS outlook_token_expires_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS outlook_needs_reconnect BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS availability (
+  user_id INT PRIMARY KEY REFERENCES users(id),
+  weekly JSONB NOT NULL,
+  overrides JSONB NOT NULL DEFAULT '[]',
+  blackout_dates JSONB NOT NULL DEFAULT '[]',
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC';
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS attendee_timezone VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS meeting_types (
+  id SERIAL PRIMARY KEY,
+  user_id INT REFERENCES users(id),
+  name VARCHAR(255) NOT NULL,
+  duration_minutes INT NOT NULL DEFAULT 60,
+  title_template VARCHAR(255) NOT NULL DEFAULT 'Meeting with {attendeeEmail}',
+  description TEXT,
+  location VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Meetings keep a copy of their type's details so later edits don't change sent invites
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS meeting_type_id INT REFERENCES meeting_types(id) ON DELETE SET NULL;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS title VARCHAR(255);
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS location VARCHAR(500);
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS duration_minutes INT DEFAULT 60;
+UPDATE meetings SET title = 'Meeting with ' || attendee_email WHERE title IS NULL;
+
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(20);
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS reschedule_reason TEXT;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS ical_sequence INT NOT NULL DEFAULT 0;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS feed_token VARCHAR(64) UNIQUE;
+
+-- Calendar connections and hold event ids move off users/slots into per-provider rows
+CREATE TABLE IF NOT EXISTS calendar_connections (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  access_token TEXT,
+  refresh_token TEXT,
+  token_expires_at TIMESTAMPTZ,
+  needs_reconnect BOOLEAN NOT NULL DEFAULT FALSE,
+  settings JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, provider)
+);
+
+CREATE TABLE IF NOT EXISTS slot_events (
+  id SERIAL PRIMARY KEY,
+  slot_id INT NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+  provider VARCHAR(50) NOT NULL,
+  event_id TEXT NOT NULL,
+  UNIQUE (slot_id, provider)
+);
+
+-- Copy tokens and event ids from the old columns once, then clear them so they aren't copied again
+INSERT INTO calendar_connections (user_id, provider, access_token, refresh_token, token_expires_at, needs_reconnect)
+  SELECT id, 'google', google_token, google_refresh_token, google_token_expires_at, COALESCE(google_needs_reconnect, FALSE)
+  FROM users WHERE google_token IS NOT NULL
+  ON CONFLICT (user_id, provider) DO NOTHING;
+INSERT INTO calendar_connections (user_id, provider, access_token, refresh_token, token_expires_at, needs_reconnect)
+  SELECT id, 'outlook', outlook_token, outlook_refresh_token, outlook_token_expires_at, COALESCE(outlook_needs_reconnect, FALSE)
+  FROM users WHERE outlook_token IS NOT NULL
+  ON CONFLICT (user_id, provider) DO NOTHING;
+UPDATE users SET google_token = NULL, google_refresh_token = NULL, outlook_token = NULL, outlook_refresh_token = NULL
+  WHERE google_token IS NOT NULL OR outlook_token IS NOT NULL;
+
+INSERT INTO slot_events (slot_id, provider, event_id)
+  SELECT id, 'google', google_event_id FROM slots WHERE google_event_id IS NOT NULL
+  ON CONFLICT (slot_id, provider) DO NOTHING;
+INSERT INTO slot_events (slot_id, provider, event_id)
+  SELECT id, 'outlook', outlook_event_id FROM slots WHERE outlook_event_id IS NOT NULL
+  ON CONFLICT (slot_id, provider) DO NOTHING;
+UPDATE slots SET google_event_id = NULL, outlook_event_id = NULL
+  WHERE google_event_id IS NOT NULL OR outlook_event_id IS NOT NULL;
+
+ALTER TABLE slot_events ADD COLUMN IF NOT EXISTS calendar_id TEXT;
+
+-- Group meetings: one row and link per attendee, and their yes/no answer for each offered slot
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS auto_finalize BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE TABLE IF NOT EXISTS meeting_attendees (
+  id SERIAL PRIMARY KEY,
+  meeting_id INT NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  timezone VARCHAR(64),
+  unique_link VARCHAR(255) UNIQUE NOT NULL,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS slot_votes (
+  attendee_id INT NOT NULL REFERENCES meeting_attendees(id) ON DELETE CASCADE,
+  slot_id INT NOT NULL REFERENCES slots(id) ON DELETE CASCADE,
+  available BOOLEAN NOT NULL,
+  PRIMARY KEY (attendee_id, slot_id)
+);
+
+-- Teams share meeting types. Collective types need every member free, round-robin ones any member.
+CREATE TABLE IF NOT EXISTS teams (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  owner_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS team_members (
+  team_id INT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (team_id, user_id)
+);
+
+ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS team_id INT REFERENCES teams(id) ON DELETE CASCADE;
+ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS scheduling_mode VARCHAR(20);
+
+-- Team meetings keep their type's team and mode; round-robin ones record the member picked to host
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS team_id INT REFERENCES teams(id) ON DELETE SET NULL;
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS scheduling_mode VARCHAR(20);
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS host_user_id INT REFERENCES users(id);
+
+-- Public booking pages: /book/<handle>, and /book/<handle>/<slug> for a single meeting type
+ALTER TABLE users ADD COLUMN IF NOT EXISTS handle VARCHAR(40) UNIQUE;
+ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS slug VARCHAR(40);
+CREATE UNIQUE INDEX IF NOT EXISTS meeting_types_user_slug ON meeting_types (user_id, slug);
+
+-- Background jobs for the worker in jobs.js
+CREATE TABLE IF NOT EXISTS jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  meeting_id INT REFERENCES meetings(id) ON DELETE CASCADE,
+  run_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  locked_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS jobs_due ON jobs (run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS jobs_meeting ON jobs (meeting_id);
+
+-- Reminder offsets in minutes before the meeting; a meeting type's own list wins over the organizer's
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reminder_offsets JSONB NOT NULL DEFAULT '[1440, 60]';
+ALTER TABLE meeting_types ADD COLUMN IF NOT EXISTS reminder_offsets JSONB;
+
+-- How the organizer appears in emails: name, brand color, logo and language
+ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS brand_color VARCHAR(7);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS logo_url TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_locale VARCHAR(5) NOT NULL DEFAULT 'en';
+
+-- Outbound webhooks and the log of every event sent to them
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret VARCHAR(64) NOT NULL,
+  events JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  endpoint_id INT NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  response_status INT,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, created_at DESC);
+
+-- Push subscriptions on a connection's hold calendar (Google channels, Graph subscriptions)
+CREATE TABLE IF NOT EXISTS calendar_watches (
+  id SERIAL PRIMARY KEY,
+  connection_id INT NOT NULL REFERENCES calendar_connections(id) ON DELETE CASCADE,
+  calendar_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL UNIQUE,
+  resource_id TEXT,
+  token VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Slot times were written as UTC into zone-less columns; convert them once
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'slots' AND column_name = 'slot_time') = 'timestamp without time zone' THEN
+    ALTER TABLE slots ALTER COLUMN slot_time TYPE TIMESTAMPTZ USING slot_time AT TIME ZONE 'UTC';
+  END IF;
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'meetings' AND column_name = 'selected_slot') = 'timestamp without time zone' THEN
+    ALTER TABLE meetings ALTER COLUMN selected_slot TYPE TIMESTAMPTZ USING selected_slot AT TIME ZONE 'UTC';
+  END IF;
+END $$;
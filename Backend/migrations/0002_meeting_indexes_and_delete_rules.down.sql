@@ -0,0 +1,23 @@
+DROP INDEX IF EXISTS
+  slots_meeting,
+  meetings_user,
+  meetings_host,
+  meetings_expiring,
+  meeting_attendees_meeting,
+  slot_votes_slot,
+  team_members_user,
+  meeting_types_team,
+  calendar_watches_connection;
+
+ALTER TABLE meeting_types DROP CONSTRAINT IF EXISTS meeting_types_user_id_fkey,
+  ADD CONSTRAINT meeting_types_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id);
+ALTER TABLE availability DROP CONSTRAINT IF EXISTS availability_user_id_fkey,
+  ADD CONSTRAINT availability_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id);
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_host_user_id_fkey,
+  ADD CONSTRAINT meetings_host_user_id_fkey FOREIGN KEY (host_user_id) REFERENCES users(id);
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_user_id_fkey,
+  ADD CONSTRAINT meetings_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id);
+
+ALTER TABLE slots DROP CONSTRAINT IF EXISTS slots_meeting_id_fkey,
+  ADD CONSTRAINT slots_meeting_id_fkey FOREIGN KEY (meeting_id) REFERENCES meetings(id);
+ALTER TABLE slots ALTER COLUMN meeting_id DROP NOT NULL;
@@ -0,0 +1,29 @@
+-- Meeting indexes and delete rules
+-- Foreign keys from the first tables had no ON DELETE rule, so deleting a user or meeting
+-- failed on its children. Children that can't live without their parent now go with it;
+-- a meeting keeps its row when the team member who hosted it is removed.
+DELETE FROM slots WHERE meeting_id IS NULL;
+ALTER TABLE slots ALTER COLUMN meeting_id SET NOT NULL;
+ALTER TABLE slots DROP CONSTRAINT IF EXISTS slots_meeting_id_fkey,
+  ADD CONSTRAINT slots_meeting_id_fkey FOREIGN KEY (meeting_id) REFERENCES meetings(id) ON DELETE CASCADE;
+
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_user_id_fkey,
+  ADD CONSTRAINT meetings_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_host_user_id_fkey,
+  ADD CONSTRAINT meetings_host_user_id_fkey FOREIGN KEY (host_user_id) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE availability DROP CONSTRAINT IF EXISTS availability_user_id_fkey,
+  ADD CONSTRAINT availability_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE meeting_types DROP CONSTRAINT IF EXISTS meeting_types_user_id_fkey,
+  ADD CONSTRAINT meeting_types_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+-- Foreign keys aren't indexed on their own; these back the lookups the routes and jobs make
+CREATE INDEX IF NOT EXISTS slots_meeting ON slots (meeting_id, slot_time);
+CREATE INDEX IF NOT EXISTS meetings_user ON meetings (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS meetings_host ON meetings (host_user_id) WHERE host_user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS meetings_expiring ON meetings (expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS meeting_attendees_meeting ON meeting_attendees (meeting_id);
+CREATE INDEX IF NOT EXISTS slot_votes_slot ON slot_votes (slot_id);
+CREATE INDEX IF NOT EXISTS team_members_user ON team_members (user_id);
+CREATE INDEX IF NOT EXISTS meeting_types_team ON meeting_types (team_id) WHERE team_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS calendar_watches_connection ON calendar_watches (connection_id);
@@ -0,0 +1,18 @@
+-- Sessions
+-- One row per login. Access tokens name their session and are only honored while it is active;
+-- the refresh token is rotated on every use, and the previous one is kept to recognize a replay.
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_refresh_token_hash VARCHAR(64),
+  rotated_at TIMESTAMPTZ,
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX sessions_user ON sessions (user_id) WHERE revoked_at IS NULL;
+CREATE INDEX sessions_previous_refresh_token ON sessions (previous_refresh_token_hash);
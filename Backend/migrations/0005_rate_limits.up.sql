@@ -0,0 +1,8 @@
+-- Rate limits
+-- Request counters for the postgres store in rateLimit.js, one row per rule and key
+CREATE TABLE rate_limits (
+  key VARCHAR(255) PRIMARY KEY,
+  count INT NOT NULL,
+  reset_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX rate_limits_reset ON rate_limits (reset_at);
@@ -0,0 +1,2 @@
+-- Only the default goes back; rewritten titles keep the attendee's name
+ALTER TABLE meeting_types ALTER COLUMN title_template SET DEFAULT 'Meeting with {attendeeEmail}';
@@ -0,0 +1,8 @@
+-- Titles without attendee emails
+-- Titles are shown on the public meeting page, so the default no longer puts the attendee's
+-- email in them. Types and meetings still on the old default move to the attendee's name.
+ALTER TABLE meeting_types ALTER COLUMN title_template SET DEFAULT 'Meeting with {attendeeName}';
+UPDATE meeting_types SET title_template = 'Meeting with {attendeeName}'
+  WHERE title_template = 'Meeting with {attendeeEmail}';
+UPDATE meetings SET title = 'Meeting with ' || attendee_name
+  WHERE NOT is_group AND title = 'Meeting with ' || attendee_email AND COALESCE(attendee_name, '') <> '';
@@ -0,0 +1,7 @@
+-- Sessions keep only their latest retired token again
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS previous_refresh_token_hash VARCHAR(64);
+UPDATE sessions s SET previous_refresh_token_hash = (
+  SELECT token_hash FROM retired_refresh_tokens r WHERE r.family_id = s.id ORDER BY r.rotated_at DESC LIMIT 1
+);
+CREATE INDEX IF NOT EXISTS sessions_previous_refresh_token ON sessions (previous_refresh_token_hash);
+DROP TABLE IF EXISTS retired_refresh_tokens;
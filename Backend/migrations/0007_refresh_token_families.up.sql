@@ -0,0 +1,14 @@
+-- Refresh token families
+-- Every refresh token a session rotated away, not just the last one, so a leaked token is
+-- recognized however many rotations back it is. family_id is the session the token belonged to;
+-- presenting any of them after the grace period revokes it.
+CREATE TABLE retired_refresh_tokens (
+  token_hash VARCHAR(64) PRIMARY KEY,
+  family_id INT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  rotated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX retired_refresh_tokens_family ON retired_refresh_tokens (family_id);
+INSERT INTO retired_refresh_tokens (token_hash, family_id, rotated_at)
+  SELECT previous_refresh_token_hash, id, rotated_at FROM sessions WHERE previous_refresh_token_hash IS NOT NULL;
+DROP INDEX IF EXISTS sessions_previous_refresh_token;
+ALTER TABLE sessions DROP COLUMN previous_refresh_token_hash;
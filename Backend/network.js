@@ -0,0 +1,107 @@
+// Outbound Requests to User-Supplied URLs
+// Webhook endpoints and CalDAV servers are URLs users type in, so requests to them must not
+// reach the server's own network: loopback, link-local (cloud metadata), private ranges and
+// the like. Hostnames are checked by what they resolve to, and again on every connection,
+// since DNS can answer differently by the time the request is made.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// One list per family: a list with IPv6 rules also matches IPv4 addresses as IPv4-mapped ones
+const NON_PUBLIC_IPV4 = new net.BlockList();
+const NON_PUBLIC_IPV6 = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    // Multicast, reserved and broadcast
+    ['224.0.0.0', 3]
+]) {
+    NON_PUBLIC_IPV4.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    // Unspecified, loopback and IPv4-compatible
+    ['::', 96],
+    // IPv4-mapped and NAT64 addresses can wrap any of the IPv4 ranges above
+    ['::ffff:0:0', 96],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+]) {
+    NON_PUBLIC_IPV6.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) return !NON_PUBLIC_IPV4.check(address, 'ipv4');
+    if (family === 6) return !NON_PUBLIC_IPV6.check(address, 'ipv6');
+    return false;
+}
+
+function privateAddressError(hostname) {
+    return new Error(`${hostname} is not a public internet address`);
+}
+
+// dns.lookup that fails when any address of the host isn't public
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(privateAddressError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Connections to an IP literal skip the lookup, so the agent checks those itself
+function createPublicAgent(Agent) {
+    const agent = new Agent({ lookup: publicLookup });
+    const createConnection = agent.createConnection.bind(agent);
+    agent.createConnection = (options, callback) => {
+        if (net.isIP(options.host) && !isPublicAddress(options.host)) {
+            callback(privateAddressError(options.host));
+            return undefined;
+        }
+        return createConnection(options, callback);
+    };
+    return agent;
+}
+
+// For axios: { httpAgent: publicHttpAgent, httpsAgent: publicHttpsAgent }
+const publicHttpAgent = createPublicAgent(http.Agent);
+const publicHttpsAgent = createPublicAgent(https.Agent);
+
+// Up-front check with a readable error for when a URL is entered; throws when the
+// host can't be resolved or resolves to a non-public address
+async function assertPublicUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(hostname)) {
+        if (!isPublicAddress(hostname)) throw privateAddressError(hostname);
+        return;
+    }
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch {
+        throw new Error(`${hostname} could not be found`);
+    }
+    if (addresses.length === 0 || !addresses.every(entry => isPublicAddress(entry.address))) {
+        throw privateAddressError(hostname);
+    }
+}
+
+module.exports = {
+    isPublicAddress,
+    assertPublicUrl,
+    publicHttpAgent,
+    publicHttpsAgent
+};
@@ -0,0 +1,306 @@
+// CalDAV provider (iCloud, Fastmail, Nextcloud, ...)
+// Uses basic auth with an app password. The server details live in the connection's
+// settings: { serverUrl, username, password, calendarUrl, calendarName, calendarHomeUrl }.
+const axios = require('axios');
+const crypto = require('crypto');
+const { saveConnection, markNeedsReconnect } = require('./connections');
+const { assertPublicUrl, publicHttpAgent, publicHttpsAgent } = require('../network');
+const { ICAL_DOMAIN, formatIcalDate, buildIcsDocument, buildEventVevent, parseIcalEvents } = require('../ical');
+
+// XML Helpers
+// Multistatus responses are small and predictable, so tags are matched with or
+// without a namespace prefix instead of pulling in an XML parser.
+function tagPattern(name, flags = 'i') {
+    return new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, flags);
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#13;/g, '\r')
+        .replace(/&#10;/g, '\n')
+        .replace(/&amp;/g, '&');
+}
+
+function getResponses(xml) {
+    return (xml.match(tagPattern('response', 'gi')) || []).map(block => ({
+        href: decodeXml(block.match(tagPattern('href'))?.[1].trim() || ''),
+        body: block
+    }));
+}
+
+// First <href> inside the given property, e.g. current-user-principal
+function findPropertyHref(xml, property) {
+    const value = xml.match(tagPattern(property))?.[1];
+    const href = value?.match(tagPattern('href'))?.[1];
+    return href ? decodeXml(href.trim()) : null;
+}
+
+function isCalendarCollection(responseBody) {
+    const resourceType = responseBody.match(tagPattern('resourcetype'))?.[1] || '';
+    return /<(?:[\w-]+:)?calendar[\s/>]/i.test(resourceType);
+}
+
+function withTrailingSlash(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+// Requests
+// Server URLs are user input, and so is every href the server sends back, so each request
+// (and redirect) must be https and may only connect to public addresses. For development
+// against a local server, both can be relaxed:
+//
+//   CALDAV_ALLOW_HTTP=true           allows plain http, for servers without TLS
+//   CALDAV_ALLOW_PRIVATE_HOSTS=true  allows loopback and private network addresses
+//
+// Neither belongs in production, where any user could point the server at its own network.
+const ALLOW_HTTP = process.env.CALDAV_ALLOW_HTTP === 'true';
+const ALLOW_PRIVATE_HOSTS = process.env.CALDAV_ALLOW_PRIVATE_HOSTS === 'true';
+
+function assertAllowedProtocol(url) {
+    const { protocol } = new URL(url);
+    if (protocol !== 'https:' && !(ALLOW_HTTP && protocol === 'http:')) {
+        throw new Error(ALLOW_HTTP ? 'CalDAV URLs must start with https:// or http://' : 'CalDAV URLs must start with https://');
+    }
+}
+
+async function davRequest(settings, method, url, { depth, data, headers = {} } = {}) {
+    assertAllowedProtocol(url);
+    return axios({
+        method,
+        url,
+        data,
+        // undefined leaves axios on Node's default agents
+        httpAgent: ALLOW_PRIVATE_HOSTS ? undefined : publicHttpAgent,
+        httpsAgent: ALLOW_PRIVATE_HOSTS ? undefined : publicHttpsAgent,
+        beforeRedirect: options => assertAllowedProtocol(options.href),
+        auth: { username: settings.username, password: settings.password },
+        headers: {
+            ...(data && !headers['Content-Type'] ? { 'Content-Type': 'application/xml; charset=utf-8' } : {}),
+            ...(depth !== undefined ? { Depth: String(depth) } : {}),
+            ...headers
+        },
+        // Multistatus replies come back as 207
+        validateStatus: status => status >= 200 && status < 300
+    });
+}
+
+// Runs call(settings) for a stored connection. A 401 means the app password was
+// revoked, so the connection is flagged for reconnect and null is returned.
+async function withConnection(connection, call) {
+    if (connection.needs_reconnect) return null;
+    try {
+        return await call(connection.settings);
+    } catch (err) {
+        if (err.response?.status === 401) {
+            await markNeedsReconnect(connection.id);
+            console.log(`caldav credentials rejected for user ${connection.user_id}, reconnect required`);
+            return null;
+        }
+        throw err;
+    }
+}
+
+// Discovery (RFC 6764 / RFC 4791): principal -> calendar home -> calendar collections
+function propfindBody(props) {
+    return `<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop>${props}</d:prop></d:propfind>`;
+}
+
+async function discoverCalendarHome(settings) {
+    const principalResponse = await davRequest(settings, 'PROPFIND', settings.serverUrl, {
+        depth: 0,
+        data: propfindBody('<d:current-user-principal/>')
+    });
+    const principalHref = findPropertyHref(principalResponse.data, 'current-user-principal');
+    if (!principalHref) throw new Error('CalDAV server did not report a principal for this account');
+    const principalUrl = new URL(principalHref, settings.serverUrl).toString();
+
+    const homeResponse = await davRequest(settings, 'PROPFIND', principalUrl, {
+        depth: 0,
+        data: propfindBody('<c:calendar-home-set/>')
+    });
+    const homeHref = findPropertyHref(homeResponse.data, 'calendar-home-set');
+    if (!homeHref) throw new Error('CalDAV server did not report a calendar home for this account');
+    return new URL(homeHref, principalUrl).toString();
+}
+
+// Calendar collections directly under the home, as { id: calendarUrl, name }
+async function listHomeCalendars(settings, homeUrl) {
+    const response = await davRequest(settings, 'PROPFIND', homeUrl, {
+        depth: 1,
+        data: propfindBody('<d:resourcetype/><d:displayname/>')
+    });
+    return getResponses(response.data)
+        .filter(item => isCalendarCollection(item.body))
+        .map(item => {
+            const id = withTrailingSlash(new URL(item.href, homeUrl).toString());
+            return { id, name: decodeXml(item.body.match(tagPattern('displayname'))?.[1].trim() || '') || id };
+        });
+}
+
+// Events are stored as <calendarUrl><uid>.ics, and the resource URL is the event id
+function eventDocument(uid, event) {
+    return buildIcsDocument([buildEventVevent(uid, event)]);
+}
+
+function getEventUid(eventUrl) {
+    const name = decodeURIComponent(new URL(eventUrl).pathname.split('/').pop());
+    return `${name.replace(/\.ics$/, '')}@${ICAL_DOMAIN}`;
+}
+
+// calendar-query with expand, so recurring events come back as individual instances
+async function queryCalendarBusy(connection, calendarId, timeMin, timeMax, timeZone) {
+    const range = `start="${formatIcalDate(timeMin)}" end="${formatIcalDate(timeMax)}"`;
+    const response = await withConnection(connection, settings =>
+        davRequest(settings, 'REPORT', calendarId, {
+            depth: 1,
+            data: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><c:calendar-data><c:expand ${range}/></c:calendar-data></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"><c:time-range ${range}/></c:comp-filter></c:comp-filter></c:filter>
+</c:calendar-query>`
+        })
+    );
+    if (!response) return [];
+
+    const busy = [];
+    for (const { href, body } of getResponses(response.data)) {
+        const calendarData = body.match(tagPattern('calendar-data'))?.[1];
+        if (!calendarData) continue;
+        for (const event of parseIcalEvents(decodeXml(calendarData), timeZone)) {
+            // Cancelled events and ones marked as free (transparent) don't block time
+            if (event.status === 'CANCELLED' || event.transparent) continue;
+            // Servers without expand support return the whole series, so clip to the window
+            if (event.start < timeMax && event.end > timeMin) {
+                // The resource URL, which is what createEvent returns as the event id
+                busy.push({ eventId: new URL(href, calendarId).toString(), start: event.start, end: event.end });
+            }
+        }
+    }
+    return busy;
+}
+
+module.exports = {
+    id: 'caldav',
+    name: 'CalDAV',
+    authType: 'credentials',
+
+    // payload: { serverUrl, username, password, calendarUrl? }
+    async connect(userId, { serverUrl, username, password, calendarUrl } = {}) {
+        if (!serverUrl || !username || !password) {
+            throw new Error('Server URL, username and password are required');
+        }
+        for (const url of [serverUrl, calendarUrl].filter(Boolean)) {
+            try {
+                assertAllowedProtocol(url);
+                if (!ALLOW_PRIVATE_HOSTS) await assertPublicUrl(url);
+            } catch (err) {
+                throw new Error(`${url} can't be used: ${err.message}`);
+            }
+        }
+
+        const settings = { serverUrl, username, password };
+        let calendar;
+        try {
+            if (calendarUrl) {
+                calendar = { calendarUrl: withTrailingSlash(calendarUrl), calendarName: null, calendarHomeUrl: null };
+            } else {
+                const calendarHomeUrl = await discoverCalendarHome(settings);
+                const [first] = await listHomeCalendars(settings, calendarHomeUrl);
+                if (!first) throw new Error('No calendars found for this CalDAV account');
+                calendar = { calendarUrl: first.id, calendarName: first.name, calendarHomeUrl };
+            }
+            // Confirms the credentials and that the URL is a calendar
+            await davRequest(settings, 'PROPFIND', calendar.calendarUrl, { depth: 0 });
+        } catch (err) {
+            if (err.response?.status === 401) throw new Error('CalDAV server rejected the username or password');
+            throw err;
+        }
+
+        // The account may have changed, so earlier calendar choices are reset to the defaults
+        return saveConnection(userId, 'caldav', {
+            settings: { ...settings, ...calendar, conflictCalendars: null, holdCalendar: null }
+        });
+    },
+
+    // The calendar found (or entered) when connecting
+    defaultCalendarId(connection) {
+        return connection.settings.calendarUrl;
+    },
+
+    // A manually entered calendar URL has no known home, so it is the only calendar listed
+    async listCalendars(connection) {
+        const { calendarUrl, calendarName, calendarHomeUrl } = connection.settings;
+        const calendars = calendarHomeUrl
+            ? await withConnection(connection, settings => listHomeCalendars(settings, calendarHomeUrl))
+            : [{ id: calendarUrl, name: calendarName || calendarUrl }];
+
+        return (calendars || []).map(calendar => ({
+            ...calendar,
+            primary: calendar.id === calendarUrl,
+            writable: true
+        }));
+    },
+
+    async listBusy(connection, calendarIds, timeMin, timeMax, timeZone) {
+        const busy = [];
+        for (const calendarId of calendarIds) {
+            busy.push(...await queryCalendarBusy(connection, calendarId, timeMin, timeMax, timeZone));
+        }
+        return busy;
+    },
+
+    listEvents(connection, calendarId, timeMin, timeMax, timeZone) {
+        return queryCalendarBusy(connection, calendarId, timeMin, timeMax, timeZone);
+    },
+
+    async createEvent(connection, calendarId, event) {
+        const name = crypto.randomUUID();
+        const response = await withConnection(connection, async settings => {
+            const eventUrl = `${withTrailingSlash(calendarId)}${name}.ics`;
+            await davRequest(settings, 'PUT', eventUrl, {
+                data: eventDocument(`${name}@${ICAL_DOMAIN}`, event),
+                headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+            });
+            return eventUrl;
+        });
+        return response || null;
+    },
+
+    // The event id is the resource URL, so the calendar isn't needed to find it
+    async updateEvent(connection, calendarId, eventId, event) {
+        await withConnection(connection, settings =>
+            davRequest(settings, 'PUT', eventId, {
+                data: eventDocument(getEventUid(eventId), event),
+                headers: { 'Content-Type': 'text/calendar; charset=utf-8' }
+            })
+        );
+    },
+
+    async deleteEvent(connection, calendarId, eventId) {
+        try {
+            await withConnection(connection, settings => davRequest(settings, 'DELETE', eventId));
+        } catch (err) {
+            // Already removed on the server
+            if (err.response?.status !== 404) throw err;
+        }
+    },
+
+    // CalDAV has no push, so these events are only checked by polling
+    async getEvent(connection, calendarId, eventId) {
+        let response;
+        try {
+            response = await withConnection(connection, settings => davRequest(settings, 'GET', eventId));
+        } catch (err) {
+            if (err.response?.status === 404) return { deleted: true };
+            throw err;
+        }
+        if (!response) return null;
+        const [event] = parseIcalEvents(String(response.data));
+        if (!event || event.status === 'CANCELLED') return { deleted: true };
+        return { start: event.start, end: event.end };
+    }
+};
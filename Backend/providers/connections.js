@@ -0,0 +1,72 @@
+// Calendar Connections
+// One row per user and provider in calendar_connections. OAuth providers keep their
+// tokens in the token columns; anything provider-specific (CalDAV server details,
+// chosen calendars) lives in the settings JSON.
+const pool = require('../db');
+
+async function getConnections(userId) {
+    const result = await pool.query(
+        'SELECT * FROM calendar_connections WHERE user_id = $1 ORDER BY provider',
+        [userId]
+    );
+    return result.rows;
+}
+
+async function getConnection(userId, provider) {
+    const result = await pool.query(
+        'SELECT * FROM calendar_connections WHERE user_id = $1 AND provider = $2',
+        [userId, provider]
+    );
+    return result.rows[0] || null;
+}
+
+// Creates or replaces the connection. A missing refresh token keeps the stored one,
+// since Google only sends it on first consent.
+async function saveConnection(userId, provider, { accessToken = null, refreshToken = null, expiresAt = null, settings = {} }) {
+    const result = await pool.query(
+        `INSERT INTO calendar_connections
+            (user_id, provider, access_token, refresh_token, token_expires_at, needs_reconnect, settings)
+         VALUES ($1, $2, $3, $4, $5, FALSE, $6)
+         ON CONFLICT (user_id, provider) DO UPDATE SET
+            access_token = EXCLUDED.access_token,
+            refresh_token = COALESCE(EXCLUDED.refresh_token, calendar_connections.refresh_token),
+            token_expires_at = EXCLUDED.token_expires_at,
+            needs_reconnect = FALSE,
+            settings = calendar_connections.settings || EXCLUDED.settings
+         RETURNING *`,
+        [userId, provider, accessToken, refreshToken, expiresAt, JSON.stringify(settings)]
+    );
+    return result.rows[0];
+}
+
+// Merges provider-specific values (like a looked-up mailbox) into the stored settings
+async function updateConnectionSettings(connectionId, settings) {
+    await pool.query(
+        'UPDATE calendar_connections SET settings = settings || $1 WHERE id = $2',
+        [JSON.stringify(settings), connectionId]
+    );
+}
+
+async function markNeedsReconnect(connectionId) {
+    await pool.query(
+        'UPDATE calendar_connections SET needs_reconnect = TRUE WHERE id = $1',
+        [connectionId]
+    );
+}
+
+async function deleteConnection(userId, provider) {
+    const result = await pool.query(
+        'DELETE FROM calendar_connections WHERE user_id = $1 AND provider = $2 RETURNING id',
+        [userId, provider]
+    );
+    return result.rows.length > 0;
+}
+
+module.exports = {
+    getConnections,
+    getConnection,
+    saveConnection,
+    updateConnectionSettings,
+    markNeedsReconnect,
+    deleteConnection
+};
@@ -0,0 +1,196 @@
+// Google Calendar provider
+const axios = require('axios');
+const { createOAuthClient } = require('./oauth');
+const { formatZonedDateTime, isValidTimeZone, zonedTimeToUtc } = require('../timezone');
+
+const CALENDAR_API_URL = 'https://www.googleapis.com/calendar/v3';
+
+const oauth = createOAuthClient({
+    provider: 'google',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_REDIRECT_URI
+});
+
+function eventsUrl(calendarId) {
+    return `${CALENDAR_API_URL}/calendars/${encodeURIComponent(calendarId)}/events`;
+}
+
+// An event's start or end as an instant. All-day events carry only a date, which starts at
+// midnight in the calendar's time zone, as freeBusy reads them.
+function toInstant(time, timeZone) {
+    return time.dateTime ? new Date(time.dateTime) : zonedTimeToUtc(time.date, '00:00', timeZone);
+}
+
+function toGoogleEvent(event) {
+    return {
+        summary: event.title,
+        description: event.description || undefined,
+        location: event.location || undefined,
+        start: { dateTime: formatZonedDateTime(event.start, event.timeZone), timeZone: event.timeZone },
+        end: { dateTime: formatZonedDateTime(event.end, event.timeZone), timeZone: event.timeZone },
+        attendees: event.attendees.map(email => ({ email }))
+    };
+}
+
+function authHeaders(token) {
+    return { headers: { Authorization: `Bearer ${token}` } };
+}
+
+// Google caps push channels at about a week
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+module.exports = {
+    id: 'google',
+    name: 'Google Calendar',
+    authType: 'oauth',
+
+    connect(userId, { code }) {
+        if (!code) throw new Error('Authorization code required');
+        return oauth.exchangeCode(userId, code);
+    },
+
+    defaultCalendarId() {
+        return 'primary';
+    },
+
+    // Every calendar in the user's list; the primary one is reported as 'primary'
+    // so it matches the default selection
+    async listCalendars(connection) {
+        const calendars = [];
+        let pageToken;
+        do {
+            const response = await oauth.withToken(connection, token =>
+                axios.get(`${CALENDAR_API_URL}/users/me/calendarList`, { ...authHeaders(token), params: { pageToken } })
+            );
+            if (!response) break;
+            for (const item of response.data.items || []) {
+                calendars.push({
+                    id: item.primary ? 'primary' : item.id,
+                    name: item.summaryOverride || item.summary,
+                    primary: !!item.primary,
+                    writable: ['owner', 'writer'].includes(item.accessRole)
+                });
+            }
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        return calendars;
+    },
+
+    // freeBusy already leaves out cancelled events and ones marked as free (transparent)
+    async listBusy(connection, calendarIds, timeMin, timeMax) {
+        const response = await oauth.withToken(connection, token =>
+            axios.post(`${CALENDAR_API_URL}/freeBusy`, {
+                timeMin: timeMin.toISOString(),
+                timeMax: timeMax.toISOString(),
+                items: calendarIds.map(id => ({ id }))
+            }, authHeaders(token))
+        );
+        if (!response) return [];
+
+        const busy = [];
+        for (const [calendarId, calendar] of Object.entries(response.data.calendars || {})) {
+            if (calendar.errors?.length) {
+                throw new Error(`freeBusy failed for ${calendarId}: ${calendar.errors.map(e => e.reason).join(', ')}`);
+            }
+            for (const interval of calendar.busy || []) {
+                busy.push({ start: new Date(interval.start), end: new Date(interval.end) });
+            }
+        }
+        return busy;
+    },
+
+    // Busy events one by one, for when some must be told apart by id. Like freeBusy, cancelled
+    // events and ones marked as free are left out; all-day events block their whole days in the
+    // calendar's time zone, or timeZone when the response doesn't name a valid one.
+    async listEvents(connection, calendarId, timeMin, timeMax, timeZone = 'UTC') {
+        const events = [];
+        let pageToken;
+        do {
+            const response = await oauth.withToken(connection, token =>
+                axios.get(eventsUrl(calendarId), {
+                    ...authHeaders(token),
+                    params: {
+                        timeMin: timeMin.toISOString(),
+                        timeMax: timeMax.toISOString(),
+                        singleEvents: true,
+                        maxResults: 250,
+                        pageToken
+                    }
+                })
+            );
+            if (!response) break;
+            const calendarTimeZone = isValidTimeZone(response.data.timeZone) ? response.data.timeZone : timeZone;
+            for (const item of response.data.items || []) {
+                if (item.status === 'cancelled' || item.transparency === 'transparent') continue;
+                events.push({
+                    eventId: item.id,
+                    start: toInstant(item.start, calendarTimeZone),
+                    end: toInstant(item.end, calendarTimeZone)
+                });
+            }
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        return events;
+    },
+
+    async createEvent(connection, calendarId, event) {
+        const response = await oauth.withToken(connection, token =>
+            axios.post(eventsUrl(calendarId), toGoogleEvent(event), authHeaders(token))
+        );
+        return response?.data.id || null;
+    },
+
+    async updateEvent(connection, calendarId, eventId, event) {
+        await oauth.withToken(connection, token =>
+            axios.patch(`${eventsUrl(calendarId)}/${eventId}`, toGoogleEvent(event), authHeaders(token))
+        );
+    },
+
+    async deleteEvent(connection, calendarId, eventId) {
+        await oauth.withToken(connection, token =>
+            axios.delete(`${eventsUrl(calendarId)}/${eventId}`, authHeaders(token))
+        );
+    },
+
+    // Deleted events stay readable with status 'cancelled' for a while, later they 404 or 410
+    async getEvent(connection, calendarId, eventId) {
+        let response;
+        try {
+            response = await oauth.withToken(connection, token =>
+                axios.get(`${eventsUrl(calendarId)}/${eventId}`, authHeaders(token))
+            );
+        } catch (err) {
+            if ([404, 410].includes(err.response?.status)) return { deleted: true };
+            throw err;
+        }
+        if (!response) return null;
+        if (response.data.status === 'cancelled') return { deleted: true };
+        return {
+            start: new Date(response.data.start.dateTime || response.data.start.date),
+            end: new Date(response.data.end.dateTime || response.data.end.date)
+        };
+    },
+
+    // Push channel on the calendar's events; Google posts to address with the channel id and token
+    async watchCalendar(connection, calendarId, { channelId, address, token: channelToken }) {
+        const response = await oauth.withToken(connection, token =>
+            axios.post(`${eventsUrl(calendarId)}/watch`, {
+                id: channelId,
+                type: 'web_hook',
+                address,
+                token: channelToken,
+                params: { ttl: String(CHANNEL_TTL_SECONDS) }
+            }, authHeaders(token))
+        );
+        if (!response) return null;
+        return { resourceId: response.data.resourceId, expiresAt: new Date(Number(response.data.expiration)) };
+    },
+
+    async stopWatch(connection, watch) {
+        await oauth.withToken(connection, token =>
+            axios.post(`${CALENDAR_API_URL}/channels/stop`, { id: watch.channel_id, resourceId: watch.resource_id }, authHeaders(token))
+        );
+    }
+};
@@ -0,0 +1,411 @@
+// Calendar Providers
+// Every calendar backend implements the same interface, and routes only talk to the
+// helpers below, so adding a calendar means adding a module to PROVIDERS.
+//
+//   id, name                      registry key and display name
+//   authType                      'oauth' (code from a redirect) or 'credentials'
+//   connect(userId, payload)      validates and stores the connection, returns its row
+//   defaultCalendarId(connection) calendar used until the user picks others
+//   listCalendars(connection)     [{ id, name, primary, writable }] for the account
+//   listBusy(connection, calendarIds, timeMin, timeMax, timeZone)
+//                                 busy intervals [{ start, end }] overlapping the window
+//   listEvents(connection, calendarId, timeMin, timeMax, timeZone)
+//                                 busy events of one calendar as [{ eventId, start, end }]
+//   createEvent(connection, calendarId, event)
+//                                 creates a hold, resolves to the provider event id or null
+//   updateEvent(connection, calendarId, eventId, event)
+//                                 replaces the event's times and details
+//   deleteEvent(connection, calendarId, eventId)
+//                                 removes the event
+//   getEvent(connection, calendarId, eventId)
+//                                 { start, end } as the event is now, or { deleted: true }
+//
+// Providers that can push changes also implement
+//   watchCalendar(connection, calendarId, { channelId, address, token })
+//                                 subscribes address to changes in the calendar,
+//                                 resolves to { channelId?, resourceId?, expiresAt }
+//   stopWatch(connection, watch)  ends the subscription for a calendar_watches row
+//
+// event is { start, end, timeZone, title, description, location, attendees: [email] }.
+// Provider calls resolve to null / [] when the connection needs a reconnect.
+const crypto = require('crypto');
+const pool = require('../db');
+const { getConnections, getConnection, updateConnectionSettings } = require('./connections');
+
+const PROVIDERS = {
+    google: require('./google'),
+    outlook: require('./outlook'),
+    caldav: require('./caldav')
+};
+
+function getProvider(id) {
+    return PROVIDERS[id] || null;
+}
+
+// Connected / needs reconnect for every known provider, keyed by provider id
+async function getConnectionStatuses(userId) {
+    const connections = await getConnections(userId);
+    const statuses = {};
+    for (const provider of Object.values(PROVIDERS)) {
+        const connection = connections.find(c => c.provider === provider.id);
+        statuses[provider.id] = {
+            name: provider.name,
+            authType: provider.authType,
+            connected: !!connection,
+            needsReconnect: !!connection?.needs_reconnect,
+            calendarName: connection?.settings?.calendarName || null
+        };
+    }
+    return statuses;
+}
+
+// Calendar Choices
+// Per connection, the calendars checked for conflicts and the one that receives holds.
+// Both are kept in the connection settings and default to the provider's main calendar.
+function getCalendarSelection(connection) {
+    const defaultId = PROVIDERS[connection.provider].defaultCalendarId(connection);
+    return {
+        conflictCalendars: connection.settings?.conflictCalendars || [defaultId],
+        holdCalendar: connection.settings?.holdCalendar || defaultId
+    };
+}
+
+// Calendars of one connected account with the current selection, or null when not connected
+async function getCalendarChoices(userId, providerId) {
+    const connection = await getConnection(userId, providerId);
+    if (!connection) return null;
+
+    const calendars = await PROVIDERS[providerId].listCalendars(connection);
+    return { calendars: calendars || [], ...getCalendarSelection(connection) };
+}
+
+async function saveCalendarChoices(userId, providerId, { conflictCalendars, holdCalendar }) {
+    const connection = await getConnection(userId, providerId);
+    await updateConnectionSettings(connection.id, { conflictCalendars, holdCalendar });
+    invalidateBusyCache(userId);
+}
+
+// Busy Cache
+// Busy intervals per user for recently queried windows. Entries expire after a short TTL
+// and are dropped as soon as CalSync itself adds or removes events or connections change.
+// The cache is per process, so another instance can serve calendar data up to a TTL old;
+// CalSync's own bookings are read from the database next to it, and bookings re-check live.
+const BUSY_CACHE_TTL_MS = Number(process.env.BUSY_CACHE_TTL_MS) || 60 * 1000;
+// Users whose busy data is kept; past this the least recently cached are dropped
+const MAX_BUSY_CACHE_USERS = 1000;
+const busyCache = new Map();
+let busyCacheSweptAt = Date.now();
+
+function invalidateBusyCache(userId) {
+    busyCache.delete(userId);
+}
+
+function getLiveEntries(userId) {
+    return (busyCache.get(userId) || []).filter(entry => entry.expiresAt > Date.now());
+}
+
+// A cached window that covers [timeMin, timeMax) answers the query without calling providers
+function getCachedBusy(userId, timeMin, timeMax, timeZone) {
+    const entries = getLiveEntries(userId);
+    if (entries.length) {
+        busyCache.set(userId, entries);
+    } else {
+        busyCache.delete(userId);
+    }
+
+    const entry = entries.find(e => e.timeZone === timeZone && e.timeMin <= timeMin && e.timeMax >= timeMax);
+    return entry ? entry.busy.filter(interval => interval.start < timeMax && interval.end > timeMin) : null;
+}
+
+function cacheBusy(userId, timeMin, timeMax, timeZone, busy) {
+    const entries = getLiveEntries(userId);
+    entries.push({ timeMin, timeMax, timeZone, busy, expiresAt: Date.now() + BUSY_CACHE_TTL_MS });
+    // Re-inserted so the Map's order stays least recently cached first
+    busyCache.delete(userId);
+    busyCache.set(userId, entries);
+
+    // Users who stopped querying are swept out once their entries expire
+    if (Date.now() - busyCacheSweptAt > BUSY_CACHE_TTL_MS) {
+        for (const cachedUserId of busyCache.keys()) {
+            if (getLiveEntries(cachedUserId).length === 0) busyCache.delete(cachedUserId);
+        }
+        busyCacheSweptAt = Date.now();
+    }
+    for (const cachedUserId of busyCache.keys()) {
+        if (busyCache.size <= MAX_BUSY_CACHE_USERS) break;
+        busyCache.delete(cachedUserId);
+    }
+}
+
+// Busy intervals across all of the user's calendars, queried in parallel.
+// A failing provider is logged and skipped, and the partial result isn't cached.
+// fresh skips the cache for checks that must see the calendars as they are now.
+async function listBusyForUser(userId, timeMin, timeMax, timeZone, { fresh = false } = {}) {
+    const cached = fresh ? null : getCachedBusy(userId, timeMin, timeMax, timeZone);
+    if (cached) return cached;
+
+    const connections = await getConnections(userId);
+    let complete = true;
+    const results = await Promise.all(connections.map(async connection => {
+        const { conflictCalendars } = getCalendarSelection(connection);
+        if (conflictCalendars.length === 0) return [];
+        try {
+            return await PROVIDERS[connection.provider].listBusy(connection, conflictCalendars, timeMin, timeMax, timeZone);
+        } catch (err) {
+            complete = false;
+            console.log(`${connection.provider} busy lookup error:`, err.message);
+            return [];
+        }
+    }));
+
+    const busy = results.flat();
+    if (complete) cacheBusy(userId, timeMin, timeMax, timeZone, busy);
+    return busy;
+}
+
+// Busy intervals like listBusyForUser, always fresh, without the given events (slot_events rows).
+// Free/busy data merges overlapping events, so an event can't be cut out of it by its times
+// without also hiding a real event at the same time. Calendars holding one of the events are
+// read event by event instead and the events dropped by id.
+// Unlike listBusyForUser a failing provider isn't skipped: callers use this to decide whether a
+// time can be booked, so it throws an error with status 503 instead.
+async function listBusyExcludingEvents(userId, timeMin, timeMax, timeZone, excludeEvents) {
+    const connections = await getConnections(userId);
+    const results = await Promise.all(connections.map(async connection => {
+        const provider = PROVIDERS[connection.provider];
+        const { conflictCalendars } = getCalendarSelection(connection);
+        const excluded = excludeEvents.filter(row => row.provider === connection.provider);
+        const excludedIds = new Set(excluded.map(row => row.event_id));
+        const byEvent = conflictCalendars.filter(calendarId => excluded.some(row => row.calendar_id === calendarId));
+        const byBusy = conflictCalendars.filter(calendarId => !byEvent.includes(calendarId));
+        try {
+            const busy = byBusy.length ? await provider.listBusy(connection, byBusy, timeMin, timeMax, timeZone) : [];
+            for (const calendarId of byEvent) {
+                const events = await provider.listEvents(connection, calendarId, timeMin, timeMax, timeZone);
+                busy.push(...events.filter(event => !excludedIds.has(event.eventId)));
+            }
+            return busy;
+        } catch (err) {
+            console.log(`${connection.provider} busy lookup error:`, err.message);
+            const unavailable = new Error('Could not verify availability right now; please try again');
+            unavailable.status = 503;
+            throw unavailable;
+        }
+    }));
+    return results.flat();
+}
+
+// Places the event in the hold calendar of every connected account and records the ids against the slot
+async function createSlotEvents(userId, slotId, event) {
+    for (const connection of await getConnections(userId)) {
+        try {
+            const { holdCalendar } = getCalendarSelection(connection);
+            const eventId = await PROVIDERS[connection.provider].createEvent(connection, holdCalendar, event);
+            if (eventId) {
+                await pool.query(
+                    `INSERT INTO slot_events (slot_id, provider, calendar_id, event_id) VALUES ($1, $2, $3, $4)
+                     ON CONFLICT (slot_id, provider) DO UPDATE SET calendar_id = EXCLUDED.calendar_id, event_id = EXCLUDED.event_id`,
+                    [slotId, connection.provider, holdCalendar, eventId]
+                );
+            }
+        } catch (err) {
+            console.log(`${connection.provider} event creation error:`, err.message);
+        }
+    }
+    invalidateBusyCache(userId);
+}
+
+// Removes the calendar events placed for these slots and forgets their ids
+async function deleteSlotEvents(userId, slotIds) {
+    if (slotIds.length === 0) return;
+
+    const result = await pool.query(
+        'SELECT provider, calendar_id, event_id FROM slot_events WHERE slot_id = ANY($1)',
+        [slotIds]
+    );
+    await deleteCalendarEvents(userId, result.rows);
+    await pool.query('DELETE FROM slot_events WHERE slot_id = ANY($1)', [slotIds]);
+}
+
+// Removes events given as slot_events rows ({ provider, calendar_id, event_id }), for
+// callers that have already deleted the rows themselves
+async function deleteCalendarEvents(userId, rows) {
+    if (rows.length === 0) return;
+
+    const connections = await getConnections(userId);
+    for (const row of rows) {
+        const connection = connections.find(c => c.provider === row.provider);
+        if (!connection) continue;
+        try {
+            // Rows from before calendars could be chosen have no calendar_id and live in the default one
+            const calendarId = row.calendar_id || PROVIDERS[row.provider].defaultCalendarId(connection);
+            await PROVIDERS[row.provider].deleteEvent(connection, calendarId, row.event_id);
+        } catch (err) {
+            console.log(`${row.provider} event deletion error:`, err.message);
+        }
+    }
+    invalidateBusyCache(userId);
+}
+
+// Replaces the details of the events placed for a slot, except the copy in skipProvider
+// (the calendar the change came from)
+async function updateSlotEvents(userId, slotId, event, skipProvider = null) {
+    const result = await pool.query('SELECT * FROM slot_events WHERE slot_id = $1', [slotId]);
+    const connections = await getConnections(userId);
+    for (const row of result.rows.filter(r => r.provider !== skipProvider)) {
+        const connection = connections.find(c => c.provider === row.provider);
+        if (!connection) continue;
+        try {
+            const calendarId = row.calendar_id || PROVIDERS[row.provider].defaultCalendarId(connection);
+            await PROVIDERS[row.provider].updateEvent(connection, calendarId, row.event_id, event);
+        } catch (err) {
+            console.log(`${row.provider} event update error:`, err.message);
+        }
+    }
+    invalidateBusyCache(userId);
+}
+
+// The event behind a slot_events row as it is in the calendar now: { start, end },
+// { deleted: true }, or null when it can't be checked (not connected, provider error)
+async function getSlotEventState(userId, row) {
+    const connection = await getConnection(userId, row.provider);
+    if (!connection) return null;
+    try {
+        const calendarId = row.calendar_id || PROVIDERS[row.provider].defaultCalendarId(connection);
+        return await PROVIDERS[row.provider].getEvent(connection, calendarId, row.event_id);
+    } catch (err) {
+        console.log(`${row.provider} event lookup error:`, err.message);
+        return null;
+    }
+}
+
+// Push Notifications
+// Google and Outlook notify CalSync of changes in a calendar. Each of their connections
+// keeps one watch on its hold calendar, where CalSync's events go, renewed a day before it
+// expires. Pushes need a public https BACKEND_URL; without one every connection is polled.
+const WATCH_RENEW_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+function getNotificationUrl(providerId) {
+    const base = process.env.BACKEND_URL;
+    return base?.startsWith('https://') ? `${base}/api/calendar-notifications/${providerId}` : null;
+}
+
+function canWatch(connection) {
+    return !!PROVIDERS[connection.provider].watchCalendar && !!getNotificationUrl(connection.provider);
+}
+
+async function getWatches(connectionId) {
+    const result = await pool.query('SELECT * FROM calendar_watches WHERE connection_id = $1', [connectionId]);
+    return result.rows;
+}
+
+async function stopWatches(connection, watches) {
+    for (const watch of watches) {
+        try {
+            await PROVIDERS[connection.provider].stopWatch(connection, watch);
+        } catch (err) {
+            console.log(`${connection.provider} watch stop error:`, err.message);
+        }
+        await pool.query('DELETE FROM calendar_watches WHERE id = $1', [watch.id]);
+    }
+}
+
+// Creates missing watches and replaces ones about to expire or on a calendar that no longer
+// receives holds. Returns the ids of users with a new watch, since changes made before it
+// started were never pushed.
+async function refreshCalendarWatches() {
+    const watchable = Object.values(PROVIDERS).filter(p => p.watchCalendar).map(p => p.id);
+    const result = await pool.query(
+        'SELECT * FROM calendar_connections WHERE provider = ANY($1) AND NOT needs_reconnect',
+        [watchable]
+    );
+
+    const userIds = new Set();
+    for (const connection of result.rows.filter(canWatch)) {
+        try {
+            const { holdCalendar } = getCalendarSelection(connection);
+            const watches = await getWatches(connection.id);
+            const current = watches.find(w => w.calendar_id === holdCalendar
+                && new Date(w.expires_at).getTime() - WATCH_RENEW_MARGIN_MS > Date.now());
+            if (current) {
+                await stopWatches(connection, watches.filter(w => w !== current));
+                continue;
+            }
+
+            const channelId = crypto.randomUUID();
+            const token = crypto.randomBytes(24).toString('hex');
+            const watch = await PROVIDERS[connection.provider].watchCalendar(connection, holdCalendar, {
+                channelId,
+                address: getNotificationUrl(connection.provider),
+                token
+            });
+            if (!watch) continue;
+
+            await pool.query(
+                `INSERT INTO calendar_watches (connection_id, calendar_id, channel_id, resource_id, token, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [connection.id, holdCalendar, watch.channelId || channelId, watch.resourceId || null, token, watch.expiresAt]
+            );
+            await stopWatches(connection, watches);
+            userIds.add(connection.user_id);
+        } catch (err) {
+            console.log(`${connection.provider} watch error for user ${connection.user_id}:`, err.message);
+        }
+    }
+    return [...userIds];
+}
+
+// The watch a notification belongs to, with its user, or null for an unknown or forged one
+async function findWatch(providerId, channelId, token) {
+    const result = await pool.query(
+        `SELECT w.*, c.user_id FROM calendar_watches w
+         JOIN calendar_connections c ON c.id = w.connection_id
+         WHERE c.provider = $1 AND w.channel_id = $2`,
+        [providerId, channelId]
+    );
+    const watch = result.rows[0];
+    if (!watch || typeof token !== 'string') return null;
+
+    const given = Buffer.from(token);
+    const expected = Buffer.from(watch.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? watch : null;
+}
+
+// Ends the watches before a connection is removed, so the provider stops posting
+async function stopConnectionWatches(userId, providerId) {
+    const connection = await getConnection(userId, providerId);
+    if (connection && PROVIDERS[providerId].stopWatch) {
+        await stopWatches(connection, await getWatches(connection.id));
+    }
+}
+
+// True when some of the user's calendars have no live watch and need polling
+async function needsPolling(userId) {
+    for (const connection of await getConnections(userId)) {
+        if (connection.needs_reconnect) continue;
+        if (!canWatch(connection)) return true;
+        const watches = await getWatches(connection.id);
+        if (!watches.some(w => new Date(w.expires_at) > new Date())) return true;
+    }
+    return false;
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider,
+    getConnectionStatuses,
+    getCalendarChoices,
+    saveCalendarChoices,
+    listBusyForUser,
+    listBusyExcludingEvents,
+    invalidateBusyCache,
+    createSlotEvents,
+    deleteSlotEvents,
+    deleteCalendarEvents,
+    updateSlotEvents,
+    getSlotEventState,
+    refreshCalendarWatches,
+    findWatch,
+    stopConnectionWatches,
+    needsPolling
+};
@@ -0,0 +1,117 @@
+// Calendar OAuth Tokens
+// Access tokens last about an hour; refresh tokens are stored alongside them so
+// every provider call goes through withToken and gets a fresh one.
+const axios = require('axios');
+const pool = require('../db');
+const { saveConnection, markNeedsReconnect } = require('./connections');
+
+// Refresh slightly early so a token doesn't expire mid-request
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+// In-flight refreshes keyed by connection, so parallel calls share one refresh
+const pendingRefreshes = new Map();
+
+// config: { provider, tokenUrl, clientId, clientSecret, redirectUri, scope }
+function createOAuthClient(config) {
+    async function requestToken(params) {
+        const body = new URLSearchParams({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            ...params
+        });
+        if (config.scope) body.set('scope', config.scope);
+
+        const response = await axios.post(config.tokenUrl, body.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        return response.data;
+    }
+
+    function saveTokens(userId, tokenData) {
+        return saveConnection(userId, config.provider, {
+            accessToken: tokenData.access_token,
+            refreshToken: tokenData.refresh_token || null,
+            expiresAt: tokenData.expires_in ? new Date(Date.now() + tokenData.expires_in * 1000) : null
+        });
+    }
+
+    async function exchangeCode(userId, code) {
+        const tokenData = await requestToken({
+            code,
+            redirect_uri: config.redirectUri,
+            grant_type: 'authorization_code'
+        });
+        return saveTokens(userId, tokenData);
+    }
+
+    function refresh(connection) {
+        const key = connection.id;
+        if (!pendingRefreshes.has(key)) {
+            const refreshing = (async () => {
+                // Re-read the row: another request may have rotated the refresh token already
+                const result = await pool.query(
+                    'SELECT refresh_token FROM calendar_connections WHERE id = $1',
+                    [connection.id]
+                );
+                const refreshToken = result.rows[0]?.refresh_token;
+                if (!refreshToken) {
+                    await markNeedsReconnect(connection.id);
+                    return null;
+                }
+
+                try {
+                    const tokenData = await requestToken({
+                        grant_type: 'refresh_token',
+                        refresh_token: refreshToken
+                    });
+                    await saveTokens(connection.user_id, tokenData);
+                    return tokenData.access_token;
+                } catch (err) {
+                    // invalid_grant means the user revoked access or the refresh token expired
+                    if (err.response?.data?.error === 'invalid_grant') {
+                        await markNeedsReconnect(connection.id);
+                        console.log(`${config.provider} access revoked for user ${connection.user_id}, reconnect required`);
+                    } else {
+                        console.log(`${config.provider} token refresh error:`, err.message);
+                    }
+                    return null;
+                }
+            })().finally(() => pendingRefreshes.delete(key));
+            pendingRefreshes.set(key, refreshing);
+        }
+        return pendingRefreshes.get(key);
+    }
+
+    // Returns a usable access token, refreshing it first if it has expired.
+    // Returns null when the connection needs a reconnect.
+    async function getToken(connection) {
+        if (!connection.access_token || connection.needs_reconnect) return null;
+
+        const expiresAt = connection.token_expires_at;
+        if (expiresAt && new Date(expiresAt).getTime() - TOKEN_EXPIRY_MARGIN_MS <= Date.now()) {
+            return refresh(connection);
+        }
+        return connection.access_token;
+    }
+
+    // Runs call(accessToken) against the provider API. A 401 triggers one refresh and retry.
+    // Resolves to null without calling when the connection has no usable token.
+    async function withToken(connection, call) {
+        const token = await getToken(connection);
+        if (!token) return null;
+
+        try {
+            return await call(token);
+        } catch (err) {
+            if (err.response?.status !== 401) throw err;
+
+            const freshToken = await refresh(connection);
+            if (!freshToken) throw err;
+            return call(freshToken);
+        }
+    }
+
+    return { exchangeCode, withToken };
+}
+
+module.exports = { createOAuthClient };
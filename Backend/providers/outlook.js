@@ -0,0 +1,233 @@
+// Outlook / Microsoft 365 provider (Microsoft Graph)
+const axios = require('axios');
+const { createOAuthClient } = require('./oauth');
+const { updateConnectionSettings } = require('./connections');
+const { formatZonedDateTime } = require('../timezone');
+
+const GRAPH_URL = 'https://graph.microsoft.com/v1.0/me';
+const SUBSCRIPTIONS_URL = 'https://graph.microsoft.com/v1.0/subscriptions';
+
+// Graph allows event subscriptions of up to 4230 minutes
+const SUBSCRIPTION_TTL_MS = 4200 * 60 * 1000;
+
+const oauth = createOAuthClient({
+    provider: 'outlook',
+    tokenUrl: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+    clientId: process.env.OUTLOOK_CLIENT_ID,
+    clientSecret: process.env.OUTLOOK_CLIENT_SECRET,
+    redirectUri: process.env.OUTLOOK_REDIRECT_URI,
+    scope: 'Calendars.ReadWrite offline_access'
+});
+
+// Schedule items shown as free don't block a slot
+const FREE_STATUSES = ['free', 'workingElsewhere'];
+
+// getSchedule is keyed by SMTP address, so the mailbox is looked up once and kept in settings
+async function getMailbox(connection, token) {
+    if (connection.settings?.mailbox) return connection.settings.mailbox;
+
+    const response = await axios.get(`${GRAPH_URL}?$select=mail,userPrincipalName`, authHeaders(token));
+    const mailbox = response.data.mail || response.data.userPrincipalName;
+    await updateConnectionSettings(connection.id, { mailbox });
+    return mailbox;
+}
+
+function calendarUrl(calendarId) {
+    return calendarId === 'default' ? `${GRAPH_URL}/calendar` : `${GRAPH_URL}/calendars/${encodeURIComponent(calendarId)}`;
+}
+
+async function getScheduleBusy(connection, timeMin, timeMax) {
+    const response = await oauth.withToken(connection, async token => {
+        const mailbox = await getMailbox(connection, token);
+        return axios.post(`${GRAPH_URL}/calendar/getSchedule`, {
+            schedules: [mailbox],
+            startTime: { dateTime: timeMin.toISOString().slice(0, 19), timeZone: 'UTC' },
+            endTime: { dateTime: timeMax.toISOString().slice(0, 19), timeZone: 'UTC' }
+        }, authHeaders(token));
+    });
+    if (!response) return [];
+
+    const schedule = response.data.value?.[0] || {};
+    if (schedule.error) {
+        throw new Error(`getSchedule failed: ${schedule.error.message || schedule.error.responseCode}`);
+    }
+    return (schedule.scheduleItems || [])
+        .filter(item => !FREE_STATUSES.includes(item.status))
+        .map(item => ({
+            start: new Date(`${item.start.dateTime}Z`),
+            end: new Date(`${item.end.dateTime}Z`)
+        }));
+}
+
+async function getCalendarViewBusy(connection, calendarId, timeMin, timeMax) {
+    const busy = [];
+    let url = `${calendarUrl(calendarId)}/calendarView`;
+    let params = {
+        startDateTime: timeMin.toISOString(),
+        endDateTime: timeMax.toISOString(),
+        $select: 'id,start,end,showAs,isCancelled',
+        $top: 100
+    };
+    while (url) {
+        const response = await oauth.withToken(connection, token =>
+            axios.get(url, {
+                headers: { Authorization: `Bearer ${token}`, Prefer: 'outlook.timezone="UTC"' },
+                params
+            })
+        );
+        if (!response) break;
+        for (const item of response.data.value || []) {
+            if (item.isCancelled || FREE_STATUSES.includes(item.showAs)) continue;
+            busy.push({
+                eventId: item.id,
+                start: new Date(`${item.start.dateTime}Z`),
+                end: new Date(`${item.end.dateTime}Z`)
+            });
+        }
+        // nextLink already carries the query string
+        url = response.data['@odata.nextLink'];
+        params = undefined;
+    }
+    return busy;
+}
+
+function toOutlookEvent(event) {
+    return {
+        subject: event.title,
+        body: event.description ? { contentType: 'text', content: event.description } : undefined,
+        location: event.location ? { displayName: event.location } : undefined,
+        start: { dateTime: formatZonedDateTime(event.start, event.timeZone), timeZone: event.timeZone },
+        end: { dateTime: formatZonedDateTime(event.end, event.timeZone), timeZone: event.timeZone },
+        attendees: event.attendees.map(email => ({ emailAddress: { address: email }, type: 'required' }))
+    };
+}
+
+function authHeaders(token) {
+    return { headers: { Authorization: `Bearer ${token}` } };
+}
+
+module.exports = {
+    id: 'outlook',
+    name: 'Outlook Calendar',
+    authType: 'oauth',
+
+    connect(userId, { code }) {
+        if (!code) throw new Error('Authorization code required');
+        return oauth.exchangeCode(userId, code);
+    },
+
+    defaultCalendarId() {
+        return 'default';
+    },
+
+    // Every calendar in the mailbox; the default one is reported as 'default'
+    // so it matches the default selection
+    async listCalendars(connection) {
+        const calendars = [];
+        let url = `${GRAPH_URL}/calendars?$top=100`;
+        while (url) {
+            const response = await oauth.withToken(connection, token => axios.get(url, authHeaders(token)));
+            if (!response) break;
+            for (const item of response.data.value || []) {
+                calendars.push({
+                    id: item.isDefaultCalendar ? 'default' : item.id,
+                    name: item.name,
+                    primary: !!item.isDefaultCalendar,
+                    writable: !!item.canEdit
+                });
+            }
+            url = response.data['@odata.nextLink'];
+        }
+        return calendars;
+    },
+
+    // The default calendar goes through getSchedule, which returns the mailbox's busy blocks
+    // with recurrences expanded and cancelled events left out. Other calendars have no
+    // schedule of their own, so their calendarView is read and free / cancelled events skipped.
+    // Times are requested in UTC and come back without an offset.
+    async listBusy(connection, calendarIds, timeMin, timeMax) {
+        const busy = [];
+        for (const calendarId of calendarIds) {
+            const intervals = calendarId === 'default'
+                ? await getScheduleBusy(connection, timeMin, timeMax)
+                : await getCalendarViewBusy(connection, calendarId, timeMin, timeMax);
+            busy.push(...intervals);
+        }
+        return busy;
+    },
+
+    // calendarView works for the default calendar too and reports each event with its id
+    listEvents(connection, calendarId, timeMin, timeMax) {
+        return getCalendarViewBusy(connection, calendarId, timeMin, timeMax);
+    },
+
+    async createEvent(connection, calendarId, event) {
+        const response = await oauth.withToken(connection, token =>
+            axios.post(`${calendarUrl(calendarId)}/events`, toOutlookEvent(event), authHeaders(token))
+        );
+        return response?.data.id || null;
+    },
+
+    // Event ids are unique across the mailbox, so updates and deletes don't need the calendar
+    async updateEvent(connection, calendarId, eventId, event) {
+        await oauth.withToken(connection, token =>
+            axios.patch(`${GRAPH_URL}/events/${eventId}`, toOutlookEvent(event), authHeaders(token))
+        );
+    },
+
+    async deleteEvent(connection, calendarId, eventId) {
+        await oauth.withToken(connection, token =>
+            axios.delete(`${GRAPH_URL}/events/${eventId}`, authHeaders(token))
+        );
+    },
+
+    async getEvent(connection, calendarId, eventId) {
+        let response;
+        try {
+            response = await oauth.withToken(connection, token =>
+                axios.get(`${GRAPH_URL}/events/${eventId}`, {
+                    headers: { Authorization: `Bearer ${token}`, Prefer: 'outlook.timezone="UTC"' },
+                    params: { $select: 'start,end,isCancelled' }
+                })
+            );
+        } catch (err) {
+            if (err.response?.status === 404) return { deleted: true };
+            throw err;
+        }
+        if (!response) return null;
+        if (response.data.isCancelled) return { deleted: true };
+        return {
+            start: new Date(`${response.data.start.dateTime}Z`),
+            end: new Date(`${response.data.end.dateTime}Z`)
+        };
+    },
+
+    // Change subscription on the calendar's events. Graph first validates the address by
+    // posting a validationToken to it, then sends changes with clientState set to token.
+    // The subscription id stands in for the channel id.
+    async watchCalendar(connection, calendarId, { address, token: clientState }) {
+        const resource = calendarId === 'default' ? 'me/calendar/events' : `me/calendars/${calendarId}/events`;
+        const response = await oauth.withToken(connection, token =>
+            axios.post(SUBSCRIPTIONS_URL, {
+                changeType: 'created,updated,deleted',
+                notificationUrl: address,
+                resource,
+                expirationDateTime: new Date(Date.now() + SUBSCRIPTION_TTL_MS).toISOString(),
+                clientState
+            }, authHeaders(token))
+        );
+        if (!response) return null;
+        return { channelId: response.data.id, expiresAt: new Date(response.data.expirationDateTime) };
+    },
+
+    async stopWatch(connection, watch) {
+        try {
+            await oauth.withToken(connection, token =>
+                axios.delete(`${SUBSCRIPTIONS_URL}/${watch.channel_id}`, authHeaders(token))
+            );
+        } catch (err) {
+            // Already expired
+            if (err.response?.status !== 404) throw err;
+        }
+    }
+};
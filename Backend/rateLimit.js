@@ -0,0 +1,98 @@
+// Rate Limiting
+// Fixed-window counters, one per rule and key (an IP address, a meeting link, ...). Counts live
+// in a pluggable store picked with RATE_LIMIT_STORE:
+//
+//   memory    counts in this process; fine for development and a single instance
+//   postgres  counts in the rate_limits table, shared by every instance
+//
+// A store implements hit(key, windowMs), which counts one request and resolves to
+// { count, resetAt } for the key's current window.
+const pool = require('./db');
+
+// Expired windows are swept at most this often instead of on every request
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+function createMemoryStore() {
+    const windows = new Map();
+    let prunedAt = Date.now();
+
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            if (now - prunedAt > PRUNE_INTERVAL_MS) {
+                for (const [windowKey, window] of windows) {
+                    if (window.resetAt <= now) windows.delete(windowKey);
+                }
+                prunedAt = now;
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return { count: window.count, resetAt: window.resetAt };
+        }
+    };
+}
+
+function createPostgresStore() {
+    let prunedAt = Date.now();
+
+    return {
+        async hit(key, windowMs) {
+            if (Date.now() - prunedAt > PRUNE_INTERVAL_MS) {
+                prunedAt = Date.now();
+                await pool.query('DELETE FROM rate_limits WHERE reset_at <= CURRENT_TIMESTAMP');
+            }
+
+            // One statement, so concurrent requests on any instance never lose a count
+            const result = await pool.query(
+                `INSERT INTO rate_limits (key, count, reset_at) VALUES ($1, 1, $2)
+                 ON CONFLICT (key) DO UPDATE SET
+                   count = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN 1 ELSE rate_limits.count + 1 END,
+                   reset_at = CASE WHEN rate_limits.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+                 RETURNING count, reset_at`,
+                [key, new Date(Date.now() + windowMs)]
+            );
+            return { count: result.rows[0].count, resetAt: new Date(result.rows[0].reset_at).getTime() };
+        }
+    };
+}
+
+const RATE_LIMIT_STORES = {
+    memory: createMemoryStore,
+    postgres: createPostgresStore
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+if (!RATE_LIMIT_STORES[storeName]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}", expected ${Object.keys(RATE_LIMIT_STORES).join(' or ')}`);
+}
+const store = RATE_LIMIT_STORES[storeName]();
+
+// Middleware enforcing every rule: { name, limit, windowMs, key(req) }. A rule whose key is
+// empty for the request is skipped. Over the limit, the request gets a 429 with Retry-After.
+function rateLimit(rules) {
+    return async (req, res, next) => {
+        try {
+            for (const rule of rules) {
+                const key = rule.key(req);
+                if (!key) continue;
+                // Keys come from the request, so cap them to what the rate_limits table holds
+                const { count, resetAt } = await store.hit(`${rule.name}:${key}`.slice(0, 255), rule.windowMs);
+                if (count > rule.limit) {
+                    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+                    return res.status(429).json({ error: 'Too many requests, please try again later' });
+                }
+            }
+        } catch (err) {
+            // A store outage shouldn't take the routes down with it
+            console.log('Rate limit error:', err.message);
+        }
+        next();
+    };
+}
+
+module.exports = { rateLimit, createMemoryStore, createPostgresStore };
@@ -0,0 +1,152 @@
+// Sessions
+// Every login is a row in sessions. The client gets a short-lived JWT access token naming its
+// session and a refresh token to get the next one. Access tokens are only honored while their
+// session is active, so logging out takes effect on the next request rather than when the JWT
+// runs out. Refresh tokens rotate on every use and each one rotated away is kept with its session
+// as the token family; one presented again, however many rotations back, has leaked, and its
+// session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL = '15m';
+// Sliding: every refresh pushes the session's end this far out again
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Two tabs can race to rotate the same refresh token; the one that loses within this window
+// gets a 401 and picks up the winner's tokens instead of ending the session
+const ROTATION_GRACE_MS = 30 * 1000;
+// last_used_at is written at most this often, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// Retired tokens of sessions that have ended can't revoke anything, so they are dropped this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let prunedAt = Date.now();
+
+function hashRefreshToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(session) {
+    return jwt.sign({ userId: session.user_id, sessionId: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Throws when the token is malformed, forged or expired
+function verifyAccessToken(token) {
+    return jwt.verify(token, JWT_SECRET);
+}
+
+// Starts a session for the request's client and returns its { token, refreshToken }
+async function createSession(userId, req) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(
+        `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [
+            userId,
+            hashRefreshToken(refreshToken),
+            req.get('user-agent')?.slice(0, 500) || null,
+            req.ip || null,
+            new Date(Date.now() + SESSION_TTL_MS)
+        ]
+    );
+    return { token: signAccessToken(result.rows[0]), refreshToken };
+}
+
+// Trades a refresh token for new tokens, or returns null when it can't be used.
+// Only one of two requests racing with the same token matches the row, so only one rotates it.
+async function refreshSession(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+    if (Date.now() - prunedAt > PRUNE_INTERVAL_MS) {
+        prunedAt = Date.now();
+        await pool.query(
+            `DELETE FROM retired_refresh_tokens r USING sessions s
+             WHERE s.id = r.family_id AND (s.revoked_at IS NOT NULL OR s.expires_at <= CURRENT_TIMESTAMP)`
+        );
+    }
+
+    const hash = hashRefreshToken(refreshToken);
+    const nextRefreshToken = crypto.randomBytes(32).toString('hex');
+    // One statement, so the token is never rotated away without being retired into its family
+    const result = await pool.query(
+        `WITH rotated AS (
+             UPDATE sessions
+             SET refresh_token_hash = $1, rotated_at = CURRENT_TIMESTAMP, last_used_at = CURRENT_TIMESTAMP, expires_at = $2
+             WHERE refresh_token_hash = $3 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+             RETURNING *
+         ), retired AS (
+             INSERT INTO retired_refresh_tokens (token_hash, family_id) SELECT $3, id FROM rotated
+         )
+         SELECT * FROM rotated`,
+        [hashRefreshToken(nextRefreshToken), new Date(Date.now() + SESSION_TTL_MS), hash]
+    );
+    if (result.rows[0]) {
+        return { token: signAccessToken(result.rows[0]), refreshToken: nextRefreshToken };
+    }
+
+    // Within the grace period only the race loser can hold the token just rotated away
+    await pool.query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE revoked_at IS NULL
+           AND id = (SELECT family_id FROM retired_refresh_tokens WHERE token_hash = $1 AND rotated_at < $2)`,
+        [hash, new Date(Date.now() - ROTATION_GRACE_MS)]
+    );
+    return null;
+}
+
+// Whether the session is still active for the user, recording that it was just used
+async function isSessionActive(sessionId, userId) {
+    if (!Number.isInteger(sessionId)) return false;
+    const result = await pool.query(
+        `SELECT last_used_at FROM sessions
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+        [sessionId, userId]
+    );
+    const session = result.rows[0];
+    if (!session) return false;
+
+    if (!session.last_used_at || Date.now() - new Date(session.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+        await pool.query('UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId]);
+    }
+    return true;
+}
+
+// Active sessions, most recently used first
+async function listSessions(userId) {
+    const result = await pool.query(
+        `SELECT * FROM sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY last_used_at DESC, id DESC`,
+        [userId]
+    );
+    return result.rows;
+}
+
+// Returns false when the user has no such active session
+async function revokeSession(userId, sessionId) {
+    const result = await pool.query(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+        [sessionId, userId]
+    );
+    return result.rowCount > 0;
+}
+
+// Ends every session of the user, or every other one when exceptSessionId is given
+async function revokeUserSessions(userId, exceptSessionId = null) {
+    const result = await pool.query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)`,
+        [userId, exceptSessionId]
+    );
+    return result.rowCount;
+}
+
+module.exports = {
+    verifyAccessToken,
+    createSession,
+    refreshSession,
+    isSessionActive,
+    listSessions,
+    revokeSession,
+    revokeUserSessions
+};
@@ -0,0 +1,124 @@
+// Fakes for the booking tests: a mailer that records instead of sending, and the meetings and
+// slots tables of one organizer for installFakePool. Row locks (SELECT ... FOR UPDATE) and
+// advisory locks are held by a transaction until it commits or rolls back, like Postgres does.
+
+// Install before requiring index.js
+function stubMailer() {
+    const sentMail = [];
+    const nodemailerPath = require.resolve('nodemailer');
+    require.cache[nodemailerPath] = {
+        id: nodemailerPath,
+        filename: nodemailerPath,
+        loaded: true,
+        exports: { createTransport: () => ({ sendMail: async mail => { sentMail.push(mail); } }) }
+    };
+    return sentMail;
+}
+
+const ORGANIZER = { id: 1, email: 'organizer@example.com', handle: 'alex', timezone: 'UTC', email_locale: 'en' };
+
+function pendingMeeting(id, attendeeEmail) {
+    return {
+        id, user_id: ORGANIZER.id, status: 'pending', duration_minutes: 30, is_group: false,
+        attendee_email: attendeeEmail, attendee_name: 'Guest', unique_link: `link-${id}`,
+        ical_sequence: 0, scheduling_mode: null, team_id: null, expires_at: null, selected_slot: null, host_user_id: null
+    };
+}
+
+// slotTimes are offered on every meeting given; connections are the organizer's calendar accounts
+function createBookingDb({ meetings = [], slotTimes = [], connections = [] } = {}) {
+    const state = {
+        meetings: new Map(meetings.map(meeting => [meeting.id, meeting])),
+        slots: meetings.flatMap(meeting => slotTimes.map((slotTime, i) => ({
+            id: meeting.id * 10 + 1 + i, meeting_id: meeting.id, slot_time: slotTime, is_selected: false
+        })))
+    };
+    let nextId = 100;
+    const locks = new Map();
+    let waiting = [];
+    const acquire = async (key, client) => {
+        while (locks.has(key) && locks.get(key) !== client) await new Promise(resolve => waiting.push(resolve));
+        locks.set(key, client);
+    };
+
+    const respond = async (sql, params, client) => {
+        if (/FROM meetings WHERE id = \$1 FOR UPDATE/.test(sql)) {
+            await acquire(`meeting:${params[0]}`, client);
+            return [{ ...state.meetings.get(params[0]) }];
+        }
+        if (/pg_advisory_xact_lock/.test(sql)) {
+            await acquire(`host:${params[1]}`, client);
+            return [];
+        }
+        if (/^(COMMIT|ROLLBACK)$/.test(sql)) {
+            for (const [key, holder] of locks) {
+                if (holder === client) locks.delete(key);
+            }
+            waiting.splice(0).forEach(resolve => resolve());
+            return [];
+        }
+        if (/^\s*INSERT INTO meetings/.test(sql)) {
+            const [userId, attendeeEmail, attendeeName, uniqueLink, , title, , , durationMinutes] = params;
+            const meeting = {
+                ...pendingMeeting(nextId++, attendeeEmail),
+                user_id: userId, attendee_name: attendeeName, unique_link: uniqueLink, title, duration_minutes: durationMinutes
+            };
+            state.meetings.set(meeting.id, meeting);
+            return [{ ...meeting }];
+        }
+        if (/^INSERT INTO slots/.test(sql)) {
+            const slot = { id: nextId++, meeting_id: params[0], slot_time: new Date(params[1]), is_selected: false };
+            state.slots.push(slot);
+            return [{ id: slot.id, slot_time: slot.slot_time }];
+        }
+        if (/SELECT slot_time FROM slots WHERE id = \$1 AND meeting_id = \$2/.test(sql)) {
+            return state.slots.filter(slot => slot.id === params[0] && slot.meeting_id === params[1]);
+        }
+        if (/SELECT MIN\(slot_time\) AS slot_time FROM slots/.test(sql)) {
+            const times = state.slots.filter(slot => slot.meeting_id === params[0]).map(slot => slot.slot_time.getTime());
+            return [{ slot_time: times.length ? new Date(Math.min(...times)) : null }];
+        }
+        if (/SELECT \* FROM slots WHERE meeting_id/.test(sql)) {
+            return state.slots.filter(slot => slot.meeting_id === params[0]).map(slot => ({ ...slot }));
+        }
+        if (/DELETE FROM slots WHERE id = ANY/.test(sql)) {
+            state.slots = state.slots.filter(slot => !params[0].includes(slot.id));
+            return [];
+        }
+        if (/DELETE FROM slots WHERE meeting_id/.test(sql)) {
+            state.slots = state.slots.filter(slot => slot.meeting_id !== params[0]);
+            return [];
+        }
+        if (/DELETE FROM meetings WHERE id/.test(sql)) {
+            state.meetings.delete(params[0]);
+            return [];
+        }
+        if (/UPDATE slots SET is_selected = TRUE/.test(sql)) {
+            state.slots.find(slot => slot.id === params[0]).is_selected = true;
+            return [];
+        }
+        if (/UPDATE meetings SET status/.test(sql)) {
+            const [status, selectedSlot, attendeeTimeZone, hostUserId, id] = params;
+            const meeting = {
+                ...state.meetings.get(id), status, selected_slot: selectedSlot, attendee_timezone: attendeeTimeZone, host_user_id: hostUserId
+            };
+            state.meetings.set(id, meeting);
+            return [{ ...meeting }];
+        }
+        // hasConfirmedMeetingAt
+        if (/SELECT 1 FROM meetings/.test(sql)) {
+            const [userId, excludeId, start, end] = params;
+            return [...state.meetings.values()].filter(meeting =>
+                (meeting.host_user_id || meeting.user_id) === userId && meeting.id !== excludeId && meeting.status === 'confirmed'
+                && new Date(meeting.selected_slot) < end
+                && new Date(meeting.selected_slot).getTime() + meeting.duration_minutes * 60000 > start.getTime()
+            ).map(() => ({ '?column?': 1 }));
+        }
+        if (/FROM calendar_connections/.test(sql)) return connections;
+        if (/FROM users WHERE (id|handle)/.test(sql)) return [ORGANIZER];
+        return [];
+    };
+    return { state, respond };
+}
+
+module.exports = { stubMailer, ORGANIZER, pendingMeeting, createBookingDb };
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakePool } = require('./fakePool');
+const { stubMailer, createBookingDb } = require('./bookingFakes');
+
+stubMailer();
+let respond;
+const pool = installFakePool((...args) => respond(...args));
+const { app } = require('../index');
+
+// Organizers without saved availability are open 9:00-17:00 UTC every day
+const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+const SLOT = `${tomorrow}T09:00:00.000Z`;
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test.beforeEach(() => {
+    pool.calls.length = 0;
+});
+
+function setUpBookings() {
+    const db = createBookingDb();
+    respond = async (sql, params, client) => {
+        // Every query yields to the other request, as a round trip to Postgres would
+        await new Promise(resolve => setImmediate(resolve));
+        // Both visitors loaded the page before either booked, so its offered times don't count yet
+        return /UNION ALL/.test(sql) ? [] : db.respond(sql, params, client);
+    };
+    return db.state;
+}
+
+function book(body) {
+    return fetch(`${baseUrl}/api/book/alex`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('two visitors booking the same time: one gets it, the other a 409', async () => {
+    const state = setUpBookings();
+
+    const responses = await Promise.all([
+        book({ name: 'First', email: 'first@example.com', slot: SLOT }),
+        book({ name: 'Second', email: 'second@example.com', slot: SLOT })
+    ]);
+
+    assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 409]);
+    const meetings = [...state.meetings.values()];
+    assert.strictEqual(meetings.length, 1);
+    assert.strictEqual(meetings[0].status, 'confirmed');
+    assert.strictEqual(new Date(meetings[0].selected_slot).toISOString(), SLOT);
+    assert.ok(state.slots.every(slot => slot.meeting_id === meetings[0].id));
+});
+
+test('visitor details that would break invites and mail headers are refused', async () => {
+    const state = setUpBookings();
+
+    for (const body of [
+        { name: 'Guest', email: 'not-an-email', slot: SLOT },
+        { name: 'Guest', email: 'guest@example.com\r\nBcc: everyone@example.com', slot: SLOT },
+        { name: 'Guest\r\nATTENDEE:mailto:other@example.com', email: 'guest@example.com', slot: SLOT },
+        { name: 'G'.repeat(101), email: 'guest@example.com', slot: SLOT },
+        { name: ['Guest'], email: 'guest@example.com', slot: SLOT }
+    ]) {
+        const response = await book(body);
+        assert.strictEqual(response.status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual(state.meetings.size, 0);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakePool } = require('./fakePool');
+const { stubMailer, ORGANIZER, pendingMeeting, createBookingDb } = require('./bookingFakes');
+
+const sentMail = stubMailer();
+let respond;
+const pool = installFakePool((...args) => respond(...args));
+const { confirmSlot } = require('../index');
+const { PROVIDERS } = require('../providers');
+
+const SLOT_TIMES = [new Date(Date.now() + 2 * 86400000), new Date(Date.now() + 3 * 86400000)];
+
+// One pending meeting offering both times unless the test says otherwise
+function setUpBookings({ meetings = [pendingMeeting(7, 'guest@example.com')], slotTimes = SLOT_TIMES, connections } = {}) {
+    const db = createBookingDb({ meetings, slotTimes, connections });
+    respond = db.respond;
+    return db.state;
+}
+
+const invitesSent = (to = 'guest@example.com') => sentMail.filter(mail => mail.to === to).length;
+const meetingUpdates = () => pool.calls.filter(call => /UPDATE meetings SET status/.test(call.sql)).length;
+
+test.beforeEach(() => {
+    sentMail.length = 0;
+    pool.calls.length = 0;
+});
+
+test('confirms the picked slot and drops the other offered ones', async () => {
+    const state = setUpBookings();
+
+    const meeting = await confirmSlot(state.meetings.get(7), 72);
+
+    assert.strictEqual(meeting.status, 'confirmed');
+    assert.strictEqual(meeting.selected_slot, SLOT_TIMES[1]);
+    assert.deepStrictEqual(state.slots.map(slot => [slot.id, slot.is_selected]), [[72, true]]);
+    assert.strictEqual(invitesSent(), 1);
+});
+
+test('picking the booked slot again returns the meeting without booking it twice', async () => {
+    const state = setUpBookings();
+    const first = await confirmSlot(state.meetings.get(7), 71);
+
+    const again = await confirmSlot(state.meetings.get(7), 71);
+
+    assert.deepStrictEqual(again, first);
+    assert.strictEqual(meetingUpdates(), 1);
+    assert.strictEqual(invitesSent(), 1);
+});
+
+test('picking another slot once the meeting is booked fails with a 409', async () => {
+    const state = setUpBookings();
+    const pending = state.meetings.get(7);
+    await confirmSlot(pending, 71);
+
+    await assert.rejects(confirmSlot(pending, 72), { status: 409 });
+    assert.strictEqual(state.meetings.get(7).selected_slot, SLOT_TIMES[0]);
+});
+
+test('concurrent picks of different slots book one and reject the other', async () => {
+    const state = setUpBookings();
+    const pending = state.meetings.get(7);
+
+    const results = await Promise.allSettled([confirmSlot(pending, 71), confirmSlot(pending, 72)]);
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    assert.strictEqual(rejected.length, 1);
+    assert.strictEqual(rejected[0].reason.status, 409);
+    assert.strictEqual(meetingUpdates(), 1);
+    assert.strictEqual(invitesSent(), 1);
+    assert.strictEqual(state.slots.length, 1);
+});
+
+test('concurrent picks of the same slot book it once', async () => {
+    const state = setUpBookings();
+    const pending = state.meetings.get(7);
+
+    const [first, second] = await Promise.all([confirmSlot(pending, 71), confirmSlot(pending, 71)]);
+
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual(meetingUpdates(), 1);
+    assert.strictEqual(invitesSent(), 1);
+});
+
+test('two meetings of one host confirming the same time concurrently book only one', async () => {
+    const state = setUpBookings({
+        meetings: [pendingMeeting(7, 'first@example.com'), pendingMeeting(8, 'second@example.com')],
+        slotTimes: [SLOT_TIMES[0]]
+    });
+
+    const results = await Promise.allSettled([
+        confirmSlot(state.meetings.get(7), 71),
+        confirmSlot(state.meetings.get(8), 81)
+    ]);
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    assert.strictEqual(rejected.length, 1);
+    assert.strictEqual(rejected[0].reason.status, 409);
+    assert.strictEqual([...state.meetings.values()].filter(meeting => meeting.status === 'confirmed').length, 1);
+    assert.strictEqual(invitesSent('first@example.com') + invitesSent('second@example.com'), 1);
+});
+
+test('a time the host has booked meanwhile fails with a 409 and changes nothing', async () => {
+    const booked = { ...pendingMeeting(9, 'other@example.com'), status: 'confirmed', selected_slot: SLOT_TIMES[0] };
+    const state = setUpBookings({ meetings: [pendingMeeting(7, 'guest@example.com'), booked] });
+
+    await assert.rejects(confirmSlot(state.meetings.get(7), 71), { status: 409 });
+
+    assert.strictEqual(state.meetings.get(7).status, 'pending');
+    assert.strictEqual(state.slots.filter(slot => slot.meeting_id === 7).length, 2);
+    assert.ok(pool.calls.some(call => call.sql === 'ROLLBACK'));
+    assert.strictEqual(invitesSent(), 0);
+});
+
+test('a calendar that cannot be read fails with a 503 before anything is locked', async t => {
+    const state = setUpBookings({
+        connections: [{ id: 1, user_id: ORGANIZER.id, provider: 'caldav', settings: { calendarUrl: 'https://dav.example.com/cal/' } }]
+    });
+    t.mock.method(PROVIDERS.caldav, 'listEvents', async () => { throw new Error('timeout'); });
+    t.mock.method(PROVIDERS.caldav, 'listBusy', async () => { throw new Error('timeout'); });
+
+    await assert.rejects(confirmSlot(state.meetings.get(7), 71), { status: 503 });
+
+    assert.strictEqual(state.meetings.get(7).status, 'pending');
+    assert.ok(!pool.calls.some(call => call.sql === 'BEGIN'));
+    assert.strictEqual(invitesSent(), 0);
+});
@@ -0,0 +1,48 @@
+// Stand-in for db.js, so modules can be tested without a Postgres server.
+// Every query goes to respond(sql, params, client), which returns the result rows (or a
+// { rows, rowCount } result); client is null for pool.query. Queries are recorded in
+// pool.calls. Install it before requiring the module under test.
+const path = require('path');
+
+function installFakePool(respond = () => []) {
+    const run = async (sql, params = [], client = null) => {
+        pool.calls.push({ sql, params });
+        const result = (await respond(sql, params, client)) || [];
+        return Array.isArray(result) ? { rows: result, rowCount: result.length } : { rows: [], rowCount: 0, ...result };
+    };
+
+    const pool = {
+        calls: [],
+        query: (sql, params) => run(sql, params),
+        async connect() {
+            const client = {
+                query: (sql, params) => run(sql, params, client),
+                release() {}
+            };
+            return client;
+        },
+        async end() {}
+    };
+
+    // Same contract as db.js withTransaction
+    pool.withTransaction = async call => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await call(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    };
+
+    const filename = path.join(__dirname, '..', 'db.js');
+    require.cache[filename] = { id: filename, filename, loaded: true, exports: pool };
+    return pool;
+}
+
+module.exports = { installFakePool };
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { installFakePool } = require('./fakePool');
+
+installFakePool(() => []);
+const google = require('../providers/google');
+
+const connection = { id: 1, user_id: 42, provider: 'google', access_token: 'token', token_expires_at: null };
+const timeMin = new Date('2025-03-01T00:00:00Z');
+const timeMax = new Date('2025-03-08T00:00:00Z');
+
+function mockEvents(t, data) {
+    t.mock.method(axios, 'get', async () => ({ data }));
+}
+
+test('all-day events span their days in the calendar time zone', async t => {
+    mockEvents(t, {
+        timeZone: 'America/New_York',
+        items: [{ id: 'off', start: { date: '2025-03-03' }, end: { date: '2025-03-04' } }]
+    });
+
+    const events = await google.listEvents(connection, 'primary', timeMin, timeMax, 'Europe/Berlin');
+
+    assert.deepStrictEqual(events, [{
+        eventId: 'off', start: new Date('2025-03-03T05:00:00Z'), end: new Date('2025-03-04T05:00:00Z')
+    }]);
+});
+
+test('all-day events fall back to the given time zone, timed events keep their instants', async t => {
+    mockEvents(t, {
+        items: [
+            { id: 'off', start: { date: '2025-03-03' }, end: { date: '2025-03-04' } },
+            { id: 'call', start: { dateTime: '2025-03-05T10:00:00+01:00' }, end: { dateTime: '2025-03-05T11:00:00+01:00' } },
+            { id: 'free', transparency: 'transparent', start: { date: '2025-03-06' }, end: { date: '2025-03-07' } }
+        ]
+    });
+
+    const events = await google.listEvents(connection, 'primary', timeMin, timeMax, 'Europe/Berlin');
+
+    assert.deepStrictEqual(events, [
+        { eventId: 'off', start: new Date('2025-03-02T23:00:00Z'), end: new Date('2025-03-03T23:00:00Z') },
+        { eventId: 'call', start: new Date('2025-03-05T09:00:00Z'), end: new Date('2025-03-05T10:00:00Z') }
+    ]);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakePool } = require('./fakePool');
+
+let appliedRows = [];
+const pool = installFakePool(sql => (/SELECT \* FROM schema_migrations/.test(sql) ? appliedRows : []));
+const { loadMigrations, getMigrationStatus, migrateUp, assertMigrationsCurrent } = require('../migrate');
+
+const migrations = loadMigrations();
+
+function recordApplied(migration, checksum = migration.checksum) {
+    return { version: migration.version, name: migration.name, checksum, applied_at: new Date() };
+}
+
+test.beforeEach(() => {
+    pool.calls.length = 0;
+});
+
+test('the server starts when every migration ran with the file it has now', async () => {
+    appliedRows = migrations.map(migration => recordApplied(migration));
+
+    await assertMigrationsCurrent();
+});
+
+test('a migration edited after it ran is reported as changed', async () => {
+    appliedRows = migrations.map(migration => recordApplied(migration));
+    appliedRows[0].checksum = 'f'.repeat(64);
+
+    const status = await getMigrationStatus();
+
+    assert.deepStrictEqual(status.changed.map(migration => migration.version), [migrations[0].version]);
+    assert.deepStrictEqual(status.pending, []);
+    await assert.rejects(assertMigrationsCurrent(), /0001_initial_schema was edited after it was applied/);
+});
+
+test('migrating up refuses to run anything past a checksum mismatch', async () => {
+    appliedRows = migrations.slice(0, -1).map(migration => recordApplied(migration));
+    appliedRows[0].checksum = 'f'.repeat(64);
+
+    await assert.rejects(migrateUp(), /edited after it was applied/);
+
+    const sql = pool.calls.map(call => call.sql);
+    assert.ok(!sql.includes(migrations[migrations.length - 1].up));
+    assert.ok(!sql.some(statement => /INSERT INTO schema_migrations/.test(statement)));
+    assert.ok(sql.some(statement => /pg_advisory_unlock/.test(statement)));
+});
+
+test('the server refuses to start with pending migrations', async () => {
+    appliedRows = migrations.slice(0, -1).map(migration => recordApplied(migration));
+
+    await assert.rejects(assertMigrationsCurrent(), /pending migrations/);
+});
+
+test('an applied migration whose file is gone is reported', async () => {
+    appliedRows = [
+        ...migrations.map(migration => recordApplied(migration)),
+        { version: 9999, name: 'from_a_newer_deploy', checksum: 'a'.repeat(64), applied_at: new Date() }
+    ];
+
+    await assert.rejects(assertMigrationsCurrent(), /9999_from_a_newer_deploy is applied but its file is missing/);
+});
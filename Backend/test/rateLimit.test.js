@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakePool } = require('./fakePool');
+
+// The rate_limits table, running the store's upsert with CURRENT_TIMESTAMP read from Date.now
+let rateLimits = new Map();
+const pool = installFakePool((sql, params) => {
+    const now = new Date(Date.now());
+    if (/^INSERT INTO rate_limits/.test(sql)) {
+        const [key, resetAt] = params;
+        const row = rateLimits.get(key);
+        const next = !row || row.reset_at <= now ? { count: 1, reset_at: resetAt } : { ...row, count: row.count + 1 };
+        rateLimits.set(key, next);
+        return [next];
+    }
+    if (/^DELETE FROM rate_limits/.test(sql)) {
+        for (const [key, row] of rateLimits) {
+            if (row.reset_at <= now) rateLimits.delete(key);
+        }
+    }
+    return [];
+});
+const { rateLimit, createMemoryStore, createPostgresStore } = require('../rateLimit');
+
+const MINUTE = 60 * 1000;
+
+test.beforeEach(() => {
+    rateLimits = new Map();
+    pool.calls.length = 0;
+});
+
+for (const [name, createStore] of [['memory', createMemoryStore], ['postgres', createPostgresStore]]) {
+    test(`${name} store counts hits per key within the window`, async t => {
+        const start = Date.now();
+        t.mock.method(Date, 'now', () => start);
+        const store = createStore();
+
+        assert.deepStrictEqual(await store.hit('a', MINUTE), { count: 1, resetAt: start + MINUTE });
+        assert.deepStrictEqual(await store.hit('a', MINUTE), { count: 2, resetAt: start + MINUTE });
+        assert.strictEqual((await store.hit('b', MINUTE)).count, 1);
+    });
+
+    test(`${name} store starts a new window once the old one ends`, async t => {
+        const start = Date.now();
+        t.mock.method(Date, 'now', () => start);
+        const store = createStore();
+        await store.hit('a', MINUTE);
+        await store.hit('a', MINUTE);
+
+        Date.now.mock.mockImplementation(() => start + MINUTE);
+
+        assert.deepStrictEqual(await store.hit('a', MINUTE), { count: 1, resetAt: start + 2 * MINUTE });
+    });
+}
+
+test('postgres store shares counts between instances', async () => {
+    const first = createPostgresStore();
+    const second = createPostgresStore();
+
+    await first.hit('a', MINUTE);
+    await second.hit('a', MINUTE);
+
+    assert.strictEqual((await first.hit('a', MINUTE)).count, 3);
+});
+
+test('postgres store sweeps expired windows at most every few minutes', async t => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    const store = createPostgresStore();
+    const sweeps = () => pool.calls.filter(call => /^DELETE FROM rate_limits/.test(call.sql)).length;
+
+    await store.hit('a', MINUTE);
+    Date.now.mock.mockImplementation(() => start + 6 * MINUTE);
+    await store.hit('b', MINUTE);
+    await store.hit('b', MINUTE);
+
+    assert.strictEqual(sweeps(), 1);
+    assert.deepStrictEqual([...rateLimits.keys()], ['b']);
+});
+
+function runMiddleware(middleware, req) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    return middleware(req, res, () => { passed = true; }).then(() => ({ res, passed }));
+}
+
+test('middleware answers 429 with Retry-After once a rule is over its limit', async () => {
+    const limit = rateLimit([{ name: 'test-limit', limit: 2, windowMs: MINUTE, key: req => req.ip }]);
+
+    assert.strictEqual((await runMiddleware(limit, { ip: '203.0.113.1' })).passed, true);
+    assert.strictEqual((await runMiddleware(limit, { ip: '203.0.113.1' })).passed, true);
+    const { res, passed } = await runMiddleware(limit, { ip: '203.0.113.1' });
+
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['Retry-After'], '60');
+    assert.strictEqual((await runMiddleware(limit, { ip: '203.0.113.2' })).passed, true);
+});
+
+test('middleware skips rules without a key for the request', async () => {
+    const limit = rateLimit([{ name: 'test-skip', limit: 0, windowMs: MINUTE, key: req => req.body?.email }]);
+
+    assert.strictEqual((await runMiddleware(limit, { ip: '203.0.113.1', body: {} })).passed, true);
+    assert.strictEqual((await runMiddleware(limit, { ip: '203.0.113.1', body: { email: 'a@example.com' } })).passed, false);
+});
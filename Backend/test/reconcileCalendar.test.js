@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { installFakePool } = require('./fakePool');
+const { stubMailer, ORGANIZER, pendingMeeting, createBookingDb } = require('./bookingFakes');
+
+const sentMail = stubMailer();
+let respond;
+installFakePool((...args) => respond(...args));
+const { reconcileCalendarEvents } = require('../index');
+const { PROVIDERS } = require('../providers');
+
+const SLOT_TIMES = [new Date(Date.now() + 2 * 86400000), new Date(Date.now() + 3 * 86400000)];
+const CONNECTION = { id: 1, user_id: ORGANIZER.id, provider: 'caldav', settings: { calendarUrl: 'https://dav.example.com/cal/' } };
+
+// One pending meeting whose offered times are each held by a caldav event
+function setUpHolds(slotTimes) {
+    const db = createBookingDb({ meetings: [pendingMeeting(7, 'guest@example.com')], slotTimes, connections: [CONNECTION] });
+    const { state } = db;
+    respond = async (sql, params, client) => {
+        if (/FROM slot_events se\s+JOIN slots/.test(sql)) {
+            return state.slots.map(slot => ({
+                slot_id: slot.id, provider: 'caldav', calendar_id: null, event_id: `hold-${slot.id}`,
+                slot_time: slot.slot_time, meeting_id: slot.meeting_id
+            }));
+        }
+        if (/DELETE FROM slots WHERE id = \$1/.test(sql)) {
+            const deleted = state.slots.filter(slot => slot.id === params[0]);
+            state.slots = state.slots.filter(slot => slot.id !== params[0]);
+            return deleted.map(slot => ({ id: slot.id }));
+        }
+        if (/SELECT 1 FROM slots WHERE meeting_id/.test(sql)) {
+            return state.slots.filter(slot => slot.meeting_id === params[0]).slice(0, 1);
+        }
+        if (/UPDATE meetings SET status = 'expired'/.test(sql)) {
+            const meeting = { ...state.meetings.get(params[0]), status: 'expired' };
+            state.meetings.set(meeting.id, meeting);
+            return [{ ...meeting }];
+        }
+        return db.respond(sql, params, client);
+    };
+    return state;
+}
+
+test.beforeEach(() => {
+    sentMail.length = 0;
+});
+
+test('a deleted hold withdraws its time and leaves the meeting pending while others remain', async t => {
+    const state = setUpHolds(SLOT_TIMES);
+    t.mock.method(PROVIDERS.caldav, 'getEvent', async (connection, calendarId, eventId) =>
+        eventId === 'hold-71' ? { deleted: true } : { start: SLOT_TIMES[1], end: new Date(SLOT_TIMES[1].getTime() + 30 * 60000) });
+
+    await reconcileCalendarEvents(ORGANIZER.id);
+
+    assert.deepStrictEqual(state.slots.map(slot => slot.id), [72]);
+    assert.strictEqual(state.meetings.get(7).status, 'pending');
+    assert.strictEqual(sentMail.length, 0);
+});
+
+test('deleting the hold of the last offered time expires the meeting and tells the organizer', async t => {
+    const state = setUpHolds([SLOT_TIMES[0]]);
+    t.mock.method(PROVIDERS.caldav, 'getEvent', async () => ({ deleted: true }));
+
+    await reconcileCalendarEvents(ORGANIZER.id);
+
+    assert.strictEqual(state.slots.length, 0);
+    assert.strictEqual(state.meetings.get(7).status, 'expired');
+    assert.deepStrictEqual(sentMail.map(mail => mail.to), [ORGANIZER.email]);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { installFakePool } = require('./fakePool');
+
+// The sessions and retired_refresh_tokens tables, with CURRENT_TIMESTAMP read from Date.now so
+// tests can move the clock
+let sessions = [];
+let retiredTokens = [];
+installFakePool((sql, params) => {
+    const now = new Date(Date.now());
+    const isActive = session => !session.revoked_at && session.expires_at > now;
+
+    if (/^INSERT INTO sessions/.test(sql)) {
+        const [userId, refreshTokenHash, userAgent, ipAddress, expiresAt] = params;
+        const session = {
+            id: sessions.length + 1, user_id: userId, refresh_token_hash: refreshTokenHash, rotated_at: null, revoked_at: null,
+            user_agent: userAgent, ip_address: ipAddress, expires_at: expiresAt, last_used_at: now
+        };
+        sessions.push(session);
+        return [{ ...session }];
+    }
+    if (/SET refresh_token_hash = \$1/.test(sql)) {
+        const [nextHash, expiresAt, hash] = params;
+        const session = sessions.find(row => row.refresh_token_hash === hash && isActive(row));
+        if (!session) return [];
+        Object.assign(session, { refresh_token_hash: nextHash, rotated_at: now, last_used_at: now, expires_at: expiresAt });
+        retiredTokens.push({ token_hash: hash, family_id: session.id, rotated_at: now });
+        return [{ ...session }];
+    }
+    if (/SELECT family_id FROM retired_refresh_tokens/.test(sql)) {
+        const [hash, rotatedBefore] = params;
+        const retired = retiredTokens.find(row => row.token_hash === hash && row.rotated_at < rotatedBefore);
+        const reused = sessions.filter(row => row.id === retired?.family_id && !row.revoked_at);
+        reused.forEach(row => { row.revoked_at = now; });
+        return { rowCount: reused.length };
+    }
+    if (/^DELETE FROM retired_refresh_tokens/.test(sql)) {
+        retiredTokens = retiredTokens.filter(row => isActive(sessions.find(session => session.id === row.family_id)));
+    }
+    if (/SELECT last_used_at FROM sessions/.test(sql)) {
+        const [sessionId, userId] = params;
+        return sessions.filter(row => row.id === sessionId && row.user_id === userId && isActive(row));
+    }
+    return [];
+});
+const { createSession, refreshSession, verifyAccessToken, isSessionActive } = require('../sessions');
+
+const request = { get: () => 'node-test', ip: '203.0.113.5' };
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+test.beforeEach(() => {
+    sessions = [];
+    retiredTokens = [];
+});
+
+test('a new session gets an access token naming it and stores only the refresh token hash', async () => {
+    const { token, refreshToken } = await createSession(42, request);
+
+    const payload = verifyAccessToken(token);
+    assert.strictEqual(payload.userId, 42);
+    assert.strictEqual(payload.sessionId, sessions[0].id);
+    assert.strictEqual(sessions[0].refresh_token_hash, hash(refreshToken));
+    assert.strictEqual(await isSessionActive(payload.sessionId, 42), true);
+});
+
+test('refreshing rotates the refresh token', async () => {
+    const first = await createSession(42, request);
+
+    const second = await refreshSession(first.refreshToken);
+    const third = await refreshSession(second.refreshToken);
+
+    assert.notStrictEqual(second.refreshToken, first.refreshToken);
+    assert.notStrictEqual(third.refreshToken, second.refreshToken);
+    assert.strictEqual(verifyAccessToken(third.token).sessionId, sessions[0].id);
+    assert.strictEqual(sessions[0].refresh_token_hash, hash(third.refreshToken));
+    assert.strictEqual(sessions[0].revoked_at, null);
+});
+
+test('a rotated-away refresh token presented again revokes the session', async t => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    const first = await createSession(42, request);
+    const second = await refreshSession(first.refreshToken);
+
+    Date.now.mock.mockImplementation(() => start + 60 * 1000);
+    assert.strictEqual(await refreshSession(first.refreshToken), null);
+
+    assert.notStrictEqual(sessions[0].revoked_at, null);
+    assert.strictEqual(await refreshSession(second.refreshToken), null);
+    assert.strictEqual(await isSessionActive(sessions[0].id, 42), false);
+});
+
+test('a refresh token from several rotations back revokes the session', async t => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    const first = await createSession(42, request);
+    const second = await refreshSession(first.refreshToken);
+    Date.now.mock.mockImplementation(() => start + 60 * 1000);
+    const third = await refreshSession(second.refreshToken);
+
+    Date.now.mock.mockImplementation(() => start + 2 * 60 * 1000);
+    assert.strictEqual(await refreshSession(first.refreshToken), null);
+
+    assert.notStrictEqual(sessions[0].revoked_at, null);
+    assert.strictEqual(await refreshSession(third.refreshToken), null);
+});
+
+test('retired tokens are pruned once their session has ended', async t => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    const ended = await createSession(42, request);
+    await refreshSession(ended.refreshToken);
+    const active = await createSession(42, request);
+    await refreshSession(active.refreshToken);
+    sessions[0].revoked_at = new Date(start);
+
+    Date.now.mock.mockImplementation(() => start + 2 * 60 * 60 * 1000);
+    await refreshSession('not-a-token');
+
+    assert.deepStrictEqual(retiredTokens.map(row => row.family_id), [sessions[1].id]);
+});
+
+test('losing a rotation race within the grace period keeps the session', async t => {
+    const start = Date.now();
+    t.mock.method(Date, 'now', () => start);
+    const first = await createSession(42, request);
+    const second = await refreshSession(first.refreshToken);
+
+    Date.now.mock.mockImplementation(() => start + 5 * 1000);
+    assert.strictEqual(await refreshSession(first.refreshToken), null);
+
+    assert.strictEqual(sessions[0].revoked_at, null);
+    assert.ok(await refreshSession(second.refreshToken));
+});
+
+test('unknown and missing refresh tokens are refused', async () => {
+    await createSession(42, request);
+
+    assert.strictEqual(await refreshSession('not-a-token'), null);
+    assert.strictEqual(await refreshSession(undefined), null);
+    assert.strictEqual(sessions[0].revoked_at, null);
+});
@@ -0,0 +1,69 @@
+// Timezone Helpers
+// Conversions between wall-clock times in IANA zones and UTC instants, built on Intl
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Wall-clock parts of an instant in the given zone
+function getZonedParts(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant);
+    return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+function getTimeZoneOffsetMs(instant, timeZone) {
+    const p = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in timeZone to a UTC instant.
+// The offset is re-checked at the result so times next to a DST change land correctly.
+function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    const offset = getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+    const adjustedOffset = getTimeZoneOffsetMs(new Date(wallClock - offset), timeZone);
+    return new Date(wallClock - adjustedOffset);
+}
+
+// "YYYY-MM-DDTHH:mm:ss" in timeZone, the local format calendar APIs pair with a timeZone field
+function formatZonedDateTime(instant, timeZone) {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}`;
+}
+
+function formatSlotTime(instant, timeZone, locale = 'en-US') {
+    const zone = timeZone || 'UTC';
+    const formatted = new Date(instant).toLocaleString(locale, {
+        timeZone: zone,
+        dateStyle: 'full',
+        timeStyle: 'short'
+    });
+    return `${formatted} (${zone})`;
+}
+
+module.exports = {
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    formatZonedDateTime,
+    formatSlotTime
+};
@@ -0,0 +1,104 @@
+// Outbound Webhooks
+// Users register endpoints that receive meeting events as signed JSON. Each event is stored
+// as a delivery per subscribed endpoint and sent by a job, so failed deliveries are retried
+// with the job backoff and every attempt shows up in the delivery log.
+//
+// Requests carry X-CalSync-Event, X-CalSync-Delivery and X-CalSync-Signature:
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}` with the endpoint secret>".
+// Deliveries aren't ordered, so receivers should go by data.meeting.status.
+const axios = require('axios');
+const crypto = require('crypto');
+const pool = require('./db');
+const { registerJobHandler, scheduleJob, MAX_JOB_ATTEMPTS } = require('./jobs');
+const { publicHttpsAgent } = require('./network');
+
+// meeting.moved is a confirmed meeting whose event the organizer moved in their calendar
+const WEBHOOK_EVENTS = [
+    'meeting.created',
+    'meeting.confirmed',
+    'meeting.moved',
+    'meeting.rescheduled',
+    'meeting.cancelled',
+    'meeting.expired'
+];
+const MAX_WEBHOOK_ENDPOINTS = 10;
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queues event for every active endpoint of the user that subscribed to it.
+// Best-effort like the emails: a failure here never fails the request that caused it.
+async function emitWebhookEvent(userId, event, data) {
+    try {
+        const endpoints = await pool.query(
+            'SELECT id FROM webhook_endpoints WHERE user_id = $1 AND active AND events ? $2',
+            [userId, event]
+        );
+        for (const endpoint of endpoints.rows) {
+            const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+            const delivery = await pool.query(
+                'INSERT INTO webhook_deliveries (endpoint_id, event, payload) VALUES ($1, $2, $3) RETURNING id',
+                [endpoint.id, event, JSON.stringify(payload)]
+            );
+            await scheduleJob('webhook.deliver', new Date(), { deliveryId: delivery.rows[0].id });
+        }
+    } catch (err) {
+        console.log(`Webhook error for ${event}:`, err.message);
+    }
+}
+
+// Sends one delivery. Throwing hands the retry to the job runner; the delivery is only
+// marked failed once the job is out of attempts.
+registerJobHandler('webhook.deliver', async job => {
+    const result = await pool.query(
+        `SELECT d.*, e.url, e.secret, e.active
+         FROM webhook_deliveries d JOIN webhook_endpoints e ON e.id = d.endpoint_id
+         WHERE d.id = $1`,
+        [job.payload.deliveryId]
+    );
+    const delivery = result.rows[0];
+    // The endpoint was deleted or paused since the event
+    if (!delivery || !delivery.active) return;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        const response = await axios.post(delivery.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CalSync-Webhooks',
+                'X-CalSync-Event': delivery.event,
+                'X-CalSync-Delivery': delivery.payload.id,
+                'X-CalSync-Signature': `t=${timestamp},v1=${signWebhookPayload(delivery.secret, timestamp, body)}`
+            },
+            // Redirects could point the signed payload somewhere else
+            maxRedirects: 0,
+            // Refuses to connect when the host now resolves to a private address
+            httpsAgent: publicHttpsAgent
+        });
+        await pool.query(
+            `UPDATE webhook_deliveries
+             SET status = 'delivered', attempts = $1, response_status = $2, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+             WHERE id = $3`,
+            [job.attempts, response.status, delivery.id]
+        );
+    } catch (err) {
+        await pool.query(
+            'UPDATE webhook_deliveries SET status = $1, attempts = $2, response_status = $3, last_error = $4 WHERE id = $5',
+            [job.attempts >= MAX_JOB_ATTEMPTS ? 'failed' : 'pending', job.attempts, err.response?.status || null, err.message, delivery.id]
+        );
+        throw err;
+    }
+});
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_WEBHOOK_ENDPOINTS,
+    generateWebhookSecret,
+    emitWebhookEvent
+};
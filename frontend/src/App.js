@@ -2,41 +2,135 @@
 // Install: npx create-react-app calsync-frontend
 // Then: npm install axios react-router-dom
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { BrowserRouter as Router, Routes, Route, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 
 const API_URL = process.env.REACT_APP_API_URL || 'https://callsync-backend.onrender.com/api';
 
+// Session Tokens
+// Access tokens only last minutes. When the API refuses one, the refresh token is traded for a
+// new pair and the request is retried once; concurrent failures share a single refresh.
+let refreshing = null;
+
+function saveSession({ token, refreshToken }) {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+}
+
+function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('userId');
+}
+
+function refreshSession() {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = axios.post(`${API_URL}/api/auth/refresh`, { refreshToken })
+      .then(res => saveSession(res.data))
+      .catch(err => {
+        // Another tab rotated the shared refresh token first; its new tokens are already saved
+        if (localStorage.getItem('refreshToken') !== refreshToken) return;
+        throw err;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// Components read the token when they mount, so swap in the newest one on the way out
+axios.interceptors.request.use(config => {
+  const token = localStorage.getItem('token');
+  if (token && config.headers?.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+axios.interceptors.response.use(null, async error => {
+  const { config, response } = error;
+  if (response?.status !== 401 || !config?.headers?.Authorization || config.retried) {
+    throw error;
+  }
+  try {
+    await refreshSession();
+  } catch (refreshError) {
+    // Only a refused refresh token ends the session; a network blip shouldn't log anyone out
+    if (refreshError.response?.status === 401) {
+      clearSession();
+      window.location.href = '/';
+    }
+    throw error;
+  }
+  return axios({ ...config, retried: true });
+});
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [BROWSER_TIMEZONE];
+
+const formatSlot = (slotTime, timeZone) =>
+  new Date(slotTime).toLocaleString(undefined, { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+
+const formatSlotClock = (slotTime, timeZone) =>
+  new Date(slotTime).toLocaleTimeString(undefined, { timeZone, hour: '2-digit', minute: '2-digit' });
+
+function TimezoneSelect({ value, onChange }) {
+  const options = TIMEZONES.includes(value) ? TIMEZONES : [value, ...TIMEZONES];
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={styles.input}>
+      {options.map((zone) => (
+        <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+      ))}
+    </select>
+  );
+}
+
 // Login Page
 function LoginPage() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLogin, setIsLogin] = useState(true);
   const [message, setMessage] = useState('');
+  const [unverified, setUnverified] = useState(false);
   const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    setUnverified(false);
     try {
       const endpoint = isLogin ? '/api/auth/login' : '/api/auth/register';
-      const response = await axios.post(`${API_URL}${endpoint}`, { email, password });
+      const payload = isLogin ? { email, password } : { email, password, timezone: BROWSER_TIMEZONE };
+      const response = await axios.post(`${API_URL}${endpoint}`, payload);
       // 
       if (isLogin) {
-        localStorage.setItem('token', response.data.token);
+        saveSession(response.data);
         localStorage.setItem('userId', response.data.userId);
         navigate('/dashboard');
       } else {
-        setMessage('Registration successful! Please login.');
+        setMessage(response.data.message);
         setIsLogin(true);
-        setEmail('');
         setPassword('');
       }
     } catch (err) {
+      // 403 is a right password on an account whose email isn't verified yet
+      setUnverified(err.response?.status === 403);
       setMessage(err.response?.data?.error || 'Error occurred');
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/resend-verification`, { email });
+      setUnverified(false);
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error sending verification email');
+    }
+  };
+
   return (
     <div style={styles.container}>
       <div style={styles.card}>
@@ -70,7 +164,145 @@ function LoginPage() {
           {isLogin ? 'Create new account' : 'Back to login'}
         </button>
 
+        {isLogin && (
+          <button onClick={() => navigate('/forgot-password')} style={styles.linkButton}>
+            Forgot password?
+          </button>
+        )}
+
+        {message && <p style={styles.message}>{message}</p>}
+        {unverified && (
+          <button onClick={handleResendVerification} style={styles.linkButton}>
+            Send the verification email again
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Verify Email Page: the link in the verification email
+function VerifyEmailPage() {
+  const [message, setMessage] = useState('Verifying your email...');
+  const navigate = useNavigate();
+  // The token works once, so a second run of the effect must not post it again
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+    const token = new URLSearchParams(window.location.search).get('token');
+    axios.post(`${API_URL}/api/auth/verify-email`, { token })
+      .then(res => setMessage(res.data.message))
+      .catch(err => setMessage(err.response?.data?.error || 'Error verifying email'));
+  }, []);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1>Verify Email</h1>
+        <p style={styles.message}>{message}</p>
+        <button onClick={() => navigate('/')} style={styles.button}>Go to login</button>
+      </div>
+    </div>
+  );
+}
+
+// Forgot Password Page
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/forgot-password`, { email });
+      setMessage(response.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error sending reset email');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1>Forgot Password</h1>
+        <p>Enter the email you signed up with and we'll send you a link to choose a new password.</p>
+        <form onSubmit={handleSubmit} style={styles.form}>
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            style={styles.input}
+            required
+          />
+          <button type="submit" style={styles.button}>Send reset link</button>
+        </form>
+        <button onClick={() => navigate('/')} style={styles.linkButton}>Back to login</button>
+        {message && <p style={styles.message}>{message}</p>}
+      </div>
+    </div>
+  );
+}
+
+// Reset Password Page: the link in the reset email
+function ResetPasswordPage() {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [done, setDone] = useState(false);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setMessage('Passwords do not match');
+      return;
+    }
+    try {
+      const token = new URLSearchParams(window.location.search).get('token');
+      const response = await axios.post(`${API_URL}/api/auth/reset-password`, { token, password });
+      setMessage(response.data.message);
+      setDone(true);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error resetting password');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1>Choose a New Password</h1>
+        {!done && (
+          <form onSubmit={handleSubmit} style={styles.form}>
+            <input
+              type="password"
+              placeholder="New password (at least 8 characters)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              style={styles.input}
+              required
+            />
+            <input
+              type="password"
+              placeholder="Repeat new password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              style={styles.input}
+              required
+            />
+            <button type="submit" style={styles.button}>Reset password</button>
+          </form>
+        )}
         {message && <p style={styles.message}>{message}</p>}
+        {done && <button onClick={() => navigate('/')} style={styles.button}>Go to login</button>}
+        {!done && (
+          <button onClick={() => navigate('/forgot-password')} style={styles.linkButton}>
+            Link expired? Request a new one
+          </button>
+        )}
       </div>
     </div>
   );
@@ -81,9 +313,12 @@ function Dashboard() {
   const [activeTab, setActiveTab] = useState('connect-calendar');
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userId');
+  const handleLogout = async () => {
+    // The session is gone from this browser whether or not the server heard about it
+    await axios.post(`${API_URL}/api/auth/logout`, {}, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+    }).catch(() => {});
+    clearSession();
     navigate('/');
   };
 
@@ -91,7 +326,7 @@ function Dashboard() {
     const clientId = process.env.REACT_APP_GOOGLE_CLIENT_ID;
     const redirectUri = `${window.location.origin}/auth/google`;
     const scope = 'https://www.googleapis.com/auth/calendar';
-    window.location.href = `https://accounts.google.com/o/oauth2/v2/auth?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}`;
+    window.location.href = `https://accounts.google.com/o/oauth2/v2/auth?client_id=${clientId}&redirect_uri=${redirectUri}&response_type=code&scope=${scope}&access_type=offline&prompt=consent`;
   };
 
   const handleOutlookAuth = () => {
@@ -130,12 +365,82 @@ function Dashboard() {
           >
             Create Meeting
           </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'availability' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('availability')}
+          >
+            Availability
+          </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'meeting-types' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('meeting-types')}
+          >
+            Meeting Types
+          </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'teams' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('teams')}
+          >
+            Teams
+          </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'emails' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('emails')}
+          >
+            Emails
+          </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'webhooks' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('webhooks')}
+          >
+            Webhooks
+          </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'my-meetings' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('my-meetings')}
+          >
+            My Meetings
+          </button>
+          <button
+            style={{
+              ...styles.tabButton,
+              backgroundColor: activeTab === 'account' ? '#007bff' : '#f8f9fa'
+            }}
+            onClick={() => setActiveTab('account')}
+          >
+            Account
+          </button>
         </div>
 
         {activeTab === 'connect-calendar' && (
           <ConnectCalendarTab onGoogleAuth={handleGoogleAuth} onOutlookAuth={handleOutlookAuth} />
         )}
         {activeTab === 'create-meeting' && <CreateMeetingTab />}
+        {activeTab === 'availability' && <AvailabilityTab />}
+        {activeTab === 'meeting-types' && <MeetingTypesTab />}
+        {activeTab === 'teams' && <TeamsTab />}
+        {activeTab === 'emails' && <EmailsTab />}
+        {activeTab === 'webhooks' && <WebhooksTab />}
+        {activeTab === 'my-meetings' && <MyMeetingsTab />}
+        {activeTab === 'account' && <AccountTab />}
       </div>
     </div>
   );
@@ -143,47 +448,369 @@ function Dashboard() {
 
 // Connect Calendar Tab
 function ConnectCalendarTab({ onGoogleAuth, onOutlookAuth }) {
+  const [connections, setConnections] = useState(null);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/calendar/connections`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setConnections(res.data.connections))
+      .catch(() => setConnections(null));
+  }, [token]);
+
+  const disconnect = async (provider) => {
+    try {
+      const res = await axios.delete(`${API_URL}/api/calendar/connections/${provider}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setConnections(res.data.connections);
+      setMessage(res.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error disconnecting calendar');
+    }
+  };
+
+  const renderStatus = (provider) => {
+    const status = connections?.[provider];
+    if (!status?.connected) return null;
+    if (status.needsReconnect) {
+      return <p style={{ color: '#dc3545' }}>Access expired or was revoked. Please reconnect.</p>;
+    }
+    return <p style={{ color: '#28a745' }}>✓ Connected{status.calendarName ? ` (${status.calendarName})` : ''}</p>;
+  };
+
+  const renderDisconnect = (provider) =>
+    connections?.[provider]?.connected && (
+      <button type="button" onClick={() => disconnect(provider)} style={{ ...styles.button, backgroundColor: '#6c757d', marginLeft: '10px' }}>
+        Disconnect
+      </button>
+    );
+
+  const buttonLabel = (provider, name) =>
+    connections?.[provider]?.needsReconnect ? `Reconnect ${name}` : `Connect ${name}`;
+
   return (
     <div style={styles.tabContent}>
       <h2>Connect Your Calendars</h2>
-      <p>Synchronize your Google and Outlook calendars to see all your available slots.</p>
+      <p>Synchronize your Google, Outlook and CalDAV calendars to see all your available slots.</p>
 
       <div style={styles.calendarOptions}>
         <div style={styles.calendarCard}>
           <h3>Google Calendar</h3>
+          {renderStatus('google')}
           <button onClick={onGoogleAuth} style={{ ...styles.button, backgroundColor: '#4285f4' }}>
-            Connect Google Calendar
+            {buttonLabel('google', 'Google Calendar')}
           </button>
+          {renderDisconnect('google')}
         </div>
 
         <div style={styles.calendarCard}>
           <h3>Outlook Calendar</h3>
+          {renderStatus('outlook')}
           <button onClick={onOutlookAuth} style={{ ...styles.button, backgroundColor: '#0078d4' }}>
-            Connect Outlook Calendar
+            {buttonLabel('outlook', 'Outlook Calendar')}
+          </button>
+          {renderDisconnect('outlook')}
+        </div>
+      </div>
+
+      <CalDavCard
+        status={connections?.caldav}
+        renderStatus={() => renderStatus('caldav')}
+        renderDisconnect={() => renderDisconnect('caldav')}
+        onConnected={setConnections}
+      />
+      {message && <p style={styles.message}>{message}</p>}
+
+      {connections && Object.keys(connections)
+        .filter(provider => connections[provider].connected && !connections[provider].needsReconnect)
+        .map(provider => (
+          <CalendarChoicesCard key={provider} provider={provider} name={connections[provider].name} />
+        ))}
+
+      <CalendarFeedCard />
+    </div>
+  );
+}
+
+// Which calendars of a connected account block time, and which one receives new meetings
+function CalendarChoicesCard({ provider, name }) {
+  const [calendars, setCalendars] = useState([]);
+  const [conflictCalendars, setConflictCalendars] = useState([]);
+  const [holdCalendar, setHoldCalendar] = useState('');
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/calendar/connections/${provider}/calendars`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setCalendars(res.data.calendars);
+        setConflictCalendars(res.data.conflictCalendars);
+        setHoldCalendar(res.data.holdCalendar);
+      })
+      .catch(err => setMessage(err.response?.data?.error || 'Error loading calendars'));
+  }, [provider, token]);
+
+  const toggleConflict = (id) => {
+    setConflictCalendars(conflictCalendars.includes(id)
+      ? conflictCalendars.filter(c => c !== id)
+      : [...conflictCalendars, id]);
+  };
+
+  const saveChoices = async () => {
+    try {
+      await axios.put(`${API_URL}/api/calendar/connections/${provider}/calendars`, {
+        conflictCalendars,
+        holdCalendar
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage('Calendar choices saved');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving calendar choices');
+    }
+  };
+
+  return (
+    <div style={{ ...styles.calendarCard, marginTop: '20px', textAlign: 'left' }}>
+      <h3>{name}: Calendars</h3>
+      {calendars.map(calendar => (
+        <div key={calendar.id} style={styles.availabilityRow}>
+          <strong style={{ flex: 1 }}>{calendar.name}{calendar.primary ? ' (main)' : ''}</strong>
+          <label>
+            <input
+              type="checkbox"
+              checked={conflictCalendars.includes(calendar.id)}
+              onChange={() => toggleConflict(calendar.id)}
+            />{' '}
+            Check for conflicts
+          </label>
+          <label>
+            <input
+              type="radio"
+              name={`hold-${provider}`}
+              checked={holdCalendar === calendar.id}
+              disabled={!calendar.writable}
+              onChange={() => setHoldCalendar(calendar.id)}
+            />{' '}
+            Add new meetings here
+          </label>
+        </div>
+      ))}
+      <button onClick={saveChoices} style={{ ...styles.button, marginTop: '10px' }} disabled={calendars.length === 0}>
+        Save Calendar Choices
+      </button>
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// CalDAV servers (Nextcloud, Fastmail, iCloud) connect with an app password instead of OAuth
+function CalDavCard({ status, renderStatus, renderDisconnect, onConnected }) {
+  const [serverUrl, setServerUrl] = useState('');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [calendarUrl, setCalendarUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage('');
+    try {
+      const res = await axios.post(`${API_URL}/api/calendar/connections/caldav`, {
+        serverUrl,
+        username,
+        password,
+        calendarUrl: calendarUrl || undefined
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      onConnected(res.data.connections);
+      setPassword('');
+      setMessage(res.data.message);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error connecting CalDAV calendar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ ...styles.calendarCard, marginTop: '20px', textAlign: 'left' }}>
+      <h3>CalDAV Calendar</h3>
+      <p>Nextcloud, Fastmail, iCloud and other CalDAV servers. Use an app-specific password.</p>
+      {renderStatus()}
+      <form onSubmit={handleConnect} style={styles.form}>
+        <input
+          type="url"
+          placeholder="Server URL (e.g. https://caldav.fastmail.com/)"
+          value={serverUrl}
+          onChange={(e) => setServerUrl(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="text"
+          placeholder="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="password"
+          placeholder="App password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="url"
+          placeholder="Calendar URL (optional, found automatically)"
+          value={calendarUrl}
+          onChange={(e) => setCalendarUrl(e.target.value)}
+          style={styles.input}
+        />
+        <div style={styles.windowRow}>
+          <button type="submit" disabled={loading} style={styles.button}>
+            {loading ? 'Connecting...' : status?.needsReconnect ? 'Reconnect CalDAV' : 'Connect CalDAV'}
           </button>
+          {renderDisconnect()}
+        </div>
+      </form>
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// Subscribable iCal feed for calendar apps without a direct integration
+function CalendarFeedCard() {
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [includePending, setIncludePending] = useState(false);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/feeds`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setFeedUrl(res.data.feedUrl))
+      .catch(() => setMessage('Error loading feed'));
+  }, [token]);
+
+  const rotateFeed = async () => {
+    try {
+      const res = await axios.post(`${API_URL}/api/feeds/rotate`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setFeedUrl(res.data.feedUrl);
+      setMessage(feedUrl ? 'New feed URL generated. The old URL no longer works.' : 'Feed URL generated');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error generating feed URL');
+    }
+  };
+
+  const revokeFeed = async () => {
+    try {
+      await axios.delete(`${API_URL}/api/feeds`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setFeedUrl(null);
+      setMessage('Feed URL revoked');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error revoking feed URL');
+    }
+  };
+
+  const subscribeUrl = feedUrl && includePending ? `${feedUrl}?includePending=true` : feedUrl;
+
+  return (
+    <div style={{ ...styles.calendarCard, marginTop: '20px', textAlign: 'left' }}>
+      <h3>Calendar Feed</h3>
+      <p>Subscribe to your confirmed meetings from any calendar app. Keep this URL secret.</p>
+      {feedUrl && (
+        <div style={styles.form}>
+          <input type="text" readOnly value={subscribeUrl} style={styles.input} onFocus={(e) => e.target.select()} />
+          <label>
+            <input
+              type="checkbox"
+              checked={includePending}
+              onChange={(e) => setIncludePending(e.target.checked)}
+            />{' '}
+            Include tentative holds for pending meetings
+          </label>
         </div>
+      )}
+      <div style={{ ...styles.windowRow, marginTop: '10px' }}>
+        <button onClick={rotateFeed} style={styles.button}>
+          {feedUrl ? 'Rotate Feed URL' : 'Generate Feed URL'}
+        </button>
+        {feedUrl && (
+          <button onClick={revokeFeed} style={{ ...styles.button, backgroundColor: '#dc3545' }}>
+            Revoke
+          </button>
+        )}
       </div>
+      {message && <p style={styles.message}>{message}</p>}
     </div>
   );
 }
 
 // Create Meeting Tab
+const EMPTY_ATTENDEE = { email: '', name: '' };
+
 function CreateMeetingTab() {
-  const [attendeeEmail, setAttendeeEmail] = useState('');
-  const [attendeeName, setAttendeeName] = useState('');
-  const [selectedDate, setSelectedDate] = useState('');
-  const [availableSlots, setAvailableSlots] = useState([]);
+  const [attendees, setAttendees] = useState([EMPTY_ATTENDEE]);
+  const [autoFinalize, setAutoFinalize] = useState(true);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [slotsByDay, setSlotsByDay] = useState([]);
   const [selectedSlots, setSelectedSlots] = useState([]);
+  const [timezone, setTimezone] = useState(BROWSER_TIMEZONE);
+  const [meetingTypes, setMeetingTypes] = useState([]);
+  const [meetingTypeId, setMeetingTypeId] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState('');
   const [message, setMessage] = useState('');
   const token = localStorage.getItem('token');
 
+  useEffect(() => {
+    axios.get(`${API_URL}/api/meeting-types`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setMeetingTypes(res.data.meetingTypes))
+      .catch(() => setMeetingTypes([]));
+  }, [token]);
+
+  // Slots depend on the meeting length, so a new type needs a fresh fetch
+  const handleMeetingTypeChange = (id) => {
+    setMeetingTypeId(id);
+    setSlotsByDay([]);
+    setSelectedSlots([]);
+  };
+
   const fetchAvailableSlots = async () => {
     try {
       const response = await axios.get(`${API_URL}/api/calendar/available-slots`, {
-        params: { date: selectedDate },
+        params: {
+          startDate,
+          endDate: endDate || startDate,
+          meetingTypeId: meetingTypeId || undefined
+        },
         headers: { Authorization: `Bearer ${token}` }
       });
-      setAvailableSlots(response.data.availableSlots);
+      setSlotsByDay(response.data.slotsByDay);
+      setTimezone(response.data.timezone || BROWSER_TIMEZONE);
+      if (response.data.needsReconnect?.length > 0) {
+        setMessage(`Reconnect ${response.data.needsReconnect.join(' and ')} in Connect Calendar; those events were not checked.`);
+      }
     } catch (err) {
       setMessage('Error fetching available slots');
     }
@@ -197,8 +824,12 @@ function CreateMeetingTab() {
     }
   };
 
+  const updateAttendee = (index, field, value) => {
+    setAttendees(attendees.map((a, i) => (i === index ? { ...a, [field]: value } : a)));
+  };
+
   const handleCreateMeeting = async () => {
-    if (!attendeeEmail || !attendeeName || selectedSlots.length === 0) {
+    if (attendees.some(a => !a.email || !a.name) || selectedSlots.length === 0) {
       setMessage('Please fill all fields and select at least one slot');
       return;
     }
@@ -207,20 +838,24 @@ function CreateMeetingTab() {
       const response = await axios.post(
         `${API_URL}/api/meetings/create`,
         {
-          attendeeEmail,
-          attendeeName,
-          slots: selectedSlots
+          attendees,
+          autoFinalize,
+          slots: selectedSlots,
+          meetingTypeId: meetingTypeId || undefined,
+          expiresInHours: expiresInHours ? Number(expiresInHours) : undefined
         },
         { headers: { Authorization: `Bearer ${token}` } }
       );
 
     
-      setMessage(`Meeting created! and Email sent to the attendee`);
-      setAttendeeEmail('');
-      setAttendeeName('');
-      setSelectedDate('');
+      setMessage(attendees.length > 1
+        ? `Meeting created! Each attendee was emailed their own voting link. ${response.data.links.map(l => `${l.email}: ${l.link}`).join(' ')}`
+        : `Meeting created! and Email sent to the attendee. Link: ${response.data.link}`);
+      setAttendees([EMPTY_ATTENDEE]);
+      setStartDate('');
+      setEndDate('');
       setSelectedSlots([]);
-      setAvailableSlots([]);
+      setSlotsByDay([]);
     } catch (err) {
       setMessage(err.response?.data?.error || 'Error creating meeting');
     }
@@ -231,56 +866,1293 @@ function CreateMeetingTab() {
       <h2>Create Meeting Request</h2>
 
       <div style={styles.form}>
-        <input
-          type="email"
-          placeholder="Attendee Email"
-          value={attendeeEmail}
-          onChange={(e) => setAttendeeEmail(e.target.value)}
+        {attendees.map((attendee, index) => (
+          <div key={index} style={styles.windowRow}>
+            <input
+              type="email"
+              placeholder="Attendee Email"
+              value={attendee.email}
+              onChange={(e) => updateAttendee(index, 'email', e.target.value)}
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <input
+              type="text"
+              placeholder="Attendee Name"
+              value={attendee.name}
+              onChange={(e) => updateAttendee(index, 'name', e.target.value)}
+              style={{ ...styles.input, flex: 1 }}
+            />
+            {attendees.length > 1 && (
+              <button
+                onClick={() => setAttendees(attendees.filter((_, i) => i !== index))}
+                style={{ ...styles.button, backgroundColor: '#dc3545' }}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          onClick={() => setAttendees([...attendees, EMPTY_ATTENDEE])}
+          style={{ ...styles.button, backgroundColor: '#6c757d' }}
+        >
+          Add attendee
+        </button>
+
+        {attendees.length > 1 && (
+          <label>
+            <input
+              type="checkbox"
+              checked={autoFinalize}
+              onChange={(e) => setAutoFinalize(e.target.checked)}
+            />{' '}
+            Book the most popular time automatically once everyone has voted
+          </label>
+        )}
+
+        <select
+          value={meetingTypeId}
+          onChange={(e) => handleMeetingTypeChange(e.target.value)}
+          style={styles.input}
+        >
+          <option value="">Default (60 min)</option>
+          {meetingTypes.map((type) => (
+            <option key={type.id} value={type.id}>
+              {type.name} ({type.durationMinutes} min){type.teamName ? ` · ${type.teamName}` : ''}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={expiresInHours}
+          onChange={(e) => setExpiresInHours(e.target.value)}
           style={styles.input}
+        >
+          <option value="">Link never expires</option>
+          <option value="24">Link expires after 24 hours</option>
+          <option value="48">Link expires after 2 days</option>
+          <option value="72">Link expires after 3 days</option>
+          <option value="168">Link expires after 1 week</option>
+        </select>
+
+        <div style={styles.windowRow}>
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            style={styles.input}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={endDate}
+            min={startDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            style={styles.input}
+          />
+        </div>
+
+        <button onClick={fetchAvailableSlots} style={styles.button}>
+          Fetch Available Slots
+        </button>
+      </div>
+
+      {slotsByDay.length > 0 && (
+        <div style={styles.slotsContainer}>
+          <h3>Select Slots (Click to toggle):</h3>
+          <p>Times shown in {timezone.replace(/_/g, ' ')}</p>
+          {slotsByDay.map((day) => (
+            <div key={day.date}>
+              <h4 style={{ marginBottom: 0 }}>
+                {new Date(`${day.date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', weekday: 'long', month: 'short', day: 'numeric' })}
+              </h4>
+              {day.slots.length === 0 && <p style={{ color: '#6c757d' }}>No free slots</p>}
+              <div style={styles.slotsGrid}>
+                {day.slots.map((slot) => (
+                  <div
+                    key={slot}
+                    onClick={() => toggleSlot(slot)}
+                    style={{
+                      ...styles.slotBox,
+                      backgroundColor: selectedSlots.includes(slot) ? '#28a745' : '#e9ecef',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {formatSlotClock(slot, timezone)}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <p>Selected: {selectedSlots.length} slots</p>
+          <button onClick={handleCreateMeeting} style={{ ...styles.button, backgroundColor: '#28a745' }}>
+            Create Meeting with {selectedSlots.length} Slots
+          </button>
+        </div>
+      )}
+
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// Availability Tab
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Editable list of start/end time windows, shared by weekdays and date overrides
+function TimeWindowsEditor({ windows, onChange }) {
+  const updateWindow = (index, field, value) => {
+    onChange(windows.map((w, i) => (i === index ? { ...w, [field]: value } : w)));
+  };
+
+  return (
+    <div>
+      {windows.length === 0 && <span style={{ color: '#6c757d' }}>Unavailable</span>}
+      {windows.map((timeWindow, index) => (
+        <div key={index} style={styles.windowRow}>
+          <input
+            type="time"
+            value={timeWindow.start}
+            onChange={(e) => updateWindow(index, 'start', e.target.value)}
+            style={styles.input}
+          />
+          <span>to</span>
+          <input
+            type="time"
+            value={timeWindow.end}
+            onChange={(e) => updateWindow(index, 'end', e.target.value)}
+            style={styles.input}
+          />
+          <button
+            onClick={() => onChange(windows.filter((_, i) => i !== index))}
+            style={{ ...styles.button, backgroundColor: '#dc3545' }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...windows, { start: '09:00', end: '17:00' }])}
+        style={{ ...styles.button, backgroundColor: '#6c757d', marginTop: '5px' }}
+      >
+        Add hours
+      </button>
+    </div>
+  );
+}
+
+function AvailabilityTab() {
+  const [weekly, setWeekly] = useState(null);
+  const [overrides, setOverrides] = useState([]);
+  const [blackoutDates, setBlackoutDates] = useState([]);
+  const [overrideDate, setOverrideDate] = useState('');
+  const [blackoutDate, setBlackoutDate] = useState('');
+  const [timezone, setTimezone] = useState(BROWSER_TIMEZONE);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/profile`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setTimezone(res.data.profile.timezone))
+      .catch(() => setMessage('Error loading profile'));
+
+    axios.get(`${API_URL}/api/availability`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setWeekly(res.data.availability.weekly);
+        setOverrides(res.data.availability.overrides);
+        setBlackoutDates(res.data.availability.blackoutDates);
+      })
+      .catch(() => setMessage('Error loading availability'));
+  }, [token]);
+
+  const addOverride = () => {
+    if (!overrideDate || overrides.some(o => o.date === overrideDate)) return;
+    setOverrides([...overrides, { date: overrideDate, windows: [{ start: '09:00', end: '17:00' }] }]
+      .sort((a, b) => a.date.localeCompare(b.date)));
+    setOverrideDate('');
+  };
+
+  const addBlackoutDate = () => {
+    if (!blackoutDate || blackoutDates.includes(blackoutDate)) return;
+    setBlackoutDates([...blackoutDates, blackoutDate].sort());
+    setBlackoutDate('');
+  };
+
+  const handleSave = async () => {
+    try {
+      await axios.put(
+        `${API_URL}/api/profile`,
+        { timezone },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      await axios.put(
+        `${API_URL}/api/availability`,
+        { weekly, overrides, blackoutDates },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setMessage('Availability saved');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving availability');
+    }
+  };
+
+  if (!weekly) {
+    return <div style={styles.tabContent}>{message || 'Loading availability...'}</div>;
+  }
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>Weekly Availability</h2>
+      <p>Meeting slots are only offered inside these hours.</p>
+
+      <div style={styles.windowRow}>
+        <strong style={{ width: '110px' }}>Timezone</strong>
+        <TimezoneSelect value={timezone} onChange={setTimezone} />
+      </div>
+
+      {WEEKDAYS.map((name, weekday) => (
+        <div key={name} style={styles.availabilityRow}>
+          <strong style={{ width: '110px' }}>{name}</strong>
+          <TimeWindowsEditor
+            windows={weekly[weekday]}
+            onChange={(windows) => setWeekly(weekly.map((w, i) => (i === weekday ? windows : w)))}
+          />
+        </div>
+      ))}
+
+      <h3>Date Overrides</h3>
+      <p>Use different hours on specific dates.</p>
+      {overrides.map((override) => (
+        <div key={override.date} style={styles.availabilityRow}>
+          <strong style={{ width: '110px' }}>{override.date}</strong>
+          <TimeWindowsEditor
+            windows={override.windows}
+            onChange={(windows) => setOverrides(overrides.map(o => (o.date === override.date ? { ...o, windows } : o)))}
+          />
+          <button
+            onClick={() => setOverrides(overrides.filter(o => o.date !== override.date))}
+            style={{ ...styles.button, backgroundColor: '#dc3545' }}
+          >
+            Delete override
+          </button>
+        </div>
+      ))}
+      <div style={styles.windowRow}>
+        <input type="date" value={overrideDate} onChange={(e) => setOverrideDate(e.target.value)} style={styles.input} />
+        <button onClick={addOverride} style={styles.button}>Add override</button>
+      </div>
+
+      <h3>Blackout Days</h3>
+      <p>No slots are offered on these dates.</p>
+      {blackoutDates.map((date) => (
+        <div key={date} style={styles.windowRow}>
+          <span>{date}</span>
+          <button
+            onClick={() => setBlackoutDates(blackoutDates.filter(d => d !== date))}
+            style={{ ...styles.button, backgroundColor: '#dc3545' }}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      <div style={styles.windowRow}>
+        <input type="date" value={blackoutDate} onChange={(e) => setBlackoutDate(e.target.value)} style={styles.input} />
+        <button onClick={addBlackoutDate} style={styles.button}>Add blackout day</button>
+      </div>
+
+      <button onClick={handleSave} style={{ ...styles.button, backgroundColor: '#28a745', marginTop: '20px' }}>
+        Save Availability
+      </button>
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// Meeting Types Tab
+const EMPTY_MEETING_TYPE = {
+  name: '', durationMinutes: 30, titleTemplate: '', description: '', location: '', teamId: '', schedulingMode: 'collective',
+  slug: '', reminderOffsets: null
+};
+const SCHEDULING_MODE_LABELS = { collective: 'Collective', round_robin: 'Round-robin' };
+
+// Minutes before the meeting
+const REMINDER_CHOICES = [
+  { minutes: 7 * 1440, label: '1 week' },
+  { minutes: 2 * 1440, label: '2 days' },
+  { minutes: 1440, label: '24 hours' },
+  { minutes: 120, label: '2 hours' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 15, label: '15 minutes' }
+];
+
+function ReminderOffsetsPicker({ value, onChange }) {
+  const toggle = (minutes) => onChange(value.includes(minutes)
+    ? value.filter(m => m !== minutes)
+    : [...value, minutes].sort((a, b) => b - a));
+
+  return (
+    <div style={styles.windowRow}>
+      {REMINDER_CHOICES.map(choice => (
+        <label key={choice.minutes}>
+          <input type="checkbox" checked={value.includes(choice.minutes)} onChange={() => toggle(choice.minutes)} />{' '}
+          {choice.label}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+function MeetingTypesTab() {
+  const [meetingTypes, setMeetingTypes] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [handle, setHandle] = useState('');
+  const [reminderOffsets, setReminderOffsets] = useState([]);
+  const [form, setForm] = useState(EMPTY_MEETING_TYPE);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  const loadMeetingTypes = useCallback(() => {
+    axios.get(`${API_URL}/api/meeting-types`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setMeetingTypes(res.data.meetingTypes))
+      .catch(() => setMessage('Error loading meeting types'));
+  }, [token]);
+
+  useEffect(() => {
+    loadMeetingTypes();
+    axios.get(`${API_URL}/api/teams`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setTeams(res.data.teams))
+      .catch(() => setMessage('Error loading teams'));
+    axios.get(`${API_URL}/api/profile`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setProfile(res.data.profile);
+        setHandle(res.data.profile.handle || '');
+        setReminderOffsets(res.data.profile.reminder_offsets || []);
+      })
+      .catch(() => setMessage('Error loading profile'));
+  }, [loadMeetingTypes, token]);
+
+  const handleSaveHandle = async () => {
+    try {
+      const res = await axios.put(
+        `${API_URL}/api/profile`,
+        { timezone: profile.timezone, handle },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setProfile(res.data.profile);
+      setMessage(handle ? 'Booking page saved' : 'Booking page turned off');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving booking page');
+    }
+  };
+
+  const handleSaveReminders = async () => {
+    try {
+      const res = await axios.put(
+        `${API_URL}/api/profile`,
+        { timezone: profile.timezone, reminderOffsets },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setProfile(res.data.profile);
+      setMessage('Reminders saved');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving reminders');
+    }
+  };
+
+  const bookingUrl = (slug) => `${window.location.origin}/book/${profile.handle}${slug ? `/${slug}` : ''}`;
+
+  const updateField = (field, value) => setForm({ ...form, [field]: value });
+
+  const handleEdit = (type) => {
+    setEditingId(type.id);
+    setForm({
+      name: type.name,
+      durationMinutes: type.durationMinutes,
+      titleTemplate: type.titleTemplate,
+      description: type.description || '',
+      location: type.location || '',
+      teamId: type.teamId || '',
+      schedulingMode: type.schedulingMode || 'collective',
+      slug: type.slug || '',
+      reminderOffsets: type.reminderOffsets
+    });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setForm(EMPTY_MEETING_TYPE);
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      ...form,
+      durationMinutes: parseInt(form.durationMinutes, 10),
+      teamId: form.teamId ? parseInt(form.teamId, 10) : null
+    };
+    try {
+      if (editingId) {
+        await axios.put(`${API_URL}/api/meeting-types/${editingId}`, payload, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } else {
+        await axios.post(`${API_URL}/api/meeting-types`, payload, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      }
+      setMessage(editingId ? 'Meeting type updated' : 'Meeting type created');
+      handleCancel();
+      loadMeetingTypes();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving meeting type');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`${API_URL}/api/meeting-types/${id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (editingId === id) handleCancel();
+      loadMeetingTypes();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error deleting meeting type');
+    }
+  };
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>Booking Page</h2>
+      <p>A public page where anyone can book an open slot with you, without an invite first.</p>
+      <div style={styles.windowRow}>
+        <span>{window.location.origin}/book/</span>
+        <input
+          type="text"
+          placeholder="your-name"
+          value={handle}
+          onChange={(e) => setHandle(e.target.value.toLowerCase())}
+          style={{ ...styles.input, flex: 1 }}
         />
+        <button onClick={handleSaveHandle} disabled={!profile} style={styles.button}>Save</button>
+      </div>
+      {profile?.handle && (
+        <p>
+          Your booking page: <a href={bookingUrl()}>{bookingUrl()}</a>
+        </p>
+      )}
+
+      <h2>Reminders</h2>
+      <p>
+        Attendees get a reminder this long before a confirmed meeting. Attendees who haven't picked a time yet
+        are nudged this long before the first time you offered.
+      </p>
+      <ReminderOffsetsPicker value={reminderOffsets} onChange={setReminderOffsets} />
+      <button onClick={handleSaveReminders} disabled={!profile} style={styles.button}>Save Reminders</button>
+
+      <h2>Meeting Types</h2>
+      <p>Reusable settings for the meetings you send, such as a 15-min intro or a 45-min interview.</p>
+
+      {meetingTypes.map((type) => (
+        <div key={type.id} style={styles.availabilityRow}>
+          <div style={{ flex: 1 }}>
+            <strong>{type.name}</strong> ({type.durationMinutes} min)
+            <div style={{ color: '#6c757d' }}>
+              {type.titleTemplate}{type.location ? ` · ${type.location}` : ''}
+              {type.teamId ? ` · ${SCHEDULING_MODE_LABELS[type.schedulingMode]} for ${type.teamName || 'team'}` : ''}
+            </div>
+            {type.slug && profile?.handle && <a href={bookingUrl(type.slug)}>{bookingUrl(type.slug)}</a>}
+          </div>
+          <button onClick={() => handleEdit(type)} style={styles.button}>Edit</button>
+          <button onClick={() => handleDelete(type.id)} style={{ ...styles.button, backgroundColor: '#dc3545' }}>
+            Delete
+          </button>
+        </div>
+      ))}
+
+      <h3>{editingId ? 'Edit Meeting Type' : 'New Meeting Type'}</h3>
+      <div style={styles.form}>
+        <input
+          type="text"
+          placeholder="Name, e.g. 15-min intro"
+          value={form.name}
+          onChange={(e) => updateField('name', e.target.value)}
+          style={styles.input}
+        />
+        <input
+          type="number"
+          min="5"
+          max="480"
+          step="5"
+          placeholder="Duration (minutes)"
+          value={form.durationMinutes}
+          onChange={(e) => updateField('durationMinutes', e.target.value)}
+          style={styles.input}
+        />
+        <input
+          type="text"
+          placeholder="Event title, e.g. Intro call with {attendeeName}"
+          value={form.titleTemplate}
+          onChange={(e) => updateField('titleTemplate', e.target.value)}
+          style={styles.input}
+        />
+        <small>Title placeholders: {'{attendeeName}'}, {'{attendeeEmail}'}, {'{organizerEmail}'}</small>
+        <input
+          type="text"
+          placeholder="Location or video link"
+          value={form.location}
+          onChange={(e) => updateField('location', e.target.value)}
+          style={styles.input}
+        />
+        <textarea
+          placeholder="Description"
+          value={form.description}
+          onChange={(e) => updateField('description', e.target.value)}
+          style={styles.input}
+          rows={3}
+        />
+        <input
+          type="text"
+          placeholder="Booking page slug, e.g. intro (leave empty to keep it off your booking page)"
+          value={form.slug}
+          onChange={(e) => updateField('slug', e.target.value.toLowerCase())}
+          style={styles.input}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={form.reminderOffsets === null}
+            onChange={(e) => updateField('reminderOffsets', e.target.checked ? null : reminderOffsets)}
+          />{' '}
+          Use my default reminders
+        </label>
+        {form.reminderOffsets !== null && (
+          <ReminderOffsetsPicker value={form.reminderOffsets} onChange={(value) => updateField('reminderOffsets', value)} />
+        )}
+        {teams.length > 0 && (
+          <>
+            <select value={form.teamId} onChange={(e) => updateField('teamId', e.target.value)} style={styles.input}>
+              <option value="">Just me</option>
+              {teams.map((team) => (
+                <option key={team.id} value={team.id}>Team: {team.name}</option>
+              ))}
+            </select>
+            {form.teamId && (
+              <select
+                value={form.schedulingMode}
+                onChange={(e) => updateField('schedulingMode', e.target.value)}
+                style={styles.input}
+              >
+                <option value="collective">Collective: only times when every member is free</option>
+                <option value="round_robin">Round-robin: any free member, booked with the least busy one</option>
+              </select>
+            )}
+          </>
+        )}
+        <button onClick={handleSave} style={{ ...styles.button, backgroundColor: '#28a745' }}>
+          {editingId ? 'Save Changes' : 'Create Meeting Type'}
+        </button>
+        {editingId && (
+          <button onClick={handleCancel} style={{ ...styles.button, backgroundColor: '#6c757d' }}>
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// Teams Tab
+function TeamsTab() {
+  const [teams, setTeams] = useState([]);
+  const [name, setName] = useState('');
+  const [memberEmails, setMemberEmails] = useState({});
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+  const userId = parseInt(localStorage.getItem('userId'), 10);
+
+  const loadTeams = useCallback(() => {
+    axios.get(`${API_URL}/api/teams`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setTeams(res.data.teams))
+      .catch(() => setMessage('Error loading teams'));
+  }, [token]);
+
+  useEffect(() => {
+    loadTeams();
+  }, [loadTeams]);
+
+  const handleCreate = async () => {
+    try {
+      await axios.post(`${API_URL}/api/teams`, { name }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage('Team created');
+      setName('');
+      loadTeams();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error creating team');
+    }
+  };
+
+  const handleAddMember = async (teamId) => {
+    try {
+      await axios.post(`${API_URL}/api/teams/${teamId}/members`, { email: memberEmails[teamId] }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage('Member added');
+      setMemberEmails({ ...memberEmails, [teamId]: '' });
+      loadTeams();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error adding member');
+    }
+  };
+
+  const handleRemoveMember = async (teamId, memberId) => {
+    try {
+      await axios.delete(`${API_URL}/api/teams/${teamId}/members/${memberId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      loadTeams();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error removing member');
+    }
+  };
+
+  const handleDelete = async (teamId) => {
+    try {
+      await axios.delete(`${API_URL}/api/teams/${teamId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      loadTeams();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error deleting team');
+    }
+  };
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>Teams</h2>
+      <p>Share meeting types with other CalSync users and schedule across everyone's calendars.</p>
+
+      {teams.map((team) => {
+        const isOwner = team.ownerId === userId;
+        return (
+          <div key={team.id} style={styles.calendarCard}>
+            <h3>{team.name}</h3>
+            {team.members.map((member) => (
+              <div key={member.id} style={styles.windowRow}>
+                <span style={{ flex: 1 }}>{member.email}{member.isOwner ? ' (owner)' : ''}</span>
+                {!member.isOwner && (isOwner || member.id === userId) && (
+                  <button
+                    onClick={() => handleRemoveMember(team.id, member.id)}
+                    style={{ ...styles.button, backgroundColor: '#6c757d' }}
+                  >
+                    {member.id === userId ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            ))}
+            {isOwner && (
+              <div style={styles.form}>
+                <input
+                  type="email"
+                  placeholder="Member's CalSync email"
+                  value={memberEmails[team.id] || ''}
+                  onChange={(e) => setMemberEmails({ ...memberEmails, [team.id]: e.target.value })}
+                  style={styles.input}
+                />
+                <button onClick={() => handleAddMember(team.id)} style={styles.button}>Add member</button>
+                <button onClick={() => handleDelete(team.id)} style={{ ...styles.button, backgroundColor: '#dc3545' }}>
+                  Delete team
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <h3>New Team</h3>
+      <div style={styles.form}>
+        <input
+          type="text"
+          placeholder="Team name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          style={styles.input}
+        />
+        <button onClick={handleCreate} style={{ ...styles.button, backgroundColor: '#28a745' }}>
+          Create Team
+        </button>
+      </div>
+
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// Emails Tab
+// How the organizer appears in the emails attendees get, with a live preview of each template
+const DEFAULT_BRAND_COLOR = '#007bff';
+
+function EmailsTab() {
+  const [settings, setSettings] = useState(null);
+  const [locales, setLocales] = useState({});
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState('invite');
+  const [previewLocale, setPreviewLocale] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/email-settings`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setSettings(res.data.settings);
+        setLocales(res.data.locales);
+      })
+      .catch(() => setMessage('Error loading email settings'));
+    axios.get(`${API_URL}/api/email-templates`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setTemplates(res.data.templates))
+      .catch(() => setMessage('Error loading email templates'));
+  }, [token]);
+
+  const loadPreview = useCallback(() => {
+    axios.get(`${API_URL}/api/email-templates/${template}/preview`, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: previewLocale ? { locale: previewLocale } : {}
+    })
+      .then(res => setPreview(res.data.preview))
+      .catch(err => setMessage(err.response?.data?.error || 'Error loading preview'));
+  }, [template, previewLocale, token]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  const updateField = (field, value) => setSettings({ ...settings, [field]: value });
+
+  const handleSave = async () => {
+    try {
+      const res = await axios.put(`${API_URL}/api/email-settings`, settings, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSettings(res.data.settings);
+      setMessage('Email settings saved');
+      loadPreview();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving email settings');
+    }
+  };
+
+  if (!settings) return <div style={styles.tabContent}>{message || 'Loading...'}</div>;
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>Emails</h2>
+      <p>How you appear in the emails CalSync sends to your attendees.</p>
+      <div style={styles.form}>
+        <input
+          type="text"
+          placeholder="Display name (defaults to your email address)"
+          value={settings.displayName || ''}
+          onChange={(e) => updateField('displayName', e.target.value)}
+          style={styles.input}
+        />
+        <input
+          type="url"
+          placeholder="Logo URL (https://...)"
+          value={settings.logoUrl || ''}
+          onChange={(e) => updateField('logoUrl', e.target.value)}
+          style={styles.input}
+        />
+        <div style={styles.windowRow}>
+          <label>Brand color</label>
+          <input
+            type="color"
+            value={settings.brandColor || DEFAULT_BRAND_COLOR}
+            onChange={(e) => updateField('brandColor', e.target.value)}
+          />
+          <label>Language</label>
+          <select value={settings.locale} onChange={(e) => updateField('locale', e.target.value)} style={styles.input}>
+            {Object.entries(locales).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <button onClick={handleSave} style={{ ...styles.button, backgroundColor: '#28a745' }}>Save</button>
+      </div>
+
+      <h3>Preview</h3>
+      <div style={styles.windowRow}>
+        <select value={template} onChange={(e) => setTemplate(e.target.value)} style={{ ...styles.input, flex: 1 }}>
+          {templates.map((t) => (
+            <option key={t.name} value={t.name}>{t.description}</option>
+          ))}
+        </select>
+        <select value={previewLocale} onChange={(e) => setPreviewLocale(e.target.value)} style={styles.input}>
+          <option value="">Saved language</option>
+          {Object.entries(locales).map(([code, name]) => (
+            <option key={code} value={code}>{name}</option>
+          ))}
+        </select>
+      </div>
+      {preview && (
+        <>
+          <p><strong>Subject:</strong> {preview.subject}</p>
+          <iframe
+            title="Email preview"
+            srcDoc={preview.html}
+            sandbox=""
+            style={{ width: '100%', height: '480px', border: '1px solid #ddd', borderRadius: '5px' }}
+          />
+          <h4>Plain text</h4>
+          <pre style={{ whiteSpace: 'pre-wrap', padding: '10px', backgroundColor: '#f8f9fa', borderRadius: '5px' }}>
+            {preview.text}
+          </pre>
+        </>
+      )}
+
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// Webhooks Tab
+const DELIVERY_STATUS_COLORS = { pending: '#ffc107', delivered: '#28a745', failed: '#dc3545' };
+
+function WebhooksTab() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [url, setUrl] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState([]);
+  const [secret, setSecret] = useState(null);
+  const [openLogId, setOpenLogId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+
+  const loadWebhooks = useCallback(() => {
+    axios.get(`${API_URL}/api/webhooks`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setWebhooks(res.data.webhooks);
+        setEvents(res.data.events);
+      })
+      .catch(() => setMessage('Error loading webhooks'));
+  }, [token]);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const loadDeliveries = (id) => {
+    axios.get(`${API_URL}/api/webhooks/${id}/deliveries`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setDeliveries(res.data.deliveries))
+      .catch(err => setMessage(err.response?.data?.error || 'Error loading deliveries'));
+  };
+
+  const toggleLog = (id) => {
+    if (openLogId === id) {
+      setOpenLogId(null);
+      return;
+    }
+    setOpenLogId(id);
+    setDeliveries([]);
+    loadDeliveries(id);
+  };
+
+  const toggleEvent = (event) => {
+    setSelectedEvents(selectedEvents.includes(event)
+      ? selectedEvents.filter(e => e !== event)
+      : [...selectedEvents, event]);
+  };
+
+  const handleCreate = async () => {
+    try {
+      const res = await axios.post(
+        `${API_URL}/api/webhooks`,
+        { url, events: selectedEvents },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setSecret(res.data.secret);
+      setUrl('');
+      setSelectedEvents([]);
+      setMessage('Webhook created');
+      loadWebhooks();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error creating webhook');
+    }
+  };
+
+  const handleToggleActive = async (webhook) => {
+    try {
+      await axios.put(
+        `${API_URL}/api/webhooks/${webhook.id}`,
+        { url: webhook.url, events: webhook.events, active: !webhook.active },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      loadWebhooks();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error updating webhook');
+    }
+  };
 
-        <input
-          type="text"
-          placeholder="Attendee Name"
-          value={attendeeName}
-          onChange={(e) => setAttendeeName(e.target.value)}
-          style={styles.input}
-        />
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`${API_URL}/api/webhooks/${id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (openLogId === id) setOpenLogId(null);
+      loadWebhooks();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error deleting webhook');
+    }
+  };
+
+  const handleRedeliver = async (webhookId, deliveryId) => {
+    try {
+      await axios.post(`${API_URL}/api/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage('Delivery queued');
+      loadDeliveries(webhookId);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error queueing delivery');
+    }
+  };
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>Webhooks</h2>
+      <p>
+        CalSync posts meeting events as JSON to these URLs. Each request is signed with the webhook's secret in
+        the X-CalSync-Signature header, and failed deliveries are retried with backoff.
+      </p>
+
+      {webhooks.map((webhook) => (
+        <div key={webhook.id} style={{ borderBottom: '1px solid #eee' }}>
+          <div style={styles.availabilityRow}>
+            <div style={{ flex: 1 }}>
+              <strong>{webhook.url}</strong>
+              {!webhook.active && <span style={{ ...styles.statusBadge, backgroundColor: '#6c757d' }}>paused</span>}
+              <div style={{ color: '#6c757d' }}>{webhook.events.join(', ')}</div>
+            </div>
+            <button onClick={() => toggleLog(webhook.id)} style={styles.button}>
+              {openLogId === webhook.id ? 'Hide Log' : 'Delivery Log'}
+            </button>
+            <button onClick={() => handleToggleActive(webhook)} style={{ ...styles.button, backgroundColor: '#6c757d' }}>
+              {webhook.active ? 'Pause' : 'Resume'}
+            </button>
+            <button onClick={() => handleDelete(webhook.id)} style={{ ...styles.button, backgroundColor: '#dc3545' }}>
+              Delete
+            </button>
+          </div>
+          {openLogId === webhook.id && (
+            <div style={{ marginBottom: '15px' }}>
+              {deliveries.length === 0 && <p>No deliveries yet.</p>}
+              {deliveries.map((delivery) => (
+                <div key={delivery.id} style={styles.windowRow}>
+                  <span style={{ ...styles.statusBadge, marginLeft: 0, backgroundColor: DELIVERY_STATUS_COLORS[delivery.status] }}>
+                    {delivery.status}
+                  </span>
+                  <span style={{ flex: 1 }}>
+                    {delivery.event} · {new Date(delivery.createdAt).toLocaleString()}
+                    {' · '}{delivery.attempts} {delivery.attempts === 1 ? 'attempt' : 'attempts'}
+                    {delivery.responseStatus ? ` · HTTP ${delivery.responseStatus}` : ''}
+                    {delivery.lastError && <span style={{ color: '#dc3545' }}> · {delivery.lastError}</span>}
+                  </span>
+                  {delivery.status !== 'pending' && (
+                    <button onClick={() => handleRedeliver(webhook.id, delivery.id)} style={styles.button}>Redeliver</button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {secret && (
+        <div style={{ ...styles.message, textAlign: 'left' }}>
+          Signing secret for the new webhook. Copy it now; it won't be shown again:
+          <pre style={{ margin: '5px 0 0' }}>{secret}</pre>
+        </div>
+      )}
 
+      <h3>New Webhook</h3>
+      <div style={styles.form}>
         <input
-          type="date"
-          value={selectedDate}
-          onChange={(e) => setSelectedDate(e.target.value)}
+          type="url"
+          placeholder="https://example.com/calsync-webhook"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
           style={styles.input}
         />
-
-        <button onClick={fetchAvailableSlots} style={styles.button}>
-          Fetch Available Slots
+        <div style={styles.windowRow}>
+          {events.map((event) => (
+            <label key={event}>
+              <input type="checkbox" checked={selectedEvents.includes(event)} onChange={() => toggleEvent(event)} />{' '}
+              {event}
+            </label>
+          ))}
+        </div>
+        <button onClick={handleCreate} style={{ ...styles.button, backgroundColor: '#28a745' }}>
+          Create Webhook
         </button>
       </div>
 
-      {availableSlots.length > 0 && (
-        <div style={styles.slotsContainer}>
-          <h3>Select Slots (Click to toggle):</h3>
-          <div style={styles.slotsGrid}>
-            {availableSlots.map((slot) => (
-              <div
-                key={slot}
-                onClick={() => toggleSlot(slot)}
-                style={{
-                  ...styles.slotBox,
-                  backgroundColor: selectedSlots.includes(slot) ? '#28a745' : '#e9ecef',
-                  cursor: 'pointer'
-                }}
-              >
-                {new Date(slot).toLocaleTimeString()}
-              </div>
-            ))}
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
+
+// My Meetings Tab
+const STATUS_COLORS = { pending: '#ffc107', confirmed: '#28a745', cancelled: '#6c757d', expired: '#dc3545' };
+
+function MyMeetingsTab() {
+  const [meetings, setMeetings] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [details, setDetails] = useState(null);
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState('');
+  const token = localStorage.getItem('token');
+  const pageSize = 20;
+
+  const loadMeetings = useCallback(() => {
+    axios.get(`${API_URL}/api/meetings`, {
+      params: { page, pageSize, status: status || undefined, from: from || undefined, to: to || undefined },
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => {
+        setMeetings(res.data.meetings);
+        setTotal(res.data.total);
+      })
+      .catch(err => setMessage(err.response?.data?.error || 'Error loading meetings'));
+  }, [token, page, status, from, to]);
+
+  useEffect(() => {
+    loadMeetings();
+  }, [loadMeetings]);
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const openDetails = async (id) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/meetings/${id}/details`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setDetails(res.data);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error loading meeting');
+    }
+  };
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setMessage('Link copied to clipboard');
+    } catch (err) {
+      setMessage(`Copy this link: ${link}`);
+    }
+  };
+
+  const resendInvite = async (id) => {
+    try {
+      await axios.post(`${API_URL}/api/meetings/${id}/resend`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage('Invite resent');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error resending invite');
+    }
+  };
+
+  // action is 'cancel' or 'reschedule'; rescheduling offers the next free times automatically
+  const updateMeeting = async (id, action) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/meetings/${id}/${action}`, { reason }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage(res.data.message);
+      setReason('');
+      loadMeetings();
+      openDetails(id);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error updating meeting');
+    }
+  };
+
+  const finalizeMeeting = async (id, slotId) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/meetings/${id}/finalize`, { slotId }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage(res.data.message);
+      loadMeetings();
+      openDetails(id);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error finalizing meeting');
+    }
+  };
+
+  const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>My Meetings</h2>
+
+      <div style={styles.windowRow}>
+        <select value={status} onChange={updateFilter(setStatus)} style={styles.input}>
+          <option value="">All statuses</option>
+          <option value="pending">Pending</option>
+          <option value="confirmed">Confirmed</option>
+          <option value="cancelled">Cancelled</option>
+          <option value="expired">Expired</option>
+        </select>
+        <input type="date" value={from} onChange={updateFilter(setFrom)} style={styles.input} />
+        <span>to</span>
+        <input type="date" value={to} min={from} onChange={updateFilter(setTo)} style={styles.input} />
+      </div>
+
+      {meetings.length === 0 && <p>No meetings found.</p>}
+      {meetings.map((meeting) => (
+        <div key={meeting.id} style={styles.availabilityRow}>
+          <div style={{ flex: 1, cursor: 'pointer' }} onClick={() => openDetails(meeting.id)}>
+            <strong>{meeting.title}</strong>
+            <span style={{ ...styles.statusBadge, backgroundColor: STATUS_COLORS[meeting.status] || '#6c757d' }}>
+              {meeting.status}
+            </span>
+            <div style={{ color: '#6c757d' }}>
+              {meeting.attendeeName} &lt;{meeting.attendeeEmail}&gt;
+              {meeting.isGroup ? ` and ${meeting.attendeeCount - 1} more` : ''} ·{' '}
+              {meeting.selectedSlot ? formatSlot(meeting.selectedSlot) : `${meeting.slotCount} slots offered`}
+            </div>
           </div>
+          {meeting.link && (
+            <button onClick={() => copyLink(meeting.link)} style={{ ...styles.button, backgroundColor: '#6c757d' }}>
+              Copy link
+            </button>
+          )}
+          {meeting.status === 'pending' && (
+            <button onClick={() => resendInvite(meeting.id)} style={styles.button}>
+              Resend invite
+            </button>
+          )}
+        </div>
+      ))}
 
-          <p>Selected: {selectedSlots.length} slots</p>
-          <button onClick={handleCreateMeeting} style={{ ...styles.button, backgroundColor: '#28a745' }}>
-            Create Meeting with {selectedSlots.length} Slots
+      <div style={{ ...styles.windowRow, marginTop: '15px' }}>
+        <button disabled={page <= 1} onClick={() => setPage(page - 1)} style={styles.button}>Previous</button>
+        <span>Page {page} of {totalPages}</span>
+        <button disabled={page >= totalPages} onClick={() => setPage(page + 1)} style={styles.button}>Next</button>
+      </div>
+
+      {details && (
+        <div style={{ ...styles.calendarCard, textAlign: 'left', marginTop: '20px' }}>
+          <h3>{details.meeting.title}</h3>
+          <p>
+            {details.meeting.isGroup
+              ? `${details.meeting.attendeeCount} attendees`
+              : <>{details.meeting.attendeeName} &lt;{details.meeting.attendeeEmail}&gt;</>}
+            {' '}· {details.meeting.durationMinutes} minutes
+            {details.meeting.location ? ` · ${details.meeting.location}` : ''}
+          </p>
+          <p>Status: {details.meeting.status}</p>
+          {details.meeting.expiresAt && details.meeting.status === 'pending' && (
+            <p>Link expires {formatSlot(details.meeting.expiresAt)}</p>
+          )}
+          {details.meeting.cancellationReason && <p>Cancellation reason: {details.meeting.cancellationReason}</p>}
+          {details.meeting.rescheduleReason && <p>Reschedule reason: {details.meeting.rescheduleReason}</p>}
+          {details.attendees && (
+            <>
+              <h4>Attendees</h4>
+              {details.attendees.map((attendee) => (
+                <div key={attendee.id} style={styles.windowRow}>
+                  <span style={{ flex: 1 }}>
+                    {attendee.name} &lt;{attendee.email}&gt; · {attendee.respondedAt ? 'answered' : 'waiting for answer'}
+                  </span>
+                  <button onClick={() => copyLink(attendee.link)} style={{ ...styles.button, backgroundColor: '#6c757d' }}>
+                    Copy link
+                  </button>
+                </div>
+              ))}
+            </>
+          )}
+          <h4>Offered slots</h4>
+          <ul>
+            {details.slots.map((slot) => (
+              <li key={slot.id}>
+                {formatSlot(slot.slot_time)}{slot.is_selected ? ' (selected)' : ''}
+                {details.meeting.isGroup && (
+                  <>
+                    {' '}· {slot.yes_count} yes, {slot.no_count} no
+                    {slot.available_names.length > 0 ? ` (${slot.available_names.join(', ')})` : ''}
+                    {details.meeting.status === 'pending' && (
+                      <button
+                        onClick={() => finalizeMeeting(details.meeting.id, slot.id)}
+                        style={{ ...styles.button, backgroundColor: '#28a745', marginLeft: '10px', padding: '4px 10px' }}
+                      >
+                        Book this time
+                      </button>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+          {details.meeting.status !== 'cancelled' && (
+            <div style={styles.windowRow}>
+              {/* Expired meetings can only be reopened with new times */}
+              <input
+                type="text"
+                placeholder="Reason (optional)"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                style={{ ...styles.input, flex: 1 }}
+              />
+              <button onClick={() => updateMeeting(details.meeting.id, 'reschedule')} style={styles.button}>
+                Reschedule
+              </button>
+              {details.meeting.status !== 'expired' && (
+                <button
+                  onClick={() => updateMeeting(details.meeting.id, 'cancel')}
+                  style={{ ...styles.button, backgroundColor: '#dc3545' }}
+                >
+                  Cancel meeting
+                </button>
+              )}
+            </div>
+          )}
+          <button onClick={() => setDetails(null)} style={{ ...styles.button, backgroundColor: '#6c757d' }}>
+            Close
           </button>
         </div>
       )}
@@ -294,55 +2166,470 @@ function CreateMeetingTab() {
 function SelectSlotPage() {
   const [meeting, setMeeting] = useState(null);
   const [slots, setSlots] = useState([]);
+  const [timezone, setTimezone] = useState(BROWSER_TIMEZONE);
+  const [reason, setReason] = useState('');
+  const [availableSlotIds, setAvailableSlotIds] = useState([]);
   const [message, setMessage] = useState('');
   const uniqueLink = window.location.pathname.split('/').pop();
 
-  useEffect(() => {
-    const fetchSlots = async () => {
-      try {
-        const res = await axios.get(`${API_URL}/api/meetings/${uniqueLink}`);
-        setSlots(res.data.slots);
-      } catch (err) {
-        setMessage('Error loading meeting slots');
+  const fetchSlots = useCallback(async () => {
+    try {
+      const res = await axios.get(`${API_URL}/api/meetings/${uniqueLink}`);
+      setMeeting(res.data.meeting);
+      setSlots(res.data.slots);
+      setAvailableSlotIds(res.data.meeting.availableSlotIds || []);
+      if (res.data.meeting.attendeeTimezone) {
+        setTimezone(res.data.meeting.attendeeTimezone);
       }
-    };
-    fetchSlots();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error loading meeting slots');
+    }
   }, [uniqueLink]);
 
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
   const handleSelectSlot = async (slot) => {
     try {
-      const response = await axios.post(
+      await axios.post(
         `${API_URL}/api/meetings/select-slot/${uniqueLink}`,
-        { slotId: slot.id } // send actual numeric id
+        { slotId: slot.id, timezone } // send actual numeric id
       );
       setMessage('✓ Slot selected! Confirmation email sent.');
+      fetchSlots();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error selecting slot');
+      // Someone may have booked in the meantime, so show the meeting as it is now
+      fetchSlots();
+    }
+  };
+
+  const toggleAvailable = (slotId) => {
+    setAvailableSlotIds((ids) =>
+      ids.includes(slotId) ? ids.filter((id) => id !== slotId) : [...ids, slotId]
+    );
+  };
+
+  const handleVote = async () => {
+    try {
+      const res = await axios.post(
+        `${API_URL}/api/meetings/vote/${uniqueLink}`,
+        { availableSlotIds, timezone }
+      );
+      setMessage(res.data.message);
+      fetchSlots();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error saving your answer');
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await axios.post(`${API_URL}/api/meetings/cancel/${uniqueLink}`, { reason });
+      setMessage('Meeting cancelled. The organizer has been notified.');
+      setReason('');
+      fetchSlots();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error cancelling meeting');
+    }
+  };
+
+  const handleReschedule = async () => {
+    try {
+      await axios.post(`${API_URL}/api/meetings/reschedule/${uniqueLink}`, { reason });
+      setMessage('Pick one of the new times below.');
+      setReason('');
+      fetchSlots();
     } catch (err) {
-      setMessage('Error selecting slot');
+      setMessage(err.response?.data?.error || 'Error requesting new times');
     }
   };
+
   return (
     <div style={styles.container}>
       <div style={styles.card}>
         <h1>Select Your Meeting Time</h1>
-        <div style={styles.slotsGrid}>
-          {slots.map((slot) => (
-            <button
-              key={slot.id} // use actual slot id
-              onClick={() => handleSelectSlot(slot)} // pass the full slot object
-              style={styles.slotButton}
-            >
-              {new Date(slot.slot_time).toLocaleString()}
-            </button>
-          ))}
+        {meeting && (
+          <div style={{ marginBottom: '15px' }}>
+            <h3>{meeting.title}</h3>
+            <p>{meeting.durationMinutes} minutes{meeting.location ? ` · ${meeting.location}` : ''}</p>
+            {meeting.description && <p>{meeting.description}</p>}
+          </div>
+        )}
+        <div style={styles.form}>
+          <label>Show times in</label>
+          <TimezoneSelect value={timezone} onChange={setTimezone} />
+          {meeting?.organizerTimezone && meeting.organizerTimezone !== timezone && (
+            <small>The organizer is in {meeting.organizerTimezone.replace(/_/g, ' ')}.</small>
+          )}
+        </div>
+
+        {meeting?.status === 'cancelled' && (
+          <p style={styles.message}>
+            This meeting has been cancelled.{meeting.cancellationReason ? ` Reason: ${meeting.cancellationReason}` : ''}
+          </p>
+        )}
+
+        {meeting?.status === 'expired' && (
+          <p style={styles.message}>
+            This meeting link has expired. Please contact the organizer for new times.
+          </p>
+        )}
+
+        {meeting?.status === 'confirmed' && (
+          <div style={styles.form}>
+            <p>Confirmed for <strong>{formatSlot(meeting.selectedSlot, timezone)}</strong></p>
+            {!meeting.isGroup && (
+              <>
+                <input
+                  type="text"
+                  placeholder="Reason (optional)"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  style={styles.input}
+                />
+                <button onClick={handleReschedule} style={styles.button}>Request new times</button>
+                <button onClick={handleCancel} style={{ ...styles.button, backgroundColor: '#dc3545' }}>
+                  Cancel meeting
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {meeting?.status === 'pending' && meeting.isGroup && (
+          <div style={styles.form}>
+            <p>
+              {meeting.respondedAt
+                ? 'Thanks, your answer is saved. You can change it until the organizer books a time.'
+                : 'Tick every time that works for you.'}
+            </p>
+            {slots.map((slot) => (
+              <label key={slot.id}>
+                <input
+                  type="checkbox"
+                  checked={availableSlotIds.includes(slot.id)}
+                  onChange={() => toggleAvailable(slot.id)}
+                />
+                {' '}{formatSlot(slot.slot_time, timezone)}
+              </label>
+            ))}
+            <button onClick={handleVote} style={styles.button}>Save my answer</button>
+          </div>
+        )}
+
+        {meeting?.status === 'pending' && !meeting.isGroup && (
+          <div style={styles.slotsGrid}>
+            {slots.map((slot) => (
+              <button
+                key={slot.id} // use actual slot id
+                onClick={() => handleSelectSlot(slot)} // pass the full slot object
+                style={styles.slotButton}
+              >
+                {formatSlot(slot.slot_time, timezone)}
+              </button>
+            ))}
+          </div>
+        )}
+        {message && <p style={styles.message}>{message}</p>}
+      </div>
+    </div>
+  );
+}
+
+
+// Booking Page (Public)
+const BOOKING_DAYS = 7;
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+function BookingPage() {
+  const [, , handle, slug] = window.location.pathname.split('/');
+  const [page, setPage] = useState(null);
+  const [type, setType] = useState(slug || '');
+  const [startDate, setStartDate] = useState(new Date().toLocaleDateString('en-CA'));
+  const [slotsByDay, setSlotsByDay] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [timezone, setTimezone] = useState(BROWSER_TIMEZONE);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [booking, setBooking] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/book/${handle}`)
+      .then(res => setPage(res.data))
+      .catch(() => setMessage('This booking page does not exist'));
+  }, [handle]);
+
+  const fetchSlots = useCallback(async () => {
+    if (!startDate) return;
+    try {
+      const res = await axios.get(`${API_URL}/api/book/${handle}/slots`, {
+        params: { type: type || undefined, startDate, endDate: addDays(startDate, BOOKING_DAYS - 1) }
+      });
+      setSlotsByDay(res.data.slotsByDay);
+      setSelectedSlot(null);
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error loading open times');
+    }
+  }, [handle, type, startDate]);
+
+  useEffect(() => {
+    if (page) fetchSlots();
+  }, [page, fetchSlots]);
+
+  const handleBook = async () => {
+    if (!name || !email) {
+      setMessage('Please enter your name and email');
+      return;
+    }
+    try {
+      const res = await axios.post(`${API_URL}/api/book/${handle}`, {
+        type: type || undefined,
+        name,
+        email,
+        slot: selectedSlot,
+        timezone
+      });
+      setBooking(res.data);
+      setMessage('');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error booking this time');
+      fetchSlots();
+    }
+  };
 
+  const meetingType = page?.meetingTypes.find(t => t.slug === type);
 
+  if (booking) {
+    return (
+      <div style={styles.container}>
+        <div style={styles.card}>
+          <h1>You're booked</h1>
+          <p>Confirmed for <strong>{formatSlot(booking.selectedSlot, timezone)}</strong>. A confirmation email is on its way.</p>
+          <p>Need to cancel or change the time? Use <a href={booking.link}>your meeting page</a>.</p>
         </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <h1>Book a Meeting</h1>
+        {page && (
+          <div style={styles.form}>
+            <select value={type} onChange={(e) => setType(e.target.value)} style={styles.input}>
+              <option value="">Meeting ({page.defaultDurationMinutes} min)</option>
+              {page.meetingTypes.map((t) => (
+                <option key={t.slug} value={t.slug}>{t.name} ({t.durationMinutes} min)</option>
+              ))}
+            </select>
+            {meetingType?.location && <p>{meetingType.location}</p>}
+            {meetingType?.description && <p>{meetingType.description}</p>}
+
+            <label>Show times in</label>
+            <TimezoneSelect value={timezone} onChange={setTimezone} />
+            <label>Week starting</label>
+            <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} style={styles.input} />
+          </div>
+        )}
+
+        {slotsByDay.map((day) => day.slots.length > 0 && (
+          <div key={day.date}>
+            <h4 style={{ marginBottom: 0 }}>
+              {new Date(`${day.date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', weekday: 'long', month: 'short', day: 'numeric' })}
+            </h4>
+            <div style={styles.slotsGrid}>
+              {day.slots.map((slot) => (
+                <div
+                  key={slot}
+                  onClick={() => setSelectedSlot(slot)}
+                  style={{
+                    ...styles.slotBox,
+                    backgroundColor: selectedSlot === slot ? '#28a745' : '#e9ecef',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {formatSlotClock(slot, timezone)}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+        {page && slotsByDay.every(day => day.slots.length === 0) && <p>No open times this week.</p>}
+
+        {selectedSlot && (
+          <div style={styles.form}>
+            <p>Booking <strong>{formatSlot(selectedSlot, timezone)}</strong></p>
+            <input
+              type="text"
+              placeholder="Your name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              style={styles.input}
+            />
+            <input
+              type="email"
+              placeholder="Your email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              style={styles.input}
+            />
+            <button onClick={handleBook} style={{ ...styles.button, backgroundColor: '#28a745' }}>Book</button>
+          </div>
+        )}
         {message && <p style={styles.message}>{message}</p>}
       </div>
     </div>
   );
 }
 
+// "Chrome on Windows" from a user agent string, or the string itself when it isn't recognized
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => userAgent.includes(token));
+  const system = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => userAgent.includes(token));
+  if (!browser) return userAgent;
+  return system ? `${browser[1]} on ${system[1]}` : browser[1];
+}
+
+// Account Tab
+function AccountTab() {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [message, setMessage] = useState('');
+  const navigate = useNavigate();
+  const token = localStorage.getItem('token');
+
+  const loadSessions = useCallback(() => {
+    axios.get(`${API_URL}/api/sessions`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => setSessions(res.data.sessions))
+      .catch(() => setMessage('Error loading sessions'));
+  }, [token]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await axios.delete(`${API_URL}/api/sessions/${session.id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (session.current) {
+        clearSession();
+        navigate('/');
+        return;
+      }
+      setMessage('Session logged out');
+      loadSessions();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error logging out session');
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out of CalSync on every device, including this one?')) return;
+    try {
+      await axios.post(`${API_URL}/api/auth/logout-all`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      clearSession();
+      navigate('/');
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error logging out');
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setMessage('New passwords do not match');
+      return;
+    }
+    try {
+      const res = await axios.post(`${API_URL}/api/auth/change-password`, { currentPassword, newPassword }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setMessage(res.data.message);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      loadSessions();
+    } catch (err) {
+      setMessage(err.response?.data?.error || 'Error changing password');
+    }
+  };
+
+  return (
+    <div style={styles.tabContent}>
+      <h2>Account</h2>
+      <h3>Change Password</h3>
+      <form onSubmit={handleChangePassword} style={styles.form}>
+        <input
+          type="password"
+          placeholder="Current password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="password"
+          placeholder="New password (at least 8 characters)"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Repeat new password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          style={styles.input}
+          required
+        />
+        <button type="submit" style={styles.button}>Change password</button>
+      </form>
+      <p>Changing your password logs out your other sessions.</p>
+
+      <h3>Sessions</h3>
+      {sessions.map(session => (
+        <div key={session.id} style={styles.availabilityRow}>
+          <div style={{ flex: 1 }}>
+            <strong>{describeUserAgent(session.userAgent)}</strong>
+            {session.current && <span style={{ ...styles.statusBadge, backgroundColor: '#28a745' }}>This device</span>}
+            <div style={{ fontSize: '12px', color: '#6c757d' }}>
+              {session.ipAddress && `${session.ipAddress} · `}
+              Last used {formatSlot(session.lastUsedAt)} · Logged in {formatSlot(session.createdAt)}
+            </div>
+          </div>
+          <button onClick={() => handleRevokeSession(session)} style={{ ...styles.button, backgroundColor: '#6c757d' }}>
+            Log out
+          </button>
+        </div>
+      ))}
+      <button onClick={handleLogoutEverywhere} style={{ ...styles.button, backgroundColor: '#dc3545', marginTop: '15px' }}>
+        Log out everywhere
+      </button>
+
+      {message && <p style={styles.message}>{message}</p>}
+    </div>
+  );
+}
 
 // Google Auth Callback Handler
 function GoogleAuthCallback() {
@@ -416,6 +2703,10 @@ const styles = {
   slotsGrid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))', gap: '10px', marginTop: '15px' },
   slotBox: { padding: '15px', border: '1px solid #ddd', borderRadius: '5px', textAlign: 'center', fontWeight: 'bold' },
   slotButton: { padding: '15px', backgroundColor: '#007bff', color: '#fff', border: 'none', borderRadius: '5px', cursor: 'pointer', fontWeight: 'bold' },
+  availabilityRow: { display: 'flex', alignItems: 'flex-start', gap: '15px', padding: '10px 0', borderBottom: '1px solid #eee' },
+  windowRow: { display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '5px' },
+  statusBadge: { marginLeft: '10px', padding: '2px 8px', borderRadius: '10px', color: '#fff', fontSize: '12px' },
+  linkButton: { marginTop: '10px', padding: 0, background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '14px' },
   message: { marginTop: '15px', padding: '10px', backgroundColor: '#d4edda', color: '#155724', borderRadius: '5px', textAlign: 'center' }
 };
 
@@ -425,8 +2716,13 @@ export default function App() {
     <Router>
       <Routes>
         <Route path="/" element={<LoginPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/select-slot/:uniqueLink" element={<SelectSlotPage />} />
+        <Route path="/book/:handle" element={<BookingPage />} />
+        <Route path="/book/:handle/:slug" element={<BookingPage />} />
         <Route path="/auth/google" element={<GoogleAuthCallback />} />
         <Route path="/auth/outlook" element={<OutlookAuthCallback />} />
       </Routes>